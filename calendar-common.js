@@ -0,0 +1,175 @@
+// calendar-common.js - Shared scheduling rules for every calendar provider
+const moment = require('moment-timezone');
+
+// Business Hours Configuration
+const BUSINESS_HOURS = {
+  start: 9, // 9 AM
+  end: 17,  // 5 PM (17:00)
+  timezone: 'America/Los_Angeles' // Las Vegas timezone
+};
+
+const APPOINTMENT_CONFIG = {
+  duration: 60, // 1 hour in minutes
+  buffer: 60,   // 1 hour buffer between appointments
+  title: 'Estimate' // Will be "Estimate - John Smith"
+};
+
+// ================================
+// 1. Slot Generation
+// ================================
+
+function resolveBusinessHours(businessHours = {}) {
+  return { ...BUSINESS_HOURS, ...businessHours };
+}
+
+function isWeekday(localDay) {
+  const day = localDay.day();
+  return day >= 1 && day <= 5; // Monday = 1, Friday = 5
+}
+
+// existingEvents: [{ start: Date|string, end: Date|string }]
+function buildDaySlots(localDay, existingEvents, businessHours) {
+  const hours = resolveBusinessHours(businessHours);
+  const availableSlots = [];
+
+  if (!isWeekday(localDay)) {
+    return availableSlots; // No weekend appointments
+  }
+
+  const now = moment();
+
+  for (let hour = hours.start; hour < hours.end; hour++) {
+    // Slots are generated in the client's timezone, not the server's
+    const slotStart = localDay.clone().hour(hour).minute(0).second(0).millisecond(0);
+    const slotEnd = slotStart.clone().add(APPOINTMENT_CONFIG.duration, 'minutes');
+
+    if (slotStart.isBefore(now)) continue;
+
+    // Check if this slot conflicts with existing events (including buffer)
+    const hasConflict = existingEvents.some(event => {
+      const bufferStart = moment(event.start).subtract(APPOINTMENT_CONFIG.buffer, 'minutes');
+      const bufferEnd = moment(event.end).add(APPOINTMENT_CONFIG.buffer, 'minutes');
+
+      return slotStart.isBefore(bufferEnd) && slotEnd.isAfter(bufferStart);
+    });
+
+    if (!hasConflict) {
+      const displayTime = slotStart.format('h:mm A');
+
+      availableSlots.push({
+        startTime: slotStart.toISOString(),
+        endTime: slotEnd.toISOString(),
+        displayTime: displayTime,
+        displayDate: slotStart.format('dddd, MMMM D'),
+        hour: hour,
+        vegasTime: displayTime
+      });
+    }
+  }
+
+  return availableSlots;
+}
+
+// getEvents(startIso, endIso) must resolve to [{ start, end }] for that range
+async function findNextAvailableSlots(getEvents, daysAhead = 14, businessHours = {}) {
+  const hours = resolveBusinessHours(businessHours);
+  const availableSlots = [];
+  const today = moment.tz(hours.timezone).startOf('day');
+
+  for (let i = 0; i < daysAhead; i++) {
+    const localDay = today.clone().add(i, 'days');
+    if (!isWeekday(localDay)) continue;
+
+    const existingEvents = await getEvents(
+      localDay.clone().startOf('day').toISOString(),
+      localDay.clone().endOf('day').toISOString()
+    );
+
+    const daySlots = buildDaySlots(localDay, existingEvents, hours);
+
+    if (daySlots.length > 0) {
+      availableSlots.push({
+        date: localDay.format('ddd MMM DD YYYY'),
+        isoDate: localDay.format('YYYY-MM-DD'),
+        dateFormatted: localDay.format('dddd, MMMM D, YYYY'),
+        slots: daySlots
+      });
+    }
+
+    // Stop if we have enough options (e.g., 5 days with availability)
+    if (availableSlots.length >= 5) break;
+  }
+
+  return availableSlots;
+}
+
+// "2024-06-03 10:00" from the agent is local to the client; ISO strings with an offset are kept as-is
+function parseSlotTime(value, timezone = BUSINESS_HOURS.timezone) {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  const parsed = hasOffset
+    ? moment(text)
+    : moment.tz(text, ['YYYY-MM-DD HH:mm', 'YYYY-MM-DDTHH:mm', 'YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DDTHH:mm:ss'], true, timezone);
+
+  return parsed.isValid() ? parsed.toDate() : null;
+}
+
+// Calendar day ("YYYY-MM-DD") a caller asked about, e.g. "2024-06-03" or "June 3, 2024"
+function parseRequestedDate(value) {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.substring(0, 10);
+
+  const parsed = new Date(text);
+  return isNaN(parsed) ? null : moment(parsed).format('YYYY-MM-DD');
+}
+
+// ================================
+// 2. Appointment Content
+// ================================
+
+function buildAppointmentTitle(clientName) {
+  return `${APPOINTMENT_CONFIG.title} - ${clientName}`;
+}
+
+function buildAppointmentDescription(appointmentData) {
+  const {
+    clientName,
+    clientPhone,
+    clientEmail,
+    homeAddress,
+    estimateType,
+    callSummary
+  } = appointmentData;
+
+  return `🏠 ESTIMATE APPOINTMENT
+
+📋 Client Information:
+• Name: ${clientName}
+• Phone: ${clientPhone}
+• Email: ${clientEmail}
+• Address: ${homeAddress}
+
+🔨 Estimate Type: ${estimateType}
+
+📞 Call Summary:
+${callSummary}
+
+⏰ Scheduled by AI Lead Manager (Carl)
+📅 Booked via Nuviao AI System`;
+}
+
+module.exports = {
+  BUSINESS_HOURS,
+  APPOINTMENT_CONFIG,
+  resolveBusinessHours,
+  buildDaySlots,
+  findNextAvailableSlots,
+  parseSlotTime,
+  parseRequestedDate,
+  buildAppointmentTitle,
+  buildAppointmentDescription
+};
@@ -0,0 +1,31 @@
+// config/clients.js - Default client registry
+// Used when the Supabase `clients` table is not available. Each entry mirrors
+// a row of that table so both sources can be consumed the same way.
+
+module.exports = [
+  {
+    id: 1,
+    slug: 'bestbuyremodel',
+    name: 'Best Buy Remodel',
+    retell_agent_id: process.env.RETELL_AGENT_ID,
+    // Caller ID only until numbers are added to the client's pool (/api/numbers)
+    from_number: process.env.RETELL_FROM_NUMBER || '+17252092232',
+    calendar: {
+      provider: 'google',
+      calendar_id: 'primary'
+    },
+    // Rules are described in services/ServiceAreaChecker.js
+    service_area: {
+      description: 'Las Vegas, Henderson, Summerlin and the surrounding valley',
+      states: ['NV'],
+      cities: ['las vegas', 'north las vegas', 'henderson', 'summerlin', 'boulder city'],
+      radius: { center: { lat: 36.1699, lng: -115.1398 }, miles: 30 }
+    },
+    business_hours: {
+      start: 9,
+      end: 17,
+      timezone: 'America/Los_Angeles'
+    },
+    active: true
+  }
+];
@@ -0,0 +1,38 @@
+// config/compliance.js - Outbound calling rules
+// Hours are in the lead's local time. `end` is exclusive (21 = no calls from 9 PM).
+// State overrides only list what is stricter than the default window;
+// review them with counsel before relying on them for a new state.
+
+const dispositions = require('./dispositions');
+
+// Statuses set by the terminal dispositions (wrong number, not interested,
+// disqualified, transferred...)
+const dispositionStatuses = Object.values(dispositions)
+  .filter(entry => entry.cancel_callbacks && entry.status)
+  .map(entry => entry.status);
+
+module.exports = {
+  // TCPA: no calls before 8 AM or after 9 PM local time
+  defaultWindow: { start: 8, end: 21 },
+
+  stateWindows: {
+    CT: { start: 9, end: 20 },
+    FL: { start: 8, end: 20 },
+    MD: { start: 8, end: 20 },
+    OK: { start: 8, end: 20 },
+    WA: { start: 8, end: 20 },
+    // No Sunday solicitation calls
+    AL: { start: 8, end: 20, closedDays: [0] },
+    LA: { start: 8, end: 20, closedDays: [0] },
+    MS: { start: 8, end: 20, closedDays: [0] }
+  },
+
+  // Lead statuses that mean the lead must not be called again: an explicit
+  // do_not_call plus every status a terminal disposition sets
+  optOutStatuses: [...new Set(['do_not_call', ...dispositionStatuses])],
+
+  // Per-lead attempt cap; clients can override with `compliance.max_attempts`
+  // and `compliance.attempt_window_hours`
+  maxAttempts: parseInt(process.env.COMPLIANCE_MAX_ATTEMPTS) || 3,
+  attemptWindowHours: parseInt(process.env.COMPLIANCE_ATTEMPT_WINDOW_HOURS) || 24
+};
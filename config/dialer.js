@@ -0,0 +1,28 @@
+// config/dialer.js - Outbound dialer limits
+// Every outbound call waits in `dial_queue` until the client and the from-number
+// have capacity. Clients can override the limits under `dialer` in their client
+// record, e.g. { max_concurrent: 10, max_concurrent_per_number: 2, calls_per_minute: 4 }.
+
+module.exports = {
+  // Calls in progress at once, across all of the client's numbers
+  maxConcurrent: parseInt(process.env.DIALER_MAX_CONCURRENT) || 5,
+
+  // Calls in progress at once from one caller ID
+  maxConcurrentPerNumber: parseInt(process.env.DIALER_MAX_CONCURRENT_PER_NUMBER) || 2,
+
+  // Calls started per minute from one caller ID, spaced evenly across the minute
+  callsPerMinute: parseFloat(process.env.DIALER_CALLS_PER_MINUTE) || 6,
+
+  // Queue order: higher goes first, then oldest first
+  priorities: {
+    reminder: 100,
+    intake: 80,
+    callback: 50,
+    import: 20
+  },
+
+  // A dialed call with no call_ended after this long no longer counts as live
+  staleCallMinutes: parseInt(process.env.DIALER_STALE_CALL_MINUTES) || 30,
+
+  dispatchIntervalMs: parseInt(process.env.DIALER_INTERVAL_MS) || 5 * 1000
+};
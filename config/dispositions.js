@@ -0,0 +1,85 @@
+// config/dispositions.js - Terminal call dispositions recorded by the agent's custom functions
+// Keyed by Retell function name. Clients can override any field of any entry under
+// `dispositions` in their client record, e.g. { outside_area: { push_to_ghl: false } }.
+//
+//   disposition       stored on the lead as custom_fields.disposition
+//   label             readable name for call notes and GHL
+//   status            lead status to set (null keeps the current one)
+//   outcome           the call's outcome, one of CallOutcomeClassifier.OUTCOMES; the Retell
+//                     webhook records it in call_history once the call is analyzed
+//   cancel_callbacks  cancel the lead's pending callback_queue entries
+//   add_to_dnc        add the dialed number to the client's DNC list
+//   push_to_ghl       tag the GHL contact, add a note and move its opportunity to the stage
+//                     mapped for `outcome` (GHL API sync, config/ghl.js), and send to the
+//                     GHL disposition webhook when GHL_DISPOSITION_WEBHOOK_URL is set
+//                     (all through the GHL sync queue)
+//   ghl_tags          tags applied to the contact and included in the webhook push
+//   event             webhook event emitted to the client's subscribers (config/webhooks.js)
+//   default_reason    used when the agent doesn't pass a `reason` argument
+
+module.exports = {
+  mark_wrong_number: {
+    disposition: 'wrong_number',
+    label: 'Wrong number',
+    status: 'wrong_number',
+    outcome: 'wrong_number',
+    cancel_callbacks: true,
+    add_to_dnc: true,
+    push_to_ghl: true,
+    ghl_tags: ['AI - Wrong Number'],
+    event: 'lead.disqualified',
+    default_reason: 'Number does not belong to the lead'
+  },
+
+  not_interested: {
+    disposition: 'not_interested',
+    label: 'Not interested',
+    status: 'not_interested',
+    outcome: 'not_interested',
+    cancel_callbacks: true,
+    add_to_dnc: false,
+    push_to_ghl: true,
+    ghl_tags: ['AI - Not Interested'],
+    event: 'lead.opted_out',
+    default_reason: 'Lead is not interested'
+  },
+
+  mobile_home: {
+    disposition: 'mobile_home',
+    label: 'Mobile home',
+    status: 'disqualified',
+    outcome: 'disqualified',
+    cancel_callbacks: true,
+    add_to_dnc: false,
+    push_to_ghl: true,
+    ghl_tags: ['AI - Disqualified', 'AI - Mobile Home'],
+    event: 'lead.disqualified',
+    default_reason: 'Mobile or manufactured home'
+  },
+
+  outside_area: {
+    disposition: 'outside_area',
+    label: 'Outside service area',
+    status: 'disqualified',
+    outcome: 'disqualified',
+    cancel_callbacks: true,
+    add_to_dnc: false,
+    push_to_ghl: true,
+    ghl_tags: ['AI - Disqualified', 'AI - Outside Area'],
+    event: 'lead.disqualified',
+    default_reason: 'Address is outside the service area'
+  },
+
+  transfer_call: {
+    disposition: 'transferred',
+    label: 'Transferred to a specialist',
+    status: 'transferred',
+    outcome: 'transferred',
+    cancel_callbacks: true,
+    add_to_dnc: false,
+    push_to_ghl: true,
+    ghl_tags: ['AI - Transferred'],
+    event: 'lead.transferred',
+    default_reason: 'Lead asked to speak with a specialist'
+  }
+};
@@ -0,0 +1,60 @@
+// config/geocoding.js - Coordinates for the offline geocoder
+// A stand-in for a real geocoding service: ZIP and city centroids for the areas
+// our clients serve and their neighbours. Add rows here when onboarding a client
+// in a new market, or set GEOCODER=google with GOOGLE_MAPS_API_KEY.
+
+// ZIP -> [lat, lng]
+const ZIP_CENTROIDS = {
+  // Las Vegas
+  89101: [36.172, -115.122], 89102: [36.145, -115.187], 89103: [36.112, -115.211],
+  89104: [36.151, -115.109], 89106: [36.183, -115.163], 89107: [36.171, -115.209],
+  89108: [36.205, -115.223], 89109: [36.126, -115.163], 89110: [36.173, -115.051],
+  89113: [36.062, -115.258], 89115: [36.216, -115.067], 89117: [36.141, -115.281],
+  89118: [36.080, -115.211], 89119: [36.085, -115.150], 89120: [36.080, -115.098],
+  89121: [36.121, -115.091], 89122: [36.104, -115.049], 89123: [36.037, -115.148],
+  89128: [36.197, -115.264], 89129: [36.233, -115.291], 89130: [36.251, -115.227],
+  89131: [36.296, -115.242], 89139: [36.033, -115.210], 89141: [35.995, -115.207],
+  89142: [36.148, -115.036], 89143: [36.324, -115.294], 89145: [36.167, -115.277],
+  89146: [36.142, -115.226], 89147: [36.114, -115.280], 89148: [36.060, -115.302],
+  89149: [36.273, -115.294], 89156: [36.201, -115.022], 89166: [36.331, -115.348],
+  89169: [36.125, -115.140], 89178: [35.996, -115.283], 89179: [35.953, -115.318],
+  89183: [35.996, -115.153],
+  // Summerlin
+  89134: [36.201, -115.305], 89135: [36.103, -115.330], 89138: [36.170, -115.358],
+  89144: [36.178, -115.322],
+  // Henderson
+  89002: [36.000, -114.962], 89011: [36.082, -114.966], 89012: [36.013, -115.043],
+  89014: [36.057, -115.063], 89015: [36.036, -114.972], 89044: [35.926, -115.104],
+  89052: [35.989, -115.112], 89074: [36.038, -115.083],
+  // North Las Vegas
+  89030: [36.212, -115.124], 89031: [36.258, -115.170], 89032: [36.222, -115.172],
+  89081: [36.258, -115.108], 89084: [36.301, -115.178], 89086: [36.288, -115.114],
+  // Boulder City
+  89005: [35.978, -114.833],
+  // Outside the valley
+  89027: [36.812, -114.073], 89029: [35.165, -114.573], 89048: [36.209, -115.983],
+  89501: [39.526, -119.812], 89701: [39.156, -119.747], 86442: [35.097, -114.595]
+};
+
+// "city, ST" -> [lat, lng]
+const CITY_CENTROIDS = {
+  'las vegas, nv': [36.170, -115.140],
+  'north las vegas, nv': [36.199, -115.118],
+  'henderson, nv': [36.040, -114.982],
+  'summerlin, nv': [36.189, -115.310],
+  'paradise, nv': [36.097, -115.147],
+  'spring valley, nv': [36.108, -115.245],
+  'enterprise, nv': [36.025, -115.242],
+  'boulder city, nv': [35.979, -114.832],
+  'mesquite, nv': [36.806, -114.067],
+  'laughlin, nv': [35.168, -114.573],
+  'pahrump, nv': [36.208, -115.984],
+  'reno, nv': [39.530, -119.814],
+  'carson city, nv': [39.164, -119.767],
+  'bullhead city, az': [35.148, -114.568]
+};
+
+module.exports = {
+  ZIP_CENTROIDS,
+  CITY_CENTROIDS
+};
@@ -0,0 +1,91 @@
+// config/ghl.js - GoHighLevel API sync: contacts, call notes, outcome tags and appointments
+// Credentials are the Private Integration token GHL_API_KEY and LOCATION_ID. A client
+// can use its own sub-account with `ghl: { api_key, location_id, calendar_id }` in its
+// client record; `calendar_id` (or GHL_CALENDAR_ID) is needed for appointment sync.
+//
+// Opportunities follow the lead through a GHL pipeline when a pipeline is configured
+// (GHL_PIPELINE_ID, or `ghl.pipeline.pipeline_id` per client). `stages` maps our lead
+// statuses, call outcomes and appointment changes to a stage, given by stage name or id,
+// optionally with the opportunity status: { stage: 'Lost', status: 'lost' }. A client's
+// `ghl.pipeline.stages` entries replace the defaults below one key at a time.
+
+const { parseBackoff } = require('../utils/backoff');
+
+module.exports = {
+  baseUrl: process.env.GHL_API_BASE_URL || 'https://services.leadconnectorhq.com',
+  apiKey: process.env.GHL_API_KEY,
+  locationId: process.env.LOCATION_ID,
+  calendarId: process.env.GHL_CALENDAR_ID,
+
+  // API versions expected by the contacts and calendars endpoints
+  contactsVersion: '2021-07-28',
+  calendarsVersion: '2021-04-15',
+
+  timeoutMs: parseInt(process.env.GHL_TIMEOUT_MS) || 15000,
+
+  // Delay before each retry of a failed sync job; the job fails for good once these run out
+  backoffSeconds: parseBackoff(process.env.GHL_SYNC_BACKOFF_SECONDS || '60,300,900,3600,14400'),
+
+  // How often pending retries are picked up
+  dispatchIntervalMs: parseInt(process.env.GHL_SYNC_INTERVAL_MS) || 60 * 1000,
+
+  // GHL workflow inbound webhook that receives dispositions (a client's
+  // `ghl.disposition_webhook_url` takes precedence)
+  dispositionWebhookUrl: process.env.GHL_DISPOSITION_WEBHOOK_URL,
+
+  // A job still `running` after this long was cut short (restart, crash) and is tried again
+  staleJobMinutes: parseInt(process.env.GHL_SYNC_STALE_MINUTES) || 10,
+
+  // Tags on every contact the sync creates or updates
+  contactTags: ['AI Calling'],
+
+  // Tag applied after each call, by CallOutcomeClassifier outcome
+  outcomeTags: {
+    answered: 'AI - Answered',
+    appointment_booked: 'AI - Appointment Booked',
+    callback_requested: 'AI - Callback Requested',
+    not_interested: 'AI - Not Interested',
+    no_answer: 'AI - No Answer',
+    voicemail: 'AI - Voicemail',
+    busy: 'AI - No Answer',
+    wrong_number: 'AI - Wrong Number',
+    disqualified: 'AI - Disqualified',
+    transferred: 'AI - Transferred'
+  },
+
+  pipeline: {
+    pipelineId: process.env.GHL_PIPELINE_ID,
+
+    stages: {
+      new: 'New Lead',
+      no_answer: 'Contact Attempted',
+      voicemail: 'Contact Attempted',
+      busy: 'Contact Attempted',
+      answered: 'Contacted',
+      callback_requested: 'Contacted',
+      transferred: 'Contacted',
+      appointment_booked: 'Appointment Booked',
+      appointment_rescheduled: 'Appointment Booked',
+      appointment_confirmed: 'Appointment Booked',
+      appointment_cancelled: 'Contacted',
+      not_interested: { stage: 'Lost', status: 'lost' },
+      wrong_number: { stage: 'Lost', status: 'lost' },
+      disqualified: { stage: 'Lost', status: 'lost' }
+    },
+
+    // Opportunities never move back along this list (a voicemail on a later call
+    // doesn't undo a booked appointment); other keys always apply
+    progression: [
+      'new', 'no_answer', 'voicemail', 'busy', 'answered', 'callback_requested',
+      'appointment_booked', 'appointment_rescheduled', 'appointment_confirmed'
+    ]
+  },
+
+  // Local appointment status -> GHL appointmentStatus
+  appointmentStatuses: {
+    booked: 'confirmed',
+    confirmed: 'confirmed',
+    rescheduled: 'confirmed',
+    cancelled: 'cancelled'
+  }
+};
@@ -0,0 +1,39 @@
+// config/numberPool.js - Caller ID pool
+// Each client dials from its own pool of Retell numbers (`phone_numbers` table),
+// picking a number in the lead's area code or state when it has one. Clients
+// without pool numbers keep dialing from their single `from_number`. Clients can
+// override these under `number_pool` in their client record, e.g.
+// { daily_cap: 80, retire_below_answer_rate: 0.08 }.
+
+module.exports = {
+  // Calls per number per day (the client's local day); a number's own daily_cap wins
+  dailyCap: parseInt(process.env.NUMBER_POOL_DAILY_CAP) || 100,
+
+  health: {
+    // Answer rate is measured over the number's most recent ended calls
+    window: parseInt(process.env.NUMBER_POOL_HEALTH_WINDOW) || 50,
+
+    // No verdict before this many calls
+    minCalls: parseInt(process.env.NUMBER_POOL_HEALTH_MIN_CALLS) || 20,
+
+    // Below this the number is shown as degraded
+    warnBelow: parseFloat(process.env.NUMBER_POOL_WARN_BELOW) || 0.2,
+
+    // Below this the number is most likely flagged as spam and is retired
+    retireBelow: parseFloat(process.env.NUMBER_POOL_RETIRE_BELOW) || 0.1
+  },
+
+  // Retell disconnection reasons that mean nobody picked up
+  unansweredReasons: [
+    'dial_no_answer',
+    'dial_busy',
+    'dial_failed',
+    'voicemail_reached',
+    'invalid_destination',
+    'telephony_provider_permission_denied',
+    'telephony_provider_unavailable',
+    'sip_routing_error',
+    'marked_as_spam',
+    'user_declined'
+  ]
+};
@@ -0,0 +1,24 @@
+// config/reminders.js - Appointment confirmation/reminder calls
+// Clients can override any of these under `reminders` in their client record,
+// e.g. { enabled: true, offsets_hours: [24], agent_id: 'agent_...' }.
+
+function parseOffsets(value) {
+  return String(value)
+    .split(',')
+    .map(hours => parseFloat(hours))
+    .filter(hours => hours > 0);
+}
+
+module.exports = {
+  enabled: process.env.REMINDER_CALLS_ENABLED !== 'false',
+
+  // Hours before the appointment to place each reminder call
+  offsetsHours: parseOffsets(process.env.REMINDER_OFFSETS_HOURS || '24,2'),
+
+  // Separate Retell agent that confirms, reschedules or cancels
+  agentId: process.env.RETELL_REMINDER_AGENT_ID,
+
+  // A reminder blocked by calling hours is retried only if it still lands
+  // at least this long before the appointment
+  minLeadTimeMinutes: parseInt(process.env.REMINDER_MIN_LEAD_TIME_MINUTES) || 60
+};
@@ -0,0 +1,31 @@
+// config/webhooks.js - Outbound event webhooks
+// Subscribers receive a JSON POST for every event they subscribed to, signed with
+// their secret: X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+// where timestamp is the X-Webhook-Timestamp header (Unix seconds).
+
+const { parseBackoff } = require('../utils/backoff');
+
+// Event types subscribers can choose from ('*' subscribes to all of them)
+const EVENT_TYPES = [
+  'lead.created',
+  'lead.disqualified',
+  'lead.opted_out',
+  'lead.transferred',
+  'call.ended',
+  'appointment.booked',
+  'appointment.rescheduled',
+  'appointment.cancelled',
+  'appointment.confirmed'
+];
+
+module.exports = {
+  EVENT_TYPES,
+
+  // Delay before each retry; the delivery fails for good once these run out
+  backoffSeconds: parseBackoff(process.env.WEBHOOK_BACKOFF_SECONDS || '60,300,1800,7200,43200'),
+
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+
+  // How often pending retries are picked up
+  dispatchIntervalMs: parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || 30 * 1000
+};
@@ -1,262 +1,168 @@
 // GHL Calendar Integration - Complete System
 // For AI Lead Manager - Phase 2
+//
+// Talks to the GHL v2 calendars API through services/GhlClient.js with the client's
+// own sub-account (`ghl: { api_key, location_id, calendar_id }` in its client record)
+// or the global GHL_API_KEY / LOCATION_ID.
 
-const GHL_API_KEY = process.env.GHL_API_KEY || 'pit-518beebf-30b6-4444-a3b7-430a1bfd526c';
-const LOCATION_ID = process.env.LOCATION_ID || 'llj5AyvYH8kun6U6fX84';
-const GHL_BASE_URL = 'https://rest.gohighlevel.com/v1';
+const GhlClient = require('./services/GhlClient');
 
-// Business Hours Configuration
-const BUSINESS_HOURS = {
-    start: 9, // 9 AM
-    end: 17,  // 5 PM (17:00)
-    timezone: 'America/Los_Angeles' // Las Vegas timezone
-};
+// Business hours, appointment rules and slot generation are shared with google-calendar.js
+const {
+    BUSINESS_HOURS,
+    APPOINTMENT_CONFIG,
+    resolveBusinessHours,
+    findNextAvailableSlots: findSlotsInEvents,
+    buildAppointmentTitle,
+    buildAppointmentDescription
+} = require('./calendar-common');
 
-const APPOINTMENT_CONFIG = {
-    duration: 60, // 1 hour in minutes
-    buffer: 60,   // 1 hour buffer between appointments
-    title: 'Estimate' // Will be "Estimate - John Smith"
-};
+// Placeholders the schedule-lead function fills in for missing lead details
+const PLACEHOLDER_CONTACT_VALUES = ['Unknown', 'unknown@email.com'];
 
 // ================================
-// 1. GHL API Helper Functions
+// 1. Contacts
 // ================================
 
-async function makeGHLRequest(endpoint, method = 'GET', body = null) {
-    const url = `${GHL_BASE_URL}${endpoint}`;
-    
-    const options = {
-        method,
-        headers: {
-            'Authorization': `Bearer ${GHL_API_KEY}`,
-            'Content-Type': 'application/json'
-        }
-    };
-    
-    if (body && method !== 'GET') {
-        options.body = JSON.stringify(body);
-    }
-    
-    try {
-        const response = await fetch(url, options);
-        const data = await response.json();
-        
-        if (!response.ok) {
-            throw new Error(`GHL API Error: ${response.status} - ${JSON.stringify(data)}`);
-        }
-        
-        return { success: true, data };
-    } catch (error) {
-        console.error('GHL API Request Failed:', error);
-        return { success: false, error: error.message };
-    }
+// GHL appointments need a contact: the known one, or the contact GHL matches by phone/email
+async function contactIdFor(ghl, appointmentData) {
+    if (appointmentData.contactId) return appointmentData.contactId;
+
+    const real = value => (value && !PLACEHOLDER_CONTACT_VALUES.includes(value) ? value : undefined);
+    const [firstName, ...lastName] = String(appointmentData.clientName || '').trim().split(/\s+/);
+
+    const contact = await ghl.upsertContact({
+        firstName: real(firstName),
+        lastName: lastName.join(' ') || undefined,
+        phone: real(appointmentData.clientPhone),
+        email: real(appointmentData.clientEmail)
+    });
+    return contact?.id || null;
 }
 
 // ================================
 // 2. Calendar Management Functions
 // ================================
 
-async function getLocationCalendars() {
-    const result = await makeGHLRequest(`/locations/${LOCATION_ID}/calendars`);
-    
-    if (result.success) {
-        return result.data.calendars || [];
-    }
-    
-    console.error('Failed to get calendars:', result.error);
-    return [];
+// Throws when the calendars can't be loaded
+async function getLocationCalendars(ghl) {
+    return await ghl.getCalendars();
 }
 
-async function getCalendarEvents(calendarId, startDate, endDate) {
-    const endpoint = `/calendars/${calendarId}/events?startDate=${startDate}&endDate=${endDate}`;
-    const result = await makeGHLRequest(endpoint);
-    
-    if (result.success) {
-        return result.data.events || [];
-    }
-    
-    console.error('Failed to get events:', result.error);
-    return [];
+// Throws when events can't be loaded: an empty calendar would offer every slot
+async function getCalendarEvents(ghl, calendarId, startDate, endDate) {
+    return await ghl.getCalendarEvents(calendarId, startDate, endDate);
 }
 
 // ================================
 // 3. Availability Checker
 // ================================
 
-function isBusinessHour(hour, minute = 0) {
-    return hour >= BUSINESS_HOURS.start && hour < BUSINESS_HOURS.end;
+async function findNextAvailableSlots(ghl, calendarId, daysAhead = 14, businessHours = {}) {
+    return await findSlotsInEvents(
+        async (start, end) => {
+            const events = await getCalendarEvents(ghl, calendarId, start, end);
+            return events.map(event => ({ start: event.startTime, end: event.endTime }));
+        },
+        daysAhead,
+        businessHours
+    );
 }
 
-function isWeekday(date) {
-    const day = date.getDay();
-    return day >= 1 && day <= 5; // Monday = 1, Friday = 5
-}
+// ================================
+// 4. Appointment Booking
+// ================================
 
-async function getAvailableSlots(calendarId, targetDate) {
-    // Get start and end of the target date
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    // Get existing appointments for the day
-    const existingEvents = await getCalendarEvents(
-        calendarId, 
-        startOfDay.toISOString(), 
-        endOfDay.toISOString()
-    );
-    
-    const availableSlots = [];
-    
-    // Check if it's a weekday
-    if (!isWeekday(new Date(targetDate))) {
-        return availableSlots; // No weekend appointments
-    }
-    
-    // Generate all possible time slots for the day
-    for (let hour = BUSINESS_HOURS.start; hour < BUSINESS_HOURS.end; hour++) {
-        const slotStart = new Date(targetDate);
-        slotStart.setHours(hour, 0, 0, 0);
-        
-        const slotEnd = new Date(slotStart);
-        slotEnd.setMinutes(slotEnd.getMinutes() + APPOINTMENT_CONFIG.duration);
-        
-        // Check if this slot conflicts with existing appointments (including buffer)
-        const hasConflict = existingEvents.some(event => {
-            const eventStart = new Date(event.startTime);
-            const eventEnd = new Date(event.endTime);
-            
-            // Add buffer time around existing events
-            const bufferStart = new Date(eventStart);
-            bufferStart.setMinutes(bufferStart.getMinutes() - APPOINTMENT_CONFIG.buffer);
-            
-            const bufferEnd = new Date(eventEnd);
-            bufferEnd.setMinutes(bufferEnd.getMinutes() + APPOINTMENT_CONFIG.buffer);
-            
-            // Check for overlap with buffer zone
-            return (slotStart < bufferEnd && slotEnd > bufferStart);
+async function bookAppointment(ghl, calendarId, appointmentData) {
+    const { clientName, startTime, endTime } = appointmentData;
+
+    try {
+        const appointment = await ghl.createAppointment({
+            calendarId,
+            contactId: await contactIdFor(ghl, appointmentData),
+            title: buildAppointmentTitle(clientName),
+            description: buildAppointmentDescription(appointmentData),
+            address: appointmentData.homeAddress,
+            startTime,
+            endTime,
+            appointmentStatus: 'confirmed'
         });
-        
-        if (!hasConflict) {
-            availableSlots.push({
-                startTime: slotStart.toISOString(),
-                endTime: slotEnd.toISOString(),
-                displayTime: slotStart.toLocaleTimeString('en-US', {
-                    hour: 'numeric',
-                    minute: '2-digit',
-                    hour12: true
-                })
-            });
-        }
-    }
-    
-    return availableSlots;
-}
 
-async function findNextAvailableSlots(calendarId, daysAhead = 14) {
-    const availableSlots = [];
-    const today = new Date();
-    
-    for (let i = 0; i < daysAhead; i++) {
-        const checkDate = new Date(today);
-        checkDate.setDate(today.getDate() + i);
-        
-        const daySlots = await getAvailableSlots(calendarId, checkDate);
-        
-        if (daySlots.length > 0) {
-            availableSlots.push({
-                date: checkDate.toDateString(),
-                slots: daySlots
-            });
-        }
-        
-        // Stop if we have enough options (e.g., 5 days with availability)
-        if (availableSlots.length >= 5) break;
+        console.log('✅ Appointment booked successfully:', appointment.id);
+        return {
+            success: true,
+            appointmentId: appointment.id,
+            appointment
+        };
+    } catch (error) {
+        console.error('❌ Failed to book appointment:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
     }
-    
-    return availableSlots;
 }
 
-// ================================
-// 4. Appointment Booking
-// ================================
+async function rescheduleAppointment(ghl, appointmentId, newTimes) {
+    try {
+        const appointment = await ghl.updateAppointment(appointmentId, {
+            startTime: newTimes.startTime,
+            endTime: newTimes.endTime
+        });
 
-async function bookAppointment(calendarId, appointmentData) {
-    const {
-        clientName,
-        clientPhone,
-        clientEmail,
-        homeAddress,
-        estimateType,
-        callSummary,
-        startTime,
-        endTime
-    } = appointmentData;
-    
-    // Create appointment title
-    const title = `${APPOINTMENT_CONFIG.title} - ${clientName}`;
-    
-    // Create detailed description
-    const description = `
-🏠 ESTIMATE APPOINTMENT
+        console.log('✅ Appointment rescheduled successfully:', appointmentId);
+        return { success: true, appointmentId, appointment };
+    } catch (error) {
+        console.error('❌ Failed to reschedule appointment:', error.message);
+        return { success: false, error: error.message };
+    }
+}
 
-📋 Client Information:
-• Name: ${clientName}
-• Phone: ${clientPhone}
-• Email: ${clientEmail}
-• Address: ${homeAddress}
+async function cancelAppointment(ghl, appointmentId) {
+    try {
+        await ghl.deleteEvent(appointmentId);
 
-🔨 Estimate Type: ${estimateType}
+        console.log('✅ Appointment cancelled successfully:', appointmentId);
+        return { success: true, appointmentId };
+    } catch (error) {
+        console.error('❌ Failed to cancel appointment:', error.message);
+        return { success: false, error: error.message };
+    }
+}
 
-📞 Call Summary:
-${callSummary}
+async function getAppointment(ghl, appointmentId) {
+    try {
+        const appointment = await ghl.getAppointment(appointmentId);
 
-⏰ Scheduled by AI Lead Manager
-    `.trim();
-    
-    const eventData = {
-        title,
-        description,
-        startTime,
-        endTime,
-        locationId: LOCATION_ID,
-        contactId: appointmentData.contactId || null,
-        appointmentStatus: 'confirmed'
-    };
-    
-    const result = await makeGHLRequest(`/calendars/${calendarId}/events`, 'POST', eventData);
-    
-    if (result.success) {
-        console.log('✅ Appointment booked successfully:', result.data);
         return {
             success: true,
-            appointmentId: result.data.id,
-            appointment: result.data
-        };
-    } else {
-        console.error('❌ Failed to book appointment:', result.error);
-        return {
-            success: false,
-            error: result.error
+            appointment: {
+                id: appointment.id,
+                title: appointment.title,
+                status: appointment.appointmentStatus || appointment.status,
+                startTime: appointment.startTime,
+                endTime: appointment.endTime
+            }
         };
+    } catch (error) {
+        return { success: false, error: error.message };
     }
 }
 
 // ================================
-// 5. Main Integration Functions
+// 5. Calendar Provider
 // ================================
 
-async function setupCalendarForClient() {
+async function setupCalendarForClient(ghl, calendarId = null) {
     // Get all calendars for the location
-    const calendars = await getLocationCalendars();
+    const calendars = await getLocationCalendars(ghl);
     
     if (calendars.length === 0) {
         throw new Error('No calendars found for location');
     }
     
-    // Use the first calendar (or you can add logic to select specific calendar)
-    const primaryCalendar = calendars[0];
+    // Use the configured calendar, or fall back to the first one
+    const primaryCalendar = calendars.find(calendar => calendar.id === calendarId) || calendars[0];
     
     console.log('📅 Using calendar:', {
         id: primaryCalendar.id,
@@ -267,50 +173,87 @@ async function setupCalendarForClient() {
     return primaryCalendar;
 }
 
-async function checkAvailabilityForAI(daysAhead = 7) {
-    try {
-        const calendar = await setupCalendarForClient();
-        const availability = await findNextAvailableSlots(calendar.id, daysAhead);
-        
-        return {
-            success: true,
-            calendar: calendar,
-            availability: availability,
-            message: `Found ${availability.length} days with available slots`
-        };
-    } catch (error) {
-        return {
-            success: false,
-            error: error.message
-        };
+// Implements the provider interface used by services/CalendarService.js.
+// `ghl` is the client's GhlClient (GhlClient.forClient).
+function createGHLCalendarProvider({ ghl, calendarId = null, businessHours = {} } = {}) {
+    const hours = resolveBusinessHours(businessHours);
+    let resolvedCalendarId = calendarId || ghl.calendarId;
+
+    async function getCalendarId() {
+        if (!resolvedCalendarId) {
+            resolvedCalendarId = (await setupCalendarForClient(ghl)).id;
+        }
+        return resolvedCalendarId;
     }
+
+    return {
+        name: 'GHL Calendar',
+        type: 'ghl',
+
+        async listAvailability(daysAhead = 7) {
+            try {
+                const availability = await findNextAvailableSlots(ghl, await getCalendarId(), daysAhead, hours);
+
+                return {
+                    success: true,
+                    provider: 'GHL Calendar',
+                    availability: availability,
+                    message: `Found ${availability.length} days with available slots`
+                };
+            } catch (error) {
+                return {
+                    success: false,
+                    error: error.message
+                };
+            }
+        },
+
+        async book(appointmentData) {
+            try {
+                return await bookAppointment(ghl, await getCalendarId(), appointmentData);
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        },
+
+        reschedule: (appointmentId, newTimes) => rescheduleAppointment(ghl, appointmentId, newTimes),
+        cancel: (appointmentId) => cancelAppointment(ghl, appointmentId),
+        getEvent: (appointmentId) => getAppointment(ghl, appointmentId)
+    };
 }
 
-async function bookEstimateAppointment(appointmentDetails) {
-    try {
-        const calendar = await setupCalendarForClient();
-        const result = await bookAppointment(calendar.id, appointmentDetails);
-        
-        return result;
-    } catch (error) {
-        return {
-            success: false,
-            error: error.message
-        };
-    }
+// ================================
+// 6. Main Integration Functions
+// ================================
+
+// `client` is a client record; its `ghl` settings pick the sub-account
+async function checkAvailabilityForAI(client, daysAhead = 7) {
+    return await createGHLCalendarProvider({
+        ghl: GhlClient.forClient(client),
+        businessHours: client?.business_hours
+    }).listAvailability(daysAhead);
+}
+
+async function bookEstimateAppointment(client, appointmentDetails) {
+    return await createGHLCalendarProvider({
+        ghl: GhlClient.forClient(client),
+        businessHours: client?.business_hours
+    }).book(appointmentDetails);
 }
 
 // ================================
-// 6. Export Functions for Integration
+// 7. Export Functions for Integration
 // ================================
 
 module.exports = {
+    // Calendar provider
+    createGHLCalendarProvider,
+    
     // Main functions for AI integration
     checkAvailabilityForAI,
     bookEstimateAppointment,
     
     // Utility functions
-    getAvailableSlots,
     findNextAvailableSlots,
     setupCalendarForClient,
     
@@ -320,15 +263,15 @@ module.exports = {
 };
 
 // ================================
-// 7. Example Usage for Testing
+// 8. Example Usage for Testing
 // ================================
 
-async function testCalendarIntegration() {
+async function testCalendarIntegration(client = {}) {
     console.log('🧪 Testing Calendar Integration...\n');
     
     // Test 1: Check availability
     console.log('1. Checking availability...');
-    const availability = await checkAvailabilityForAI();
+    const availability = await checkAvailabilityForAI(client);
     console.log('Availability result:', availability);
     
     if (availability.success && availability.availability.length > 0) {
@@ -349,7 +292,7 @@ async function testCalendarIntegration() {
             endTime: firstSlot.endTime
         };
         
-        const bookingResult = await bookEstimateAppointment(testAppointment);
+        const bookingResult = await bookEstimateAppointment(client, testAppointment);
         console.log('Booking result:', bookingResult);
     }
 }
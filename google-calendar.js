@@ -9,18 +9,15 @@ const GOOGLE_CONFIG = {
   calendarId: 'primary' // Use primary calendar, or set specific calendar ID
 };
 
-// Business Hours Configuration (same as before)
-const BUSINESS_HOURS = {
-  start: 9, // 9 AM
-  end: 17,  // 5 PM (17:00)
-  timezone: 'America/Los_Angeles' // Las Vegas timezone
-};
-
-const APPOINTMENT_CONFIG = {
-  duration: 60, // 1 hour in minutes
-  buffer: 60,   // 1 hour buffer between appointments
-  title: 'Estimate' // Will be "Estimate - John Smith"
-};
+// Business hours, appointment rules and slot generation are shared with ghl-calendar.js
+const {
+  BUSINESS_HOURS,
+  APPOINTMENT_CONFIG,
+  resolveBusinessHours,
+  findNextAvailableSlots,
+  buildAppointmentTitle,
+  buildAppointmentDescription
+} = require('./calendar-common');
 
 // ================================
 // 1. OAuth 2.0 Setup Functions
@@ -34,7 +31,7 @@ function createOAuth2Client() {
   );
 }
 
-function getAuthUrl() {
+function getAuthUrl(state) {
   const oauth2Client = createOAuth2Client();
   
   const scopes = [
@@ -45,7 +42,8 @@ function getAuthUrl() {
   const authUrl = oauth2Client.generateAuthUrl({
     access_type: 'offline',
     scope: scopes,
-    prompt: 'consent' // Force consent to get refresh token
+    prompt: 'consent', // Force consent to get refresh token
+    state: state
   });
 
   return authUrl;
@@ -63,31 +61,53 @@ async function getTokensFromCode(code) {
   }
 }
 
-function createAuthorizedClient(tokens) {
+function createAuthorizedClient(tokens, onTokens) {
   const oauth2Client = createOAuth2Client();
   oauth2Client.setCredentials(tokens);
+
+  // googleapis refreshes expired access tokens itself; hand them back for persisting
+  if (onTokens) {
+    oauth2Client.on('tokens', (newTokens) => {
+      Promise.resolve(onTokens(newTokens)).catch(error => {
+        console.error('❌ Failed to persist refreshed Google tokens:', error);
+      });
+    });
+  }
+
   return oauth2Client;
 }
 
-// ================================
-// 2. Calendar Helper Functions
-// ================================
+// A revoked or expired refresh token surfaces as an invalid_grant error (OAuth
+// endpoint) or a 401/UNAUTHENTICATED API error. API errors carry an object in
+// response.data.error ({ code, message, status, errors }), OAuth errors a string.
+function isReauthorizationError(error) {
+  const apiError = error?.response?.data?.error;
+  const reasons = [apiError, error?.message].filter(reason => typeof reason === 'string');
 
-function isBusinessHour(hour, minute = 0) {
-  return hour >= BUSINESS_HOURS.start && hour < BUSINESS_HOURS.end;
+  return reasons.some(reason => reason.includes('invalid_grant'))
+    || apiError?.status === 'UNAUTHENTICATED'
+    || error?.response?.status === 401
+    || error?.code === 401;
 }
 
-function isWeekday(date) {
-  const day = date.getDay();
-  return day >= 1 && day <= 5; // Monday = 1, Friday = 5
+// Per-client calendar settings fall back to the defaults above
+function resolveSettings(settings = {}) {
+  return {
+    calendarId: settings.calendarId || GOOGLE_CONFIG.calendarId,
+    businessHours: resolveBusinessHours(settings.businessHours)
+  };
 }
 
-async function getCalendarEvents(oauth2Client, startDate, endDate) {
+// ================================
+// 2. Calendar Helper Functions
+// ================================
+
+async function getCalendarEvents(oauth2Client, startDate, endDate, calendarId = GOOGLE_CONFIG.calendarId) {
   const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
   
   try {
     const response = await calendar.events.list({
-      calendarId: GOOGLE_CONFIG.calendarId,
+      calendarId: calendarId,
       timeMin: startDate,
       timeMax: endDate,
       singleEvents: true,
@@ -96,159 +116,52 @@ async function getCalendarEvents(oauth2Client, startDate, endDate) {
     
     return response.data.items || [];
   } catch (error) {
+    // Without valid credentials every slot would look free, so don't swallow auth errors
+    if (isReauthorizationError(error)) throw error;
+
     console.error('Error fetching calendar events:', error);
     return [];
   }
 }
 
-async function getAvailableSlots(oauth2Client, targetDate) {
-  const startOfDay = new Date(targetDate);
-  startOfDay.setHours(0, 0, 0, 0);
-  
-  const endOfDay = new Date(targetDate);
-  endOfDay.setHours(23, 59, 59, 999);
-  
-  // Get existing events for the day
-  const existingEvents = await getCalendarEvents(
-    oauth2Client,
-    startOfDay.toISOString(),
-    endOfDay.toISOString()
-  );
-  
-  const availableSlots = [];
-  
-  // Check if it's a weekday
-  if (!isWeekday(new Date(targetDate))) {
-    return availableSlots; // No weekend appointments
-  }
-  
-  // Generate all possible time slots for the day
-  for (let hour = BUSINESS_HOURS.start; hour < BUSINESS_HOURS.end; hour++) {
-    // Create slot time in Las Vegas timezone
-    const slotStart = new Date(targetDate);
-    slotStart.setHours(hour, 0, 0, 0);
-    
-    const slotEnd = new Date(slotStart);
-    slotEnd.setMinutes(slotEnd.getMinutes() + APPOINTMENT_CONFIG.duration);
-    
-    // Check if this slot conflicts with existing events (including buffer)
-    const hasConflict = existingEvents.some(event => {
-      const eventStart = new Date(event.start.dateTime || event.start.date);
-      const eventEnd = new Date(event.end.dateTime || event.end.date);
-      
-      // Add buffer time around existing events
-      const bufferStart = new Date(eventStart);
-      bufferStart.setMinutes(bufferStart.getMinutes() - APPOINTMENT_CONFIG.buffer);
-      
-      const bufferEnd = new Date(eventEnd);
-      bufferEnd.setMinutes(bufferEnd.getMinutes() + APPOINTMENT_CONFIG.buffer);
-      
-      // Check for overlap with buffer zone
-      return (slotStart < bufferEnd && slotEnd > bufferStart);
-    });
-    
-    if (!hasConflict) {
-      // Create proper Las Vegas time display
-      const displayHour = hour > 12 ? hour - 12 : (hour === 0 ? 12 : hour);
-      const ampm = hour >= 12 ? 'PM' : 'AM';
-      const displayTime = `${displayHour}:00 ${ampm}`;
-      
-      availableSlots.push({
-        startTime: slotStart.toISOString(),
-        endTime: slotEnd.toISOString(),
-        displayTime: displayTime,
-        displayDate: slotStart.toLocaleDateString('en-US', {
-          weekday: 'long',
-          month: 'long', 
-          day: 'numeric'
-        }),
-        hour: hour,
-        vegasTime: displayTime
-      });
-    }
-  }
-  
-  return availableSlots;
+function toEventRange(event) {
+  return {
+    start: event.start.dateTime || event.start.date,
+    end: event.end.dateTime || event.end.date
+  };
 }
 
-async function findNextAvailableSlots(oauth2Client, daysAhead = 14) {
-  const availableSlots = [];
-  const today = new Date();
-  
-  for (let i = 0; i < daysAhead; i++) {
-    const checkDate = new Date(today);
-    checkDate.setDate(today.getDate() + i);
-    
-    const daySlots = await getAvailableSlots(oauth2Client, checkDate);
-    
-    if (daySlots.length > 0) {
-      availableSlots.push({
-        date: checkDate.toDateString(),
-        dateFormatted: checkDate.toLocaleDateString('en-US', {
-          weekday: 'long',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric'
-        }),
-        slots: daySlots
-      });
-    }
-    
-    // Stop if we have enough options (e.g., 5 days with availability)
-    if (availableSlots.length >= 5) break;
-  }
-  
-  return availableSlots;
+function normalizeEvent(event) {
+  return {
+    id: event.id,
+    title: event.summary,
+    status: event.status,
+    startTime: event.start?.dateTime || event.start?.date,
+    endTime: event.end?.dateTime || event.end?.date,
+    link: event.htmlLink
+  };
 }
 
 // ================================
 // 3. Appointment Booking Functions
 // ================================
 
-async function bookEstimateAppointment(oauth2Client, appointmentData) {
+async function bookEstimateAppointment(oauth2Client, appointmentData, settings = {}) {
   const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+  const { calendarId, businessHours } = resolveSettings(settings);
   
-  const {
-    clientName,
-    clientPhone,
-    clientEmail,
-    homeAddress,
-    estimateType,
-    callSummary,
-    startTime,
-    endTime
-  } = appointmentData;
-  
-  // Create appointment title
-  const title = `${APPOINTMENT_CONFIG.title} - ${clientName}`;
-  
-  // Create detailed description
-  const description = `🏠 ESTIMATE APPOINTMENT
-
-📋 Client Information:
-• Name: ${clientName}
-• Phone: ${clientPhone}
-• Email: ${clientEmail}
-• Address: ${homeAddress}
-
-🔨 Estimate Type: ${estimateType}
-
-📞 Call Summary:
-${callSummary}
-
-⏰ Scheduled by AI Lead Manager (Carl)
-📅 Booked via Nuviao AI System`;
+  const { clientName, clientEmail, startTime, endTime } = appointmentData;
   
   const event = {
-    summary: title,
-    description: description,
+    summary: buildAppointmentTitle(clientName),
+    description: buildAppointmentDescription(appointmentData),
     start: {
       dateTime: startTime,
-      timeZone: BUSINESS_HOURS.timezone,
+      timeZone: businessHours.timezone,
     },
     end: {
       dateTime: endTime,
-      timeZone: BUSINESS_HOURS.timezone,
+      timeZone: businessHours.timezone,
     },
     attendees: [
       { email: clientEmail, displayName: clientName }
@@ -264,7 +177,7 @@ ${callSummary}
   
   try {
     const response = await calendar.events.insert({
-      calendarId: GOOGLE_CONFIG.calendarId,
+      calendarId: calendarId,
       resource: event,
       sendUpdates: 'all', // Send email invitations
     });
@@ -281,56 +194,164 @@ ${callSummary}
     console.error('❌ Failed to create Google Calendar appointment:', error);
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      reauthorizationRequired: isReauthorizationError(error)
     };
   }
 }
 
-// ================================
-// 4. Main Integration Functions
-// ================================
+async function rescheduleEstimateAppointment(oauth2Client, eventId, newTimes, settings = {}) {
+  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+  const { calendarId, businessHours } = resolveSettings(settings);
 
-async function checkAvailabilityWithGoogle(tokens, daysAhead = 7) {
   try {
-    const oauth2Client = createAuthorizedClient(tokens);
-    const availability = await findNextAvailableSlots(oauth2Client, daysAhead);
-    
+    const response = await calendar.events.patch({
+      calendarId: calendarId,
+      eventId: eventId,
+      resource: {
+        start: { dateTime: newTimes.startTime, timeZone: businessHours.timezone },
+        end: { dateTime: newTimes.endTime, timeZone: businessHours.timezone }
+      },
+      sendUpdates: 'all'
+    });
+
+    console.log('✅ Google Calendar appointment rescheduled:', eventId);
+    return { success: true, appointmentId: eventId, appointment: response.data };
+  } catch (error) {
+    console.error('❌ Failed to reschedule Google Calendar appointment:', error);
     return {
-      success: true,
-      provider: 'Google Calendar',
-      availability: availability,
-      message: `Found ${availability.length} days with available slots`
+      success: false,
+      error: error.message,
+      reauthorizationRequired: isReauthorizationError(error)
     };
+  }
+}
+
+async function cancelEstimateAppointment(oauth2Client, eventId, settings = {}) {
+  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+  const { calendarId } = resolveSettings(settings);
+
+  try {
+    await calendar.events.delete({
+      calendarId: calendarId,
+      eventId: eventId,
+      sendUpdates: 'all' // Let the homeowner know the estimate is off
+    });
+
+    console.log('✅ Google Calendar appointment cancelled:', eventId);
+    return { success: true, appointmentId: eventId };
   } catch (error) {
+    console.error('❌ Failed to cancel Google Calendar appointment:', error);
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      reauthorizationRequired: isReauthorizationError(error)
     };
   }
 }
 
-async function bookAppointmentWithGoogle(tokens, appointmentDetails) {
+async function getEstimateAppointment(oauth2Client, eventId, settings = {}) {
+  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+  const { calendarId } = resolveSettings(settings);
+
   try {
-    const oauth2Client = createAuthorizedClient(tokens);
-    const result = await bookEstimateAppointment(oauth2Client, appointmentDetails);
-    
-    return result;
+    const response = await calendar.events.get({ calendarId: calendarId, eventId: eventId });
+    return { success: true, appointment: normalizeEvent(response.data) };
   } catch (error) {
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      reauthorizationRequired: isReauthorizationError(error)
     };
   }
 }
 
 // ================================
-// 5. Export Functions
+// 4. Calendar Provider
+// ================================
+
+// Implements the provider interface used by services/CalendarService.js
+function createGoogleCalendarProvider({ tokens, calendarId, businessHours, onTokens }) {
+  const oauth2Client = createAuthorizedClient(tokens, onTokens);
+  const settings = { calendarId, businessHours };
+  const { calendarId: resolvedCalendarId } = resolveSettings(settings);
+
+  return {
+    name: 'Google Calendar',
+    type: 'google',
+
+    async listAvailability(daysAhead = 7) {
+      try {
+        const availability = await findNextAvailableSlots(
+          async (start, end) => (await getCalendarEvents(oauth2Client, start, end, resolvedCalendarId)).map(toEventRange),
+          daysAhead,
+          businessHours
+        );
+
+        return {
+          success: true,
+          provider: 'Google Calendar',
+          availability: availability,
+          message: `Found ${availability.length} days with available slots`
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          reauthorizationRequired: isReauthorizationError(error)
+        };
+      }
+    },
+
+    book: (appointmentData) => bookEstimateAppointment(oauth2Client, appointmentData, settings),
+    reschedule: (eventId, newTimes) => rescheduleEstimateAppointment(oauth2Client, eventId, newTimes, settings),
+    cancel: (eventId) => cancelEstimateAppointment(oauth2Client, eventId, settings),
+    getEvent: (eventId) => getEstimateAppointment(oauth2Client, eventId, settings)
+  };
+}
+
+// ================================
+// 5. Main Integration Functions
+// ================================
+
+async function checkAvailabilityWithGoogle(tokens, daysAhead = 7, settings = {}) {
+  try {
+    const provider = createGoogleCalendarProvider({ tokens, ...settings });
+    return await provider.listAvailability(daysAhead);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      reauthorizationRequired: isReauthorizationError(error)
+    };
+  }
+}
+
+async function bookAppointmentWithGoogle(tokens, appointmentDetails, settings = {}) {
+  try {
+    const provider = createGoogleCalendarProvider({ tokens, ...settings });
+    return await provider.book(appointmentDetails);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      reauthorizationRequired: isReauthorizationError(error)
+    };
+  }
+}
+
+// ================================
+// 6. Export Functions
 // ================================
 
 module.exports = {
   // OAuth functions
   getAuthUrl,
   getTokensFromCode,
+  isReauthorizationError,
+  
+  // Calendar provider
+  createGoogleCalendarProvider,
   
   // Main functions for AI integration
   checkAvailabilityWithGoogle,
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// Protects the /api routes and the operator-only /webhook endpoints (queue
+// listings, manual dispatch passes) with ADMIN_API_KEY, sent as
+// `Authorization: Bearer <key>` or `x-api-key: <key>`.
+// Without ADMIN_API_KEY every request is refused; local development can open
+// the routes with ADMIN_API_AUTH_DISABLED=true.
+function requireApiKey(req, res, next) {
+  if (process.env.ADMIN_API_AUTH_DISABLED === 'true') {
+    return next();
+  }
+
+  const apiKey = process.env.ADMIN_API_KEY;
+  if (!apiKey) {
+    console.warn(`🚫 Rejected ${req.method} ${req.originalUrl}: ADMIN_API_KEY not configured`);
+    return res.status(503).json({ success: false, error: 'ADMIN_API_KEY not configured' });
+  }
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  const provided = bearer ? bearer[1] : req.get('x-api-key') || '';
+
+  const expectedBuffer = Buffer.from(apiKey);
+  const providedBuffer = Buffer.from(provided);
+  if (expectedBuffer.length !== providedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, providedBuffer)) {
+    return res.status(401).json({ success: false, error: 'Invalid API key' });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireApiKey
+};
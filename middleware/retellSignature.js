@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// Retell signs every webhook and custom-function request with
+// x-retell-signature: v=<timestamp ms>,d=<hex HMAC-SHA256(body + timestamp, api key)>
+const SIGNATURE_PATTERN = /^v=(\d+),d=([0-9a-f]+)$/i;
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000;
+
+// Signatures seen within the tolerance window, used to reject replays
+const seenSignatures = new Map();
+
+function digestFor(rawBody, apiKey, timestamp) {
+  return crypto
+    .createHmac('sha256', apiKey)
+    .update(rawBody + timestamp)
+    .digest('hex');
+}
+
+function computeSignature(rawBody, apiKey, timestamp) {
+  return `v=${timestamp},d=${digestFor(rawBody, apiKey, timestamp)}`;
+}
+
+function checkSignature(rawBody, signature, apiKey, now = Date.now()) {
+  const match = SIGNATURE_PATTERN.exec(signature || '');
+  if (!match) return { valid: false, reason: 'missing or malformed signature' };
+
+  const timestamp = Number(match[1]);
+  const digest = match[2].toLowerCase();
+
+  if (Math.abs(now - timestamp) > MAX_SIGNATURE_AGE_MS) {
+    return { valid: false, reason: 'stale signature timestamp' };
+  }
+
+  const expectedBuffer = Buffer.from(digestFor(rawBody, apiKey, timestamp), 'hex');
+  const digestBuffer = Buffer.from(digest, 'hex');
+  if (expectedBuffer.length !== digestBuffer.length || !crypto.timingSafeEqual(expectedBuffer, digestBuffer)) {
+    return { valid: false, reason: 'signature mismatch' };
+  }
+
+  pruneSeenSignatures(now);
+  if (seenSignatures.has(digest)) {
+    return { valid: false, reason: 'replayed request' };
+  }
+  seenSignatures.set(digest, timestamp);
+
+  return { valid: true };
+}
+
+function pruneSeenSignatures(now) {
+  for (const [digest, timestamp] of seenSignatures) {
+    if (now - timestamp > MAX_SIGNATURE_AGE_MS) seenSignatures.delete(digest);
+  }
+}
+
+// Express middleware for Retell routes. Requires express.json to capture req.rawBody
+// and, on tenant routes, req.client to be resolved so per-client API keys are honored.
+function verifyRetellSignature(req, res, next) {
+  if (process.env.RETELL_SKIP_SIGNATURE_VERIFICATION === 'true') {
+    return next();
+  }
+
+  const apiKey = req.client?.retell_api_key || process.env.RETELL_API_KEY;
+  const result = apiKey
+    ? checkSignature(req.rawBody || '', req.get('x-retell-signature'), apiKey)
+    : { valid: false, reason: 'RETELL_API_KEY not configured' };
+
+  if (!result.valid) {
+    console.warn(`🚫 Rejected Retell request ${req.method} ${req.originalUrl} from ${req.ip}: ${result.reason}`);
+    return res.status(401).json({ success: false, error: 'Invalid Retell signature' });
+  }
+
+  next();
+}
+
+module.exports = {
+  verifyRetellSignature,
+  computeSignature,
+  checkSignature
+};
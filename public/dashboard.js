@@ -0,0 +1,318 @@
+// Operations dashboard. Everything comes from the JSON endpoints under /api;
+// the API key (ADMIN_API_KEY) is kept in localStorage and sent as x-api-key.
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const state = {
+    client: localStorage.getItem('dashboardClient') || '',
+    timezone: undefined
+};
+
+// ================================
+// HELPERS
+// ================================
+
+// Builds an element; children may be strings, elements or arrays of either
+function el(tag, attributes = {}, ...children) {
+    const element = document.createElement(tag);
+
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (value === undefined || value === null || value === false) return;
+        if (name === 'onclick') element.addEventListener('click', value);
+        else if (name === 'className') element.className = value;
+        else element.setAttribute(name, value);
+    });
+
+    children.flat().forEach(child => {
+        if (child === undefined || child === null) return;
+        element.append(child instanceof Node ? child : String(child));
+    });
+
+    return element;
+}
+
+function badge(value) {
+    return el('span', { className: `badge ${value || ''}` }, (value || 'unknown').replace(/_/g, ' '));
+}
+
+function formatTime(value, options = {}) {
+    if (!value) return '—';
+    const date = new Date(value);
+    if (isNaN(date)) return value;
+
+    return date.toLocaleString([], {
+        timeZone: state.timezone,
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        ...options
+    });
+}
+
+function formatDuration(seconds) {
+    if (!seconds) return '—';
+    return `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+}
+
+function fillTable(tbody, rows, columns, emptyText) {
+    tbody.replaceChildren();
+
+    if (!rows.length) {
+        tbody.append(el('tr', {}, el('td', { className: 'empty', colspan: columns }, emptyText)));
+        return;
+    }
+
+    rows.forEach(row => tbody.append(row));
+}
+
+function showError(message) {
+    const box = document.getElementById('error');
+    box.textContent = message;
+    box.hidden = !message;
+}
+
+async function api(path, params = {}) {
+    const url = new URL(`/api${path}`, window.location.origin);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') url.searchParams.set(key, value);
+    });
+
+    const headers = {};
+    const apiKey = localStorage.getItem('dashboardApiKey');
+    if (apiKey) headers['x-api-key'] = apiKey;
+
+    const response = await fetch(url, { headers });
+    const body = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+        throw new Error('Unauthorized: set the dashboard API key (ADMIN_API_KEY)');
+    }
+    if (!response.ok || body.success === false) {
+        throw new Error(body.error || `Request failed (${response.status})`);
+    }
+    return body;
+}
+
+// ================================
+// PANELS
+// ================================
+
+async function loadSystem() {
+    const status = await api('/status');
+    const list = document.getElementById('systemList');
+    const check = ok => (ok ? '✅' : '❌');
+
+    list.replaceChildren(
+        el('li', {}, `${check(true)} Storage: ${status.storage}${status.database ? ' (Supabase connected)' : ''}`),
+        el('li', {}, `${check(status.retell)} Retell AI`),
+        el('li', {}, `${check(status.ghl)} GHL Private Integration`),
+        status.calendars.map(calendar => el('li', {},
+            `${calendar.authorized ? '✅' : calendar.status === 'reauth_required' ? '⚠️' : '❌'} `,
+            `${calendar.provider === 'ghl' ? 'GHL Calendar' : 'Google Calendar'} (${calendar.client}) `,
+            calendar.authorize_url ? el('a', { href: calendar.authorize_url }, 'Authorize') : null
+        ))
+    );
+
+    const select = document.getElementById('clientSelect');
+    if (!select.options.length) {
+        status.clients.forEach(client => select.append(el('option', { value: client.slug }, client.name || client.slug)));
+        if (!status.clients.some(client => client.slug === state.client)) {
+            state.client = status.clients[0]?.slug || '';
+        }
+        select.value = state.client;
+    }
+}
+
+async function loadCalls() {
+    const data = await api('/dashboard/calls/today', { client: state.client });
+    state.timezone = data.timezone;
+
+    document.getElementById('callsDate').textContent = `${data.date} · ${data.total} calls`;
+    document.getElementById('outcomeTiles').replaceChildren(
+        ...Object.entries(data.outcomes).map(([outcome, count]) =>
+            el('div', { className: 'tile' }, el('strong', {}, count), el('span', {}, outcome.replace(/_/g, ' ')))
+        )
+    );
+
+    const rows = data.calls.slice().reverse().map(call => el('tr', { className: 'clickable', onclick: () => openLead(call.lead_id) },
+        el('td', {}, formatTime(call.call_time, { month: undefined, day: undefined })),
+        el('td', {}, call.lead_name || `Lead ${call.lead_id}`),
+        el('td', {}, badge(call.outcome)),
+        el('td', {}, formatDuration(call.duration)),
+        el('td', {}, call.notes || '')
+    ));
+    fillTable(document.getElementById('callsBody'), rows, 5, 'No calls yet today');
+}
+
+async function loadPipeline() {
+    const data = await api('/dashboard/pipeline', { client: state.client });
+    document.getElementById('pipelineTotal').textContent = `${data.total} leads`;
+
+    document.getElementById('board').replaceChildren(...data.columns.map(column =>
+        el('div', { className: 'column' },
+            el('h3', {}, `${column.status.replace(/_/g, ' ')} (${column.count})`),
+            column.leads.map(lead => el('div', { className: 'card', onclick: () => openLead(lead.id) },
+                el('div', {}, el('strong', {}, lead.name || 'Unnamed lead')),
+                el('div', { className: 'meta' }, lead.phone || ''),
+                el('div', { className: 'meta' }, [lead.custom_fields?.project_type, formatTime(lead.created_at)].filter(Boolean).join(' · ')),
+                column.status === 'other' ? badge(lead.status) : null
+            )),
+            column.count > column.leads.length
+                ? el('div', { className: 'meta' }, `+ ${column.count - column.leads.length} more`)
+                : null
+        )
+    ));
+}
+
+async function loadCallbacks() {
+    const data = await api('/dashboard/callbacks/upcoming', { client: state.client });
+
+    const rows = data.callbacks.map(callback => el('tr', { className: 'clickable', onclick: () => openLead(callback.lead_id) },
+        el('td', {}, formatTime(callback.scheduled_time)),
+        el('td', {}, callback.leads?.name || `Lead ${callback.lead_id}`),
+        el('td', {}, callback.leads?.phone || ''),
+        el('td', {}, callback.predicted_score ?? '—')
+    ));
+    fillTable(document.getElementById('callbacksBody'), rows, 4, `No callbacks in the next ${data.hours} hours`);
+}
+
+async function loadAppointments() {
+    const data = await api('/dashboard/appointments/upcoming', { client: state.client });
+
+    const rows = data.appointments.map(appointment => el('tr', { className: 'clickable', onclick: () => openLead(appointment.lead_id) },
+        el('td', {}, formatTime(appointment.start_time, { weekday: 'short' })),
+        el('td', {}, appointment.lead_name || `Lead ${appointment.lead_id}`),
+        el('td', {}, appointment.lead_phone || ''),
+        el('td', {}, appointment.address || '')
+    ));
+    fillTable(document.getElementById('appointmentsBody'), rows, 4, 'No upcoming appointments');
+}
+
+async function search(query) {
+    const section = document.getElementById('search');
+    section.hidden = !query;
+    if (!query) return;
+
+    const data = await api('/leads', { client: state.client, q: query, limit: 25 });
+    const rows = data.leads.map(lead => el('tr', { className: 'clickable', onclick: () => openLead(lead.id) },
+        el('td', {}, lead.name || 'Unnamed lead'),
+        el('td', {}, lead.phone || ''),
+        el('td', {}, badge(lead.status)),
+        el('td', {}, lead.custom_fields?.project_type || ''),
+        el('td', {}, formatTime(lead.created_at))
+    ));
+    fillTable(document.getElementById('searchBody'), rows, 5, `No leads match "${query}"`);
+}
+
+// ================================
+// LEAD DRILL-DOWN
+// ================================
+
+async function openLead(leadId) {
+    try {
+        const [data, activity] = await Promise.all([
+            api(`/dashboard/leads/${encodeURIComponent(leadId)}`, { client: state.client }),
+            api(`/leads/${encodeURIComponent(leadId)}/timeline`, { client: state.client, order: 'desc' })
+        ]);
+        const { lead } = data;
+        const fields = lead.custom_fields || {};
+
+        const details = [
+            ['Phone', lead.phone],
+            ['Email', lead.email],
+            ['Source', lead.source],
+            ['Project', fields.project_type],
+            ['Notes', fields.project_notes],
+            ['Address', fields.full_address],
+            ['Timezone', fields.timezone && `${fields.timezone} (${fields.timezone_source || 'unknown'})`],
+            ['Appointment', lead.appointment_time && formatTime(lead.appointment_time)],
+            ['Created', formatTime(lead.created_at)],
+            ['UUID', fields.uuid]
+        ].filter(([, value]) => value);
+
+        document.getElementById('leadDetailBody').replaceChildren(
+            el('h2', {}, lead.name || 'Unnamed lead', ' ', badge(lead.status)),
+            el('dl', {}, details.map(([label, value]) => [el('dt', {}, label), el('dd', {}, value)])),
+
+            el('h3', {}, `Calls (${data.calls.length})`),
+            detailTable(['Time', 'Outcome', 'Duration', 'Notes'], data.calls.map(call => [
+                formatTime(call.call_time), badge(call.outcome), formatDuration(call.duration), call.notes || ''
+            ])),
+
+            el('h3', {}, `Callbacks (${data.callbacks.length})`),
+            detailTable(['Scheduled', 'Status', 'Score'], data.callbacks.map(callback => [
+                formatTime(callback.scheduled_time), badge(callback.status), callback.predicted_score ?? '—'
+            ])),
+
+            el('h3', {}, `Appointments (${data.appointments.length})`),
+            detailTable(['Start', 'Status', 'Address'], data.appointments.map(appointment => [
+                formatTime(appointment.start_time, { weekday: 'short' }), badge(appointment.status), appointment.address || ''
+            ])),
+
+            el('h3', {}, `Activity (${activity.count})`),
+            detailTable(['Time', 'Event'], activity.timeline.map(entry => [
+                formatTime(entry.time), entry.summary
+            ]))
+        );
+
+        document.getElementById('leadDetail').hidden = false;
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+function detailTable(headers, rows) {
+    if (!rows.length) return el('p', { className: 'muted' }, 'None');
+
+    return el('table', {},
+        el('thead', {}, el('tr', {}, headers.map(header => el('th', {}, header)))),
+        el('tbody', {}, rows.map(cells => el('tr', {}, cells.map(cell => el('td', {}, cell)))))
+    );
+}
+
+// ================================
+// WIRING
+// ================================
+
+async function refresh() {
+    try {
+        showError('');
+        await loadSystem();
+        // Calls first: it tells us the client's timezone for formatting the rest
+        await loadCalls();
+        await Promise.all([loadPipeline(), loadCallbacks(), loadAppointments()]);
+        await search(document.getElementById('searchInput').value.trim());
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+document.getElementById('clientSelect').addEventListener('change', event => {
+    state.client = event.target.value;
+    localStorage.setItem('dashboardClient', state.client);
+    refresh();
+});
+
+document.getElementById('searchForm').addEventListener('submit', event => {
+    event.preventDefault();
+    search(document.getElementById('searchInput').value.trim()).catch(error => showError(error.message));
+});
+
+document.getElementById('refreshButton').addEventListener('click', refresh);
+
+document.getElementById('apiKeyButton').addEventListener('click', () => {
+    const apiKey = window.prompt('Dashboard API key (ADMIN_API_KEY):', localStorage.getItem('dashboardApiKey') || '');
+    if (apiKey === null) return;
+
+    if (apiKey) localStorage.setItem('dashboardApiKey', apiKey);
+    else localStorage.removeItem('dashboardApiKey');
+    refresh();
+});
+
+document.getElementById('closeDetail').addEventListener('click', () => {
+    document.getElementById('leadDetail').hidden = true;
+});
+
+refresh();
+setInterval(refresh, REFRESH_INTERVAL_MS);
@@ -0,0 +1,63 @@
+const express = require('express');
+const { parseDateBound } = require('../utils/timezone');
+const storage = require('../storage');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Call transcripts and search across them. Mounted under /api; the tenant comes
+// from ?client=<slug>.
+module.exports = function callRoutes({ clientRegistry, callRecorder }) {
+  const router = express.Router();
+
+  router.use('/calls', clientRegistry.resolveQuery());
+
+  // ?q=financing&lead_id=&outcome=&direction=&from=&to=&limit=&offset=
+  // `q` is a phrase matched in transcripts and summaries; dates are the client's local days.
+  // Without filters, lists the latest calls.
+  router.get('/calls/search', async (req, res) => {
+    try {
+      const { q, lead_id, outcome, direction } = req.query;
+      const timezone = req.client.business_hours.timezone;
+      const from = parseDateBound(req.query.from, timezone, 'start');
+      const to = parseDateBound(req.query.to, timezone, 'end');
+
+      if (from === null || to === null) {
+        return res.status(400).json({ success: false, error: 'from and to must be YYYY-MM-DD dates or ISO timestamps' });
+      }
+
+      const phrase = String(q || '').trim();
+      const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const result = await callRecorder.search(req.client, {
+        phrase,
+        leadId: lead_id,
+        outcome,
+        direction,
+        from,
+        to
+      }, { limit, offset });
+
+      res.json({ success: true, total: result.total, limit, offset, calls: result.calls });
+    } catch (error) {
+      console.error('❌ Call search error:', error);
+      res.status(500).json({ success: false, error: 'Failed to search calls' });
+    }
+  });
+
+  // Full record of one call: transcript, analysis and function calls
+  router.get('/calls/:callId', async (req, res) => {
+    try {
+      const call = await storage.callTranscripts.findByCallId(req.client.id, req.params.callId);
+      if (!call) {
+        return res.status(404).json({ success: false, error: 'Call not found' });
+      }
+      res.json({ success: true, call });
+    } catch (error) {
+      console.error('❌ Get call error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get call' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,109 @@
+const express = require('express');
+const { parseCsv } = require('../utils/csv');
+const storage = require('../storage');
+
+// Do-not-call list management and compliance audit endpoints.
+// Mounted under /api; the tenant comes from ?client=<slug>.
+module.exports = function complianceRoutes({ clientRegistry, complianceGate, dialer }) {
+  const router = express.Router();
+  const dncList = complianceGate.dncList;
+
+  router.use(clientRegistry.resolveQuery());
+
+  // List DNC entries
+  router.get('/dnc', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await dncList.list(req.client.id, { limit, offset });
+    res.status(result.success ? 200 : 500).json(result);
+  });
+
+  // Add a single number
+  router.post('/dnc', async (req, res) => {
+    const { phone, reason } = req.body || {};
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'phone is required' });
+    }
+
+    const result = await dncList.add(phone, req.client.id, { reason: reason || 'manual', source: 'api' });
+    if (result.success) await dialer.cancelForPhones(req.client, [phone], 'Number added to the DNC list');
+    res.status(result.success ? 201 : 400).json(result);
+  });
+
+  router.delete('/dnc/:phone', async (req, res) => {
+    const result = await dncList.remove(req.params.phone, req.client.id);
+    res.status(result.success ? 200 : 400).json(result);
+  });
+
+  // Bulk import: a CSV body (text/csv, phone in the "phone" column or the first column)
+  // or JSON { phones: [...], reason }
+  router.post('/dnc/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+    try {
+      let phones;
+      let reason = 'imported';
+
+      if (typeof req.body === 'string') {
+        const rows = parseCsv(req.body);
+        const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+        const phoneColumn = header.findIndex(cell => cell === 'phone' || cell === 'phone_number');
+
+        // No recognizable header: every row is data, phone in the first column
+        const dataRows = phoneColumn === -1 ? rows : rows.slice(1);
+        phones = dataRows.map(row => row[Math.max(phoneColumn, 0)]);
+        reason = req.query.reason || reason;
+      } else {
+        phones = Array.isArray(req.body?.phones) ? req.body.phones : null;
+        reason = req.body?.reason || reason;
+      }
+
+      if (!phones || phones.length === 0) {
+        return res.status(400).json({ success: false, error: 'No phone numbers provided' });
+      }
+
+      const result = await dncList.importNumbers(phones, req.client.id, { reason, source: 'import' });
+      if (result.success) await dialer.cancelForPhones(req.client, phones, 'Number added to the DNC list');
+      res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      console.error('❌ DNC import error:', error);
+      res.status(500).json({ success: false, error: 'Failed to import DNC list' });
+    }
+  });
+
+  // Dry run: would a call to this lead be allowed right now?
+  router.get('/compliance/check/:leadId', async (req, res) => {
+    try {
+      const lead = await storage.leads.findById(req.params.leadId, req.client.id);
+
+      if (!lead) {
+        return res.status(404).json({ success: false, error: 'Lead not found' });
+      }
+
+      const decision = await complianceGate.check(lead, req.client);
+      res.json({ success: true, lead_id: lead.id, ...decision });
+    } catch (error) {
+      console.error('❌ Compliance check error:', error);
+      res.status(500).json({ success: false, error: 'Failed to check compliance' });
+    }
+  });
+
+  // Audit log of allowed and blocked call attempts
+  // ?lead_id=&allowed=true|false&rule=&limit=
+  router.get('/compliance/log', async (req, res) => {
+    try {
+      const entries = await storage.complianceLog.listByClient(req.client.id, {
+        leadId: req.query.lead_id,
+        allowed: req.query.allowed ? req.query.allowed === 'true' : undefined,
+        rule: req.query.rule,
+        limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+      });
+
+      res.json({ success: true, entries });
+    } catch (error) {
+      console.error('❌ Compliance log error:', error);
+      res.status(500).json({ success: false, error: 'Failed to load compliance log' });
+    }
+  });
+
+  return router;
+};
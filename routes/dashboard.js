@@ -0,0 +1,173 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const CallOutcomeClassifier = require('../services/CallOutcomeClassifier');
+const storage = require('../storage');
+
+// Board columns in pipeline order; leads in any other status are grouped under "other"
+const PIPELINE_STATUSES = ['new', 'appointment_booked', 'appointment_cancelled', 'transferred', 'not_interested', 'disqualified', 'wrong_number', 'do_not_call'];
+const LEADS_PER_COLUMN = 25;
+
+// JSON behind the operations dashboard in public/. Mounted under /api;
+// everything except /status is scoped to ?client=<slug>.
+module.exports = function dashboardRoutes({ clientRegistry, calendarService }) {
+  const router = express.Router();
+
+  // System integrations and calendar authorization for every client
+  router.get('/status', async (req, res) => {
+    try {
+      const clients = await clientRegistry.listClients();
+      const calendars = await Promise.all(clients.map(async client => {
+        const status = await calendarService.getStatus(client);
+        return {
+          client: client.slug,
+          provider: status.provider,
+          authorized: status.authorized,
+          status: status.status,
+          authorize_url: !status.authorized && status.provider === 'google' ? `/auth/google/${client.slug}` : null
+        };
+      }));
+
+      res.json({
+        success: true,
+        storage: storage.backendName(),
+        database: Boolean(global.supabase),
+        retell: Boolean(process.env.RETELL_API_KEY && process.env.RETELL_AGENT_ID),
+        ghl: Boolean(process.env.GHL_API_KEY),
+        clients: clients.map(client => ({ slug: client.slug, name: client.name })),
+        calendars
+      });
+    } catch (error) {
+      console.error('❌ Dashboard status error:', error);
+      res.status(500).json({ success: false, error: 'Failed to load system status' });
+    }
+  });
+
+  router.use('/dashboard', clientRegistry.resolveQuery());
+
+  // Lead counts and the newest leads per status
+  router.get('/dashboard/pipeline', async (req, res) => {
+    try {
+      const clientId = req.client.id;
+
+      const columns = await Promise.all(PIPELINE_STATUSES.map(async status => {
+        const [count, page] = await Promise.all([
+          storage.leads.count({ client_id: clientId, status }),
+          storage.leads.listPage(clientId, { where: { status }, limit: LEADS_PER_COLUMN })
+        ]);
+        return { status, count, leads: page.rows };
+      }));
+
+      const otherWhere = { and: PIPELINE_STATUSES.map(status => ({ status: { neq: status } })) };
+      const [otherCount, otherPage] = await Promise.all([
+        storage.leads.count({ client_id: clientId, ...otherWhere }),
+        storage.leads.listPage(clientId, { where: otherWhere, limit: LEADS_PER_COLUMN })
+      ]);
+
+      if (otherCount > 0) {
+        columns.push({ status: 'other', count: otherCount, leads: otherPage.rows });
+      }
+
+      const total = columns.reduce((sum, column) => sum + column.count, 0);
+      res.json({ success: true, total, columns });
+    } catch (error) {
+      console.error('❌ Dashboard pipeline error:', error);
+      res.status(500).json({ success: false, error: 'Failed to load pipeline' });
+    }
+  });
+
+  // Calls since midnight in the client's timezone, with outcome totals
+  router.get('/dashboard/calls/today', async (req, res) => {
+    try {
+      const timezone = req.client.business_hours.timezone;
+      const startOfDay = moment().tz(timezone).startOf('day');
+
+      const calls = await storage.callHistory.listByClientSince(req.client.id, startOfDay.toISOString());
+      const leads = await storage.leads.findByIds([...new Set(calls.map(call => call.lead_id))]);
+      const namesById = new Map(leads.map(lead => [String(lead.id), lead.name]));
+
+      const outcomes = Object.fromEntries(Object.values(CallOutcomeClassifier.OUTCOMES).map(outcome => [outcome, 0]));
+      calls.forEach(call => {
+        const outcome = CallOutcomeClassifier.normalizeOutcome(call.outcome) || call.outcome || 'unknown';
+        outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+      });
+
+      res.json({
+        success: true,
+        date: startOfDay.format('YYYY-MM-DD'),
+        timezone,
+        total: calls.length,
+        outcomes,
+        calls: calls.map(call => ({ ...call, lead_name: namesById.get(String(call.lead_id)) || null }))
+      });
+    } catch (error) {
+      console.error('❌ Dashboard calls error:', error);
+      res.status(500).json({ success: false, error: "Failed to load today's calls" });
+    }
+  });
+
+  // Scheduled callbacks in the next ?hours= (default 48), soonest first
+  router.get('/dashboard/callbacks/upcoming', async (req, res) => {
+    try {
+      const hours = Math.min(parseInt(req.query.hours) || 48, 24 * 14);
+      const now = moment();
+
+      const callbacks = await storage.callbackQueue.listScheduledWithLeads({
+        clientId: req.client.id,
+        from: now.toISOString(),
+        to: now.clone().add(hours, 'hours').toISOString()
+      });
+      callbacks.sort((a, b) => new Date(a.scheduled_time) - new Date(b.scheduled_time));
+
+      res.json({ success: true, hours, count: callbacks.length, callbacks });
+    } catch (error) {
+      console.error('❌ Dashboard callbacks error:', error);
+      res.status(500).json({ success: false, error: 'Failed to load upcoming callbacks' });
+    }
+  });
+
+  // Booked appointments from now on
+  router.get('/dashboard/appointments/upcoming', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const appointments = await storage.appointments.listUpcoming(req.client.id, new Date().toISOString(), limit);
+
+      const leads = await storage.leads.findByIds([...new Set(appointments.map(appointment => appointment.lead_id))]);
+      const leadsById = new Map(leads.map(lead => [String(lead.id), lead]));
+
+      res.json({
+        success: true,
+        count: appointments.length,
+        appointments: appointments.map(appointment => {
+          const lead = leadsById.get(String(appointment.lead_id));
+          return { ...appointment, lead_name: lead?.name || null, lead_phone: lead?.phone || null };
+        })
+      });
+    } catch (error) {
+      console.error('❌ Dashboard appointments error:', error);
+      res.status(500).json({ success: false, error: 'Failed to load appointments' });
+    }
+  });
+
+  // Drill-down: the lead with its calls, callbacks and appointments
+  router.get('/dashboard/leads/:id', async (req, res) => {
+    try {
+      const lead = await storage.leads.findById(req.params.id, req.client.id);
+      if (!lead) {
+        return res.status(404).json({ success: false, error: 'Lead not found' });
+      }
+
+      const [calls, callbacks, appointments] = await Promise.all([
+        storage.callHistory.listByLead(lead.id),
+        storage.callbackQueue.listByLead(lead.id),
+        storage.appointments.listByLead(lead.id)
+      ]);
+
+      res.json({ success: true, lead, calls, callbacks, appointments });
+    } catch (error) {
+      console.error('❌ Dashboard lead error:', error);
+      res.status(500).json({ success: false, error: 'Failed to load lead' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,60 @@
+const express = require('express');
+const storage = require('../storage');
+
+const QUEUE_STATUSES = ['queued', 'dialing', 'placed', 'live', 'ended', 'blocked', 'failed', 'cancelled'];
+
+// Outbound dialer: live calls against the limits, the queue, and cancelling a
+// queued call. Mounted under /api; the tenant comes from ?client=<slug>.
+module.exports = function dialerRoutes({ clientRegistry, dialer }) {
+  const router = express.Router();
+
+  router.use('/dialer', clientRegistry.resolveQuery());
+
+  router.get('/dialer/status', async (req, res) => {
+    try {
+      res.json({ success: true, ...(await dialer.status(req.client)) });
+    } catch (error) {
+      console.error('❌ Dialer status error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get dialer status' });
+    }
+  });
+
+  // ?status=&limit=
+  router.get('/dialer/queue', async (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status && !QUEUE_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${QUEUE_STATUSES.join(', ')}` });
+      }
+
+      const entries = await storage.dialQueue.listByClient(req.client.id, {
+        status,
+        limit: Math.min(parseInt(req.query.limit) || 100, 500)
+      });
+      res.json({ success: true, count: entries.length, entries });
+    } catch (error) {
+      console.error('❌ List dial queue error:', error);
+      res.status(500).json({ success: false, error: 'Failed to list dial queue' });
+    }
+  });
+
+  router.post('/dialer/queue/:id/cancel', async (req, res) => {
+    try {
+      const entry = await storage.dialQueue.findById(req.params.id, req.client.id);
+      if (!entry) {
+        return res.status(404).json({ success: false, error: 'Queue entry not found' });
+      }
+
+      const cancelled = await dialer.cancel(entry, req.body?.reason || 'Cancelled via API');
+      if (!cancelled) {
+        return res.status(409).json({ success: false, error: `Call is already ${entry.status}` });
+      }
+      res.json({ success: true, entry: cancelled });
+    } catch (error) {
+      console.error('❌ Cancel dial queue entry error:', error);
+      res.status(500).json({ success: false, error: 'Failed to cancel queued call' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,78 @@
+const express = require('express');
+const storage = require('../storage');
+
+const JOB_STATUSES = ['pending', 'running', 'done', 'failed', 'skipped'];
+
+// GoHighLevel sync queue: job log, manual retries and a full resync of one lead.
+// Mounted under /api; the tenant comes from ?client=<slug>.
+module.exports = function ghlRoutes({ clientRegistry, ghlSync }) {
+  const router = express.Router();
+
+  router.use('/ghl', clientRegistry.resolveQuery());
+
+  // ?status=&action=&lead_id=&limit=
+  router.get('/ghl/sync-jobs', async (req, res) => {
+    try {
+      const { status, action, lead_id } = req.query;
+      if (status && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+      }
+
+      const jobs = await storage.ghlSyncJobs.listByClient(req.client.id, {
+        status,
+        action,
+        leadId: lead_id,
+        limit: Math.min(parseInt(req.query.limit) || 100, 500)
+      });
+      res.json({ success: true, configured: ghlSync.isConfigured(req.client), count: jobs.length, jobs });
+    } catch (error) {
+      console.error('❌ List GHL sync jobs error:', error);
+      res.status(500).json({ success: false, error: 'Failed to list GHL sync jobs' });
+    }
+  });
+
+  router.post('/ghl/sync-jobs/:id/retry', async (req, res) => {
+    try {
+      const job = await storage.ghlSyncJobs.findById(req.params.id, req.client.id);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Sync job not found' });
+      }
+      if (job.status === 'running' && !ghlSync.isStale(job)) {
+        return res.status(409).json({ success: false, error: 'Sync job is running right now' });
+      }
+
+      const result = await ghlSync.retry(job);
+      res.json({ success: result?.status === 'done', job: result });
+    } catch (error) {
+      console.error('❌ GHL sync retry error:', error);
+      res.status(500).json({ success: false, error: 'Failed to retry GHL sync job' });
+    }
+  });
+
+  // Upserts the lead's contact and its latest appointment
+  router.post('/ghl/leads/:id/sync', async (req, res) => {
+    try {
+      if (!ghlSync.isConfigured(req.client)) {
+        return res.status(400).json({ success: false, error: 'GHL is not configured (GHL_API_KEY and LOCATION_ID)' });
+      }
+
+      const lead = await storage.leads.findById(req.params.id, req.client.id);
+      if (!lead) {
+        return res.status(404).json({ success: false, error: 'Lead not found' });
+      }
+
+      const [appointment] = await storage.appointments.listByLead(lead.id);
+      const jobs = [
+        await ghlSync.syncContact(req.client, lead),
+        appointment ? await ghlSync.syncAppointment(req.client, appointment, lead) : null
+      ].filter(Boolean);
+
+      res.status(202).json({ success: true, jobs });
+    } catch (error) {
+      console.error('❌ GHL lead sync error:', error);
+      res.status(500).json({ success: false, error: 'Failed to queue GHL sync' });
+    }
+  });
+
+  return router;
+};
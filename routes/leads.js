@@ -0,0 +1,433 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { isValidTimezone, parseDateBound } = require('../utils/timezone');
+const { formatCsvRow } = require('../utils/csv');
+const LeadExporter = require('../services/LeadExporter');
+const complianceConfig = require('../config/compliance');
+const storage = require('../storage');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Columns a list can be sorted by; all are set on every lead so keyset cursors stay stable
+const SORTABLE_COLUMNS = ['created_at', 'name', 'status', 'phone'];
+
+// Fields the API may change: top-level columns and keys merged into custom_fields
+const LEAD_COLUMNS = ['name', 'phone', 'email', 'status', 'source', 'appointment_time'];
+const CUSTOM_FIELDS = ['first_name', 'last_name', 'project_type', 'project_notes', 'full_address', 'postal_code'];
+
+// Lead management endpoints. Mounted under /api; the tenant comes from ?client=<slug>.
+module.exports = function leadRoutes({ clientRegistry, leadProcessor, leadActivity, leadImporter, leadExporter, eventBus, callbackDispatcher }) {
+  const router = express.Router();
+
+  router.use('/leads', clientRegistry.resolveQuery());
+
+  // ================================
+  // HELPERS
+  // ================================
+
+  function encodeCursor(cursor) {
+    return cursor ? Buffer.from(JSON.stringify(cursor)).toString('base64url') : null;
+  }
+
+  function decodeCursor(value) {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (!cursor || cursor.id === undefined || !('value' in cursor)) {
+      throw new Error('Malformed cursor');
+    }
+    return cursor;
+  }
+
+  // "new,contacted" -> { in: ['new', 'contacted'] }, "new" -> 'new'
+  function listFilter(value) {
+    if (!value) return undefined;
+    const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return values.length > 1 ? { in: values } : values[0];
+  }
+
+  function pickDefined(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+  }
+
+  function escapeLike(text) {
+    return text.replace(/[%_\\]/g, '\\$&');
+  }
+
+  // Free text matches the name, or the phone when the query contains enough digits
+  function searchFilter(query) {
+    const text = String(query || '').trim();
+    if (!text) return undefined;
+
+    const options = [{ name: { ilike: `%${escapeLike(text)}%` } }];
+    const digits = text.replace(/\D/g, '');
+    if (digits.length >= 3) {
+      options.push({ phone: { ilike: `%${digits}%` } });
+    }
+    return options;
+  }
+
+  // ?status=&source=&project_type=&created_from=&created_to=&q= as a listPage `where`.
+  // Returns { where } or { error }.
+  function leadFilters(query, timezone) {
+    const from = parseDateBound(query.created_from, timezone, 'start');
+    const to = parseDateBound(query.created_to, timezone, 'end');
+    if (from === null || to === null) {
+      return { error: 'created_from/created_to must be ISO 8601 dates' };
+    }
+
+    const createdAt = {};
+    if (from) createdAt.gte = from;
+    if (to) createdAt.lte = to;
+
+    return {
+      where: {
+        status: listFilter(query.status),
+        source: listFilter(query.source),
+        'custom_fields.project_type': listFilter(query.project_type),
+        created_at: Object.keys(createdAt).length ? createdAt : undefined,
+        or: searchFilter(query.q)
+      }
+    };
+  }
+
+  // Waits for the socket to drain when the response buffer is full
+  async function writeChunk(res, chunk) {
+    if (!res.write(chunk)) {
+      await new Promise(resolve => {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+      });
+    }
+  }
+
+  // Accepts the numeric lead id or the uuid carried in call metadata
+  async function findLead(client, idOrUuid) {
+    if (/^\d+$/.test(idOrUuid)) {
+      return await storage.leads.findById(idOrUuid, client.id);
+    }
+    return await storage.leads.findByUuid(client.id, idOrUuid);
+  }
+
+  // Validates a create/update body. Returns { error } or { columns, customFields }.
+  function parseLeadBody(body, existingLead = null) {
+    const columns = {};
+    const customFields = {};
+
+    LEAD_COLUMNS.forEach(field => {
+      if (body[field] !== undefined) columns[field] = body[field];
+    });
+    CUSTOM_FIELDS.forEach(field => {
+      if (body[field] !== undefined) customFields[field] = body[field];
+    });
+
+    if (!columns.name && (body.first_name || body.last_name) && !existingLead) {
+      columns.name = [body.first_name, body.last_name].filter(Boolean).join(' ');
+    }
+
+    if (columns.phone !== undefined) {
+      const phone = leadProcessor.formatPhone(columns.phone);
+      if (!phone) return { error: `Invalid phone number: ${columns.phone}` };
+      columns.phone = phone;
+    }
+
+    if (columns.email !== undefined) {
+      columns.email = leadProcessor.normalizeEmail(columns.email);
+    }
+
+    if (columns.appointment_time) {
+      const time = moment(columns.appointment_time, moment.ISO_8601, true);
+      if (!time.isValid()) return { error: `Invalid appointment_time: ${columns.appointment_time}` };
+      columns.appointment_time = time.toISOString();
+    }
+
+    if (body.timezone !== undefined && !isValidTimezone(body.timezone)) {
+      return { error: `Unknown timezone: ${body.timezone}` };
+    }
+
+    return { columns, customFields };
+  }
+
+  // ================================
+  // ROUTES
+  // ================================
+
+  // List leads: ?status=&source=&project_type=&created_from=&created_to=&q=&sort=&order=&limit=&cursor=
+  router.get('/leads', async (req, res) => {
+    try {
+      const { cursor } = req.query;
+
+      const sort = req.query.sort || 'created_at';
+      if (!SORTABLE_COLUMNS.includes(sort)) {
+        return res.status(400).json({ success: false, error: `sort must be one of: ${SORTABLE_COLUMNS.join(', ')}` });
+      }
+      const ascending = req.query.order ? req.query.order.toLowerCase() === 'asc' : sort !== 'created_at';
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+      const filters = leadFilters(req.query, req.client.business_hours.timezone);
+      if (filters.error) {
+        return res.status(400).json({ success: false, error: filters.error });
+      }
+
+      let after = null;
+      if (cursor) {
+        try {
+          after = decodeCursor(cursor);
+        } catch (error) {
+          return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+      }
+
+      const page = await storage.leads.listPage(req.client.id, { where: filters.where, sort, ascending, cursor: after, limit });
+
+      res.json({
+        success: true,
+        leads: page.rows,
+        count: page.rows.length,
+        next_cursor: encodeCursor(page.nextCursor)
+      });
+    } catch (error) {
+      console.error('❌ List leads error:', error);
+      res.status(500).json({ success: false, error: 'Failed to list leads' });
+    }
+  });
+
+  // Report of every matching lead with its call attempts, latest outcome, appointment
+  // and disposition, oldest first. Same filters as the list; ?format=csv (default) or ndjson.
+  router.get('/leads/export', async (req, res) => {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'ndjson'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be csv or ndjson' });
+    }
+
+    const filters = leadFilters(req.query, req.client.business_hours.timezone);
+    if (filters.error) {
+      return res.status(400).json({ success: false, error: filters.error });
+    }
+
+    const filename = `leads-${req.client.slug}-${moment().tz(req.client.business_hours.timezone).format('YYYY-MM-DD')}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    let exported = 0;
+    try {
+      if (format === 'csv') await writeChunk(res, formatCsvRow(LeadExporter.COLUMNS));
+
+      for await (const rows of leadExporter.batches(req.client.id, filters.where)) {
+        if (closed) break;
+
+        const chunk = format === 'csv'
+          ? rows.map(row => formatCsvRow(LeadExporter.COLUMNS.map(column => row[column]))).join('')
+          : rows.map(row => JSON.stringify(row) + '\n').join('');
+        await writeChunk(res, chunk);
+        exported += rows.length;
+      }
+
+      console.log(`📤 Exported ${exported} leads for ${req.client.slug} (${format})${closed ? ' - client disconnected' : ''}`);
+      res.end();
+    } catch (error) {
+      console.error('❌ Lead export error:', error);
+      // Headers are gone once streaming has started; cutting the response short is all we can do
+      if (!res.headersSent) {
+        return res.status(500).json({ success: false, error: 'Failed to export leads' });
+      }
+      res.destroy(error);
+    }
+  });
+
+  router.get('/leads/:id', async (req, res) => {
+    try {
+      const lead = await findLead(req.client, req.params.id);
+      if (!lead) {
+        return res.status(404).json({ success: false, error: 'Lead not found' });
+      }
+
+      res.json({ success: true, lead });
+    } catch (error) {
+      console.error('❌ Get lead error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get lead' });
+    }
+  });
+
+  // Everything that happened with the lead, oldest first (?order=desc for newest first)
+  router.get('/leads/:id/timeline', async (req, res) => {
+    try {
+      const lead = await findLead(req.client, req.params.id);
+      if (!lead) {
+        return res.status(404).json({ success: false, error: 'Lead not found' });
+      }
+
+      const timeline = await leadActivity.timeline(lead);
+      if (req.query.order === 'desc') timeline.reverse();
+
+      res.json({ success: true, lead_id: lead.id, count: timeline.length, timeline });
+    } catch (error) {
+      console.error('❌ Lead timeline error:', error);
+      res.status(500).json({ success: false, error: 'Failed to build lead timeline' });
+    }
+  });
+
+  // Create a lead without triggering an AI call. Duplicates (same phone, email or
+  // GHL contact) are rejected with the existing lead's id.
+  router.post('/leads', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const parsed = parseLeadBody(body);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+      if (!parsed.columns.phone) {
+        return res.status(400).json({ success: false, error: 'phone is required' });
+      }
+
+      const leadData = {
+        ...parsed.customFields,
+        ...parsed.columns,
+        source: parsed.columns.source || 'api',
+        ghl_contact_id: body.ghl_contact_id,
+        timezone: body.timezone
+      };
+
+      const existing = await leadProcessor.findExistingLead(leadData, req.client.id);
+      if (existing) {
+        return res.status(409).json({ success: false, error: 'Lead already exists', lead_id: existing.id });
+      }
+
+      let lead = await leadProcessor.createLead(leadData, req.client.id);
+
+      // createLead only stores the intake fields
+      const { first_name, last_name, postal_code } = parsed.customFields;
+      const extraFields = pickDefined({ first_name, last_name, postal_code });
+      const extraColumns = pickDefined({ status: parsed.columns.status, appointment_time: parsed.columns.appointment_time });
+
+      if (Object.keys(extraFields).length || Object.keys(extraColumns).length) {
+        lead = await storage.leads.updateCustomFields(lead, extraFields, extraColumns);
+      }
+
+      await leadActivity.recordIntake(lead, { created: true, source: 'api' });
+      eventBus.emit(req.client, 'lead.created', eventBus.leadPayload(lead));
+
+      console.log(`✅ Lead created via API: ${lead.name} - ID: ${lead.id}`);
+      res.status(201).json({ success: true, lead });
+    } catch (error) {
+      console.error('❌ Create lead error:', error);
+      res.status(500).json({ success: false, error: 'Failed to create lead' });
+    }
+  });
+
+  // Bulk import. Either a text/csv body with options in the query string
+  // (?mapping=<json>&enqueue_calls=true&calls_per_minute=2&start_at=&update_existing=true&dry_run=true&source=)
+  // or JSON { csv, mapping, enqueue_calls, calls_per_minute, start_at, update_existing, dry_run, source }.
+  // Responds with totals plus a per-row report ({ row, status, lead_id, error }).
+  router.post('/leads/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+    try {
+      const isCsvBody = typeof req.body === 'string';
+      const params = isCsvBody ? req.query : { ...req.query, ...(req.body || {}) };
+      const csv = isCsvBody ? req.body : params.csv;
+
+      if (!csv || typeof csv !== 'string') {
+        return res.status(400).json({ success: false, error: 'Send the CSV as a text/csv body or as "csv" in a JSON body' });
+      }
+
+      let mapping = params.mapping;
+      if (typeof mapping === 'string') {
+        try {
+          mapping = JSON.parse(mapping);
+        } catch (error) {
+          return res.status(400).json({ success: false, error: 'mapping must be a JSON object of { field: "CSV header" }' });
+        }
+      }
+
+      const startAt = params.start_at ? moment(params.start_at, moment.ISO_8601, true) : null;
+      if (startAt && !startAt.isValid()) {
+        return res.status(400).json({ success: false, error: 'start_at must be an ISO 8601 date' });
+      }
+
+      const flag = value => value === true || value === 'true' || value === '1';
+      const result = await leadImporter.importCsv(req.client, csv, {
+        mapping,
+        source: params.source,
+        updateExisting: flag(params.update_existing),
+        enqueueCalls: flag(params.enqueue_calls),
+        callsPerMinute: params.calls_per_minute,
+        startAt: startAt ? startAt.toISOString() : null,
+        dryRun: flag(params.dry_run)
+      });
+
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      console.error('❌ Lead import error:', error);
+      res.status(500).json({ success: false, error: 'Failed to import leads' });
+    }
+  });
+
+  // Partial update; custom_fields are merged, never replaced
+  router.patch('/leads/:id', async (req, res) => {
+    try {
+      const lead = await findLead(req.client, req.params.id);
+      if (!lead) {
+        return res.status(404).json({ success: false, error: 'Lead not found' });
+      }
+
+      const body = req.body || {};
+      const parsed = parseLeadBody(body, lead);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+
+      const { columns, customFields } = parsed;
+
+      // Re-resolve the lead's timezone when anything it is derived from changes
+      if (body.timezone !== undefined || customFields.full_address || customFields.postal_code || columns.phone) {
+        Object.assign(customFields, leadProcessor.timezoneFields({
+          timezone: body.timezone,
+          postal_code: customFields.postal_code || lead.custom_fields?.postal_code,
+          full_address: customFields.full_address || lead.custom_fields?.full_address,
+          phone: columns.phone || lead.phone
+        }, lead.custom_fields || {}));
+      }
+
+      if (!Object.keys(columns).length && !Object.keys(customFields).length) {
+        return res.status(400).json({ success: false, error: 'No updatable fields provided' });
+      }
+
+      const updated = await storage.leads.updateCustomFields(
+        lead,
+        { ...customFields, last_update: moment().tz('America/Los_Angeles').format() },
+        { ...columns, updated_at: new Date().toISOString() }
+      );
+
+      // Opt-out statuses stop the callback schedule and queued calls, same as the Retell functions do
+      if (columns.status && complianceConfig.optOutStatuses.includes(columns.status)) {
+        await callbackDispatcher.cancelPendingCallbacks(lead.id, `Status set to ${columns.status}`);
+      }
+
+      res.json({ success: true, lead: updated });
+    } catch (error) {
+      console.error('❌ Update lead error:', error);
+      res.status(500).json({ success: false, error: 'Failed to update lead' });
+    }
+  });
+
+  router.delete('/leads/:id', async (req, res) => {
+    try {
+      const lead = await findLead(req.client, req.params.id);
+      if (!lead) {
+        return res.status(404).json({ success: false, error: 'Lead not found' });
+      }
+
+      await callbackDispatcher.cancelPendingCallbacks(lead.id, 'Lead deleted');
+      await storage.leads.delete(lead.id);
+
+      console.log(`🗑️ Lead deleted via API: ${lead.name} - ID: ${lead.id}`);
+      res.json({ success: true, lead_id: lead.id });
+    } catch (error) {
+      console.error('❌ Delete lead error:', error);
+      res.status(500).json({ success: false, error: 'Failed to delete lead' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,103 @@
+const express = require('express');
+const PhoneNumberRepository = require('../storage/repositories/PhoneNumberRepository');
+const storage = require('../storage');
+
+const { STATUSES } = PhoneNumberRepository;
+
+// The client's caller ID pool: adding numbers, daily caps, pausing and retiring.
+// Mounted under /api; the tenant comes from ?client=<slug>.
+module.exports = function numberRoutes({ clientRegistry, numberPool }) {
+  const router = express.Router();
+
+  router.use('/numbers', clientRegistry.resolveQuery());
+
+  // daily_cap: positive integer, or null for the pool default
+  function parseDailyCap(value) {
+    if (value === null) return { value: null };
+
+    const cap = Number(value);
+    if (!Number.isInteger(cap) || cap < 1) return { error: 'daily_cap must be a positive integer or null' };
+    return { value: cap };
+  }
+
+  // ?status=
+  router.get('/numbers', async (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` });
+      }
+
+      const numbers = await storage.phoneNumbers.listByClient(req.client.id, { status });
+      res.json({
+        success: true,
+        default_daily_cap: numberPool.settingsFor(req.client).dailyCap,
+        fallback_number: numbers.length ? null : req.client.from_number || null,
+        numbers
+      });
+    } catch (error) {
+      console.error('❌ List numbers error:', error);
+      res.status(500).json({ success: false, error: 'Failed to list phone numbers' });
+    }
+  });
+
+  // { number: '+17025550100', label, daily_cap } - the number must already be in Retell
+  router.post('/numbers', async (req, res) => {
+    try {
+      const { number, label } = req.body || {};
+      const dailyCap = req.body?.daily_cap === undefined ? { value: null } : parseDailyCap(req.body.daily_cap);
+      if (dailyCap.error) {
+        return res.status(400).json({ success: false, error: dailyCap.error });
+      }
+
+      const result = await numberPool.add(req.client, { number, label, daily_cap: dailyCap.value });
+      if (result.error) {
+        return res.status(result.existing ? 409 : 400).json({ success: false, error: result.error });
+      }
+      res.status(201).json({ success: true, number: result.number });
+    } catch (error) {
+      console.error('❌ Add number error:', error);
+      res.status(500).json({ success: false, error: 'Failed to add phone number' });
+    }
+  });
+
+  // { status: active | paused | retired, reason, label, daily_cap }
+  router.patch('/numbers/:id', async (req, res) => {
+    try {
+      let number = await storage.phoneNumbers.findById(req.params.id, req.client.id);
+      if (!number) {
+        return res.status(404).json({ success: false, error: 'Phone number not found' });
+      }
+
+      const { status, reason, label } = req.body || {};
+      if (status !== undefined && !STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` });
+      }
+
+      const fields = {};
+      if (label !== undefined) fields.label = label;
+      if (req.body?.daily_cap !== undefined) {
+        const dailyCap = parseDailyCap(req.body.daily_cap);
+        if (dailyCap.error) {
+          return res.status(400).json({ success: false, error: dailyCap.error });
+        }
+        fields.daily_cap = dailyCap.value;
+      }
+
+      if (Object.keys(fields).length) {
+        number = await storage.phoneNumbers.update(number.id, { ...fields, updated_at: new Date().toISOString() });
+      }
+      if (status && status !== number.status) {
+        number = await numberPool.setStatus(number, status, reason);
+        console.log(`📱 ${number.number} is now ${status} for ${req.client.slug}`);
+      }
+
+      res.json({ success: true, number });
+    } catch (error) {
+      console.error('❌ Update number error:', error);
+      res.status(500).json({ success: false, error: 'Failed to update phone number' });
+    }
+  });
+
+  return router;
+};
@@ -1,15 +1,36 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const ClientRegistry = require('../services/ClientRegistry');
+const TokenStore = require('../services/TokenStore');
+const CalendarService = require('../services/CalendarService');
+const RetellService = require('../services/RetellService');
+const CallOrchestrator = require('../services/CallOrchestrator');
+const storage = require('../storage');
+const { verifyRetellSignature } = require('../middleware/retellSignature');
 
-// Import the new calendar functions
-const { 
-  checkAvailabilityForAI, 
-  bookEstimateAppointment 
-} = require('./ghl-calendar');
+const clientRegistry = new ClientRegistry();
+const retellService = new RetellService();
+const callOrchestrator = new CallOrchestrator();
+
+// Each client books into its own calendar (Google or GHL)
+const calendarService = new CalendarService(new TokenStore());
+
+async function checkClientAvailability(client, daysAhead) {
+  const calendar = await calendarService.getProvider(client);
+  if (!calendar) {
+    return { success: false, error: 'Calendar not connected', availability: [] };
+  }
+
+  const availability = await calendar.listAvailability(daysAhead);
+  if (!availability.success) await calendarService.handleFailure(client, availability);
+  return availability;
+}
+
+// Resolve the :client route parameter into req.client
+router.param('client', clientRegistry.resolveParam());
 
 // GHL Bridge - receives contact data from GHL and triggers AI calling
-router.post('/ghl-bridge/bestbuyremodel', async (req, res) => {
+router.post('/ghl-bridge/:client', async (req, res) => {
   try {
     console.log('🔗 GHL Bridge received data:', req.body);
     
@@ -32,40 +53,28 @@ router.post('/ghl-bridge/bestbuyremodel', async (req, res) => {
 
     console.log(`📞 Processing lead: ${leadData.name} - ${leadData.phone}`);
 
-    // Save lead to Supabase (if available)
+    // Save lead to the database
     let savedLead = null;
-    if (global.supabase) {
-      try {
-        const { data, error } = await global.supabase
-          .from('leads')
-          .insert({
-            client_id: 1, // Best Buy Remodel
-            name: leadData.name,
-            phone: leadData.phone,
-            email: leadData.email,
-            source: leadData.source,
-            status: 'new',
-            custom_fields: {
-              ghl_contact_id: leadData.ghl_contact_id
-            }
-          })
-          .select()
-          .single();
-
-        if (error) {
-          console.error('Database error:', error);
-        } else {
-          savedLead = data;
-          console.log(`✅ Lead saved to database: ID ${savedLead.id}`);
+    try {
+      savedLead = await storage.leads.create({
+        client_id: req.client.id,
+        name: leadData.name,
+        phone: leadData.phone,
+        email: leadData.email,
+        source: leadData.source,
+        status: 'new',
+        custom_fields: {
+          ghl_contact_id: leadData.ghl_contact_id
         }
-      } catch (dbError) {
-        console.error('Database save failed:', dbError);
-      }
+      });
+      console.log(`✅ Lead saved to database: ID ${savedLead.id}`);
+    } catch (dbError) {
+      console.error('Database save failed:', dbError);
     }
 
     // 🆕 NEW: Check calendar availability before calling
     console.log('📅 Checking calendar availability...');
-    const availability = await checkAvailabilityForAI(7); // Check next 7 days
+    const availability = await checkClientAvailability(req.client, 7); // Check next 7 days
     
     if (availability.success && availability.availability.length > 0) {
       console.log(`✅ Found ${availability.availability.length} days with available slots`);
@@ -78,7 +87,7 @@ router.post('/ghl-bridge/bestbuyremodel', async (req, res) => {
     }
 
     // Initiate AI call via Retell with availability data
-    const callResult = await initiateAICall(leadData, savedLead?.id);
+    const callResult = await initiateAICall(leadData, savedLead?.id, req.client);
     
     if (callResult.success) {
       console.log(`✅ AI call initiated successfully for ${leadData.name}`);
@@ -105,52 +114,29 @@ router.post('/ghl-bridge/bestbuyremodel', async (req, res) => {
   }
 });
 
-// Function to initiate AI call via Retell
-async function initiateAICall(leadData, leadId) {
-  try {
-    if (!process.env.RETELL_API_KEY || !process.env.RETELL_AGENT_ID) {
-      return { success: false, error: 'Retell not configured' };
-    }
+// Function to initiate AI call via Retell (through the compliance gate)
+async function initiateAICall(leadData, leadId, client) {
+  console.log(`📞 Calling Retell AI for ${leadData.name} at ${leadData.phone}`);
 
-    console.log(`📞 Calling Retell AI for ${leadData.name} at ${leadData.phone}`);
-    
-    // 🆕 NEW: Include availability data in metadata for Carl
-    const response = await axios.post('https://api.retellai.com/v2/create-phone-call', {
-      from_number: '+17252092232',
-      to_number: leadData.phone,
-      agent_id: process.env.RETELL_AGENT_ID,
-      metadata: {
-        lead_id: leadId,
-        ghl_contact_id: leadData.ghl_contact_id,
-        first_name: leadData.name.split(' ')[0],
-        full_name: leadData.name,
-        phone: leadData.phone,
-        email: leadData.email || '',
-        // 🆕 NEW: Add availability for Carl to reference
-        calendar_availability: JSON.stringify(leadData.availability || [])
-      }
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.RETELL_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    return { 
-      success: true, 
-      call_id: response.data.call_id 
-    };
+  const lead = {
+    id: leadId,
+    name: leadData.name,
+    phone: leadData.phone,
+    email: leadData.email,
+    status: 'new',
+    custom_fields: {}
+  };
 
-  } catch (error) {
-    return { 
-      success: false, 
-      error: error.response?.data || error.message 
-    };
-  }
+  // 🆕 NEW: Include availability data in metadata for Carl
+  return await callOrchestrator.placeCall(lead, client, {
+    lead_id: leadId,
+    ghl_contact_id: leadData.ghl_contact_id,
+    calendar_availability: JSON.stringify(leadData.availability || [])
+  });
 }
 
 // 🆕 NEW: Endpoint for Carl to book appointments during calls
-router.post('/book-appointment/bestbuyremodel', async (req, res) => {
+router.post('/book-appointment/:client', verifyRetellSignature, async (req, res) => {
   try {
     console.log('📅 Booking appointment request:', req.body);
     
@@ -191,21 +177,28 @@ router.post('/book-appointment/bestbuyremodel', async (req, res) => {
     };
 
     // Book the appointment
-    const bookingResult = await bookEstimateAppointment(appointmentData);
+    const calendar = await calendarService.getProvider(req.client);
+    if (!calendar) {
+      return res.status(503).json({
+        success: false,
+        error: 'Calendar not connected'
+      });
+    }
+
+    const bookingResult = await calendar.book(appointmentData);
 
     if (bookingResult.success) {
       console.log(`✅ Appointment booked for ${clientName} at ${startTime.toLocaleString()}`);
       
-      // 🆕 TODO: Update lead status in database
-      if (global.supabase && req.body.lead_id) {
+      const lead = req.body.lead_id ? await storage.leads.findById(req.body.lead_id, req.client.id) : null;
+      if (lead) {
         try {
-          await global.supabase
-            .from('leads')
-            .update({ 
-              status: 'appointment_booked',
-              appointment_time: startTime.toISOString()
-            })
-            .eq('id', req.body.lead_id);
+          await calendarService.recordAppointment(req.client, lead.id, bookingResult, appointmentData);
+
+          await storage.leads.update(lead.id, {
+            status: 'appointment_booked',
+            appointment_time: startTime.toISOString()
+          });
         } catch (dbError) {
           console.error('Failed to update lead status:', dbError);
         }
@@ -219,6 +212,7 @@ router.post('/book-appointment/bestbuyremodel', async (req, res) => {
       });
     } else {
       console.error('❌ Failed to book appointment:', bookingResult.error);
+      await calendarService.handleFailure(req.client, bookingResult);
       res.status(500).json({
         success: false,
         error: bookingResult.error
@@ -235,10 +229,10 @@ router.post('/book-appointment/bestbuyremodel', async (req, res) => {
 });
 
 // 🆕 NEW: Endpoint to check availability (for real-time during calls)
-router.get('/availability/bestbuyremodel', async (req, res) => {
+router.get('/availability/:client', async (req, res) => {
   try {
     const daysAhead = parseInt(req.query.days) || 7;
-    const availability = await checkAvailabilityForAI(daysAhead);
+    const availability = await checkClientAvailability(req.client, daysAhead);
     
     res.json(availability);
   } catch (error) {
@@ -251,30 +245,28 @@ router.get('/availability/bestbuyremodel', async (req, res) => {
 });
 
 // Retell webhook - handles call outcomes
-router.post('/retell/bestbuyremodel', async (req, res) => {
+router.post('/retell/:client', verifyRetellSignature, async (req, res) => {
   try {
-    console.log('🤖 Retell webhook received:', req.body.event_type);
+    const { event, call, callId, metadata, summary, durationSeconds } = retellService.parseWebhookEvent(req.body);
+    console.log('🤖 Retell webhook received:', event);
     
-    if (req.body.event_type === 'call_ended') {
-      const { call_id, call_analysis, metadata } = req.body;
-      
-      // Determine call outcome
-      const outcome = determineCallOutcome(call_analysis);
-      console.log(`📞 Call ${call_id} ended with outcome: ${outcome}`);
+    // Post-call analysis arrives with call_analyzed; legacy payloads sent it with call_ended
+    if (event === 'call_analyzed' || (event === 'call_ended' && call.call_analysis)) {
+      const { outcome, reason } = retellService.extractOutcome(call);
+      console.log(`📞 Call ${callId} ended with outcome: ${outcome} (${reason})`);
       
       // Save call result to database
-      if (global.supabase && metadata?.lead_id) {
-        await saveCallResult(metadata.lead_id, {
-          retell_call_id: call_id,
+      if (metadata.lead_id) {
+        await saveCallResult(metadata.lead_id, req.client.id, {
+          retell_call_id: callId,
           outcome: outcome,
-          duration: req.body.call_duration || 0,
-          transcript: req.body.transcript || '',
-          ai_summary: call_analysis?.summary || ''
+          duration: durationSeconds,
+          transcript: call.transcript || '',
+          ai_summary: summary
         });
       }
 
-      // 🆕 UPDATED: Enhanced outcome detection for appointments
-      if (outcome === 'booked') {
+      if (outcome === 'appointment_booked') {
         console.log('🎉 Appointment was booked during call!');
         // The booking should have been handled during the call via /book-appointment endpoint
       }
@@ -289,37 +281,16 @@ router.post('/retell/bestbuyremodel', async (req, res) => {
   }
 });
 
-// Helper function to determine call outcome
-function determineCallOutcome(callAnalysis) {
-  if (!callAnalysis?.summary) return 'no_answer';
-  
-  const summary = callAnalysis.summary.toLowerCase();
-  
-  if (summary.includes('appointment') || summary.includes('scheduled') || summary.includes('booked')) {
-    return 'booked';
-  }
-  if (summary.includes('not interested') || summary.includes('no thank you')) {
-    return 'dead';
-  }
-  if (summary.includes('call back') || summary.includes('later')) {
-    return 'follow_up';
-  }
-  
-  return 'follow_up'; // Default to follow-up
-}
-
 // Helper function to save call results
-async function saveCallResult(leadId, callData) {
+async function saveCallResult(leadId, clientId, callData) {
   try {
-    await global.supabase
-      .from('call_history')
-      .insert({
-        lead_id: leadId,
-        client_id: 1,
-        call_type: 'outbound',
-        ...callData,
-        created_at: new Date().toISOString()
-      });
+    await storage.callHistory.create({
+      lead_id: leadId,
+      client_id: clientId,
+      call_type: 'outbound',
+      ...callData,
+      created_at: new Date().toISOString()
+    });
     console.log(`✅ Call result saved for lead ${leadId}`);
   } catch (error) {
     console.error('❌ Failed to save call result:', error);
@@ -330,7 +301,7 @@ async function saveCallResult(leadId, callData) {
 router.get('/test', (req, res) => {
   res.json({
     message: 'GHL Bridge is working!',
-    endpoint: '/webhook/ghl-bridge/bestbuyremodel',
+    endpoint: '/webhook/ghl-bridge/:client',
     timestamp: new Date().toISOString(),
     calendar_enabled: true // 🆕 NEW: Indicates calendar integration is active
   });
@@ -339,7 +310,8 @@ router.get('/test', (req, res) => {
 // 🆕 NEW: Test calendar endpoint
 router.get('/test-calendar', async (req, res) => {
   try {
-    const availability = await checkAvailabilityForAI(3);
+    const client = await clientRegistry.getDefaultClient();
+    const availability = await checkClientAvailability(client, 3);
     res.json({
       message: 'Calendar integration test',
       availability: availability,
@@ -0,0 +1,235 @@
+const express = require('express');
+const EventBus = require('../services/EventBus');
+const { EVENT_TYPES } = require('../config/webhooks');
+const storage = require('../storage');
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed', 'cancelled'];
+
+// Outbound webhook subscriptions and their delivery log. Mounted under /api;
+// the tenant comes from ?client=<slug>.
+module.exports = function webhookSubscriptionRoutes({ clientRegistry, eventBus }) {
+  const router = express.Router();
+
+  router.use('/webhooks', clientRegistry.resolveQuery());
+
+  // ================================
+  // HELPERS
+  // ================================
+
+  // The secret is only shown when a subscription is created or its secret rotated
+  function publicSubscription(subscription) {
+    const { secret, ...fields } = subscription;
+    return { ...fields, secret_preview: secret ? `${secret.slice(0, 10)}…` : null };
+  }
+
+  // Validates a create/update body. Returns { error } or { fields }.
+  function parseSubscriptionBody(body, partial = false) {
+    const fields = {};
+
+    if (body.url !== undefined || !partial) {
+      let url;
+      try {
+        url = new URL(String(body.url || ''));
+      } catch (error) {
+        return { error: 'url must be an absolute http(s) URL' };
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return { error: 'url must be an absolute http(s) URL' };
+      }
+      fields.url = url.toString();
+    }
+
+    if (body.events !== undefined || !partial) {
+      const events = Array.isArray(body.events) ? body.events : ['*'];
+      const unknown = events.filter(event => event !== '*' && !EVENT_TYPES.includes(event));
+      if (unknown.length) {
+        return { error: `Unknown event types: ${unknown.join(', ')} (expected ${EVENT_TYPES.join(', ')} or *)` };
+      }
+      fields.events = events.length ? events : ['*'];
+    }
+
+    if (body.description !== undefined) fields.description = body.description;
+    if (body.active !== undefined) fields.active = Boolean(body.active);
+
+    return { fields };
+  }
+
+  async function findSubscription(req) {
+    const subscription = await storage.webhookSubscriptions.findById(req.params.id, req.client.id);
+    return subscription || null;
+  }
+
+  // ================================
+  // SUBSCRIPTIONS
+  // ================================
+
+  router.get('/webhooks/events', (req, res) => {
+    res.json({ success: true, events: EVENT_TYPES });
+  });
+
+  router.get('/webhooks', async (req, res) => {
+    try {
+      const subscriptions = await storage.webhookSubscriptions.listByClient(req.client.id);
+      res.json({ success: true, subscriptions: subscriptions.map(publicSubscription) });
+    } catch (error) {
+      console.error('❌ List webhooks error:', error);
+      res.status(500).json({ success: false, error: 'Failed to list webhook subscriptions' });
+    }
+  });
+
+  // { url, events: ['lead.created', ...] | ['*'], description }
+  router.post('/webhooks', async (req, res) => {
+    try {
+      const parsed = parseSubscriptionBody(req.body || {});
+      if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+
+      const subscription = await storage.webhookSubscriptions.create({
+        client_id: req.client.id,
+        active: true,
+        description: null,
+        ...parsed.fields,
+        secret: EventBus.generateSecret(),
+        created_at: new Date().toISOString()
+      });
+
+      console.log(`📡 Webhook subscription ${subscription.id} added for ${req.client.slug}: ${subscription.url}`);
+      res.status(201).json({ success: true, subscription });
+    } catch (error) {
+      console.error('❌ Create webhook error:', error);
+      res.status(500).json({ success: false, error: 'Failed to create webhook subscription' });
+    }
+  });
+
+  router.patch('/webhooks/:id', async (req, res) => {
+    try {
+      const subscription = await findSubscription(req);
+      if (!subscription) {
+        return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+      }
+
+      const parsed = parseSubscriptionBody(req.body || {}, true);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+
+      const updated = await storage.webhookSubscriptions.update(subscription.id, {
+        ...parsed.fields,
+        updated_at: new Date().toISOString()
+      });
+      res.json({ success: true, subscription: publicSubscription(updated) });
+    } catch (error) {
+      console.error('❌ Update webhook error:', error);
+      res.status(500).json({ success: false, error: 'Failed to update webhook subscription' });
+    }
+  });
+
+  router.delete('/webhooks/:id', async (req, res) => {
+    try {
+      const subscription = await findSubscription(req);
+      if (!subscription) {
+        return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+      }
+
+      await storage.webhookSubscriptions.delete(subscription.id);
+      res.json({ success: true, subscription_id: subscription.id });
+    } catch (error) {
+      console.error('❌ Delete webhook error:', error);
+      res.status(500).json({ success: false, error: 'Failed to delete webhook subscription' });
+    }
+  });
+
+  router.post('/webhooks/:id/rotate-secret', async (req, res) => {
+    try {
+      const subscription = await findSubscription(req);
+      if (!subscription) {
+        return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+      }
+
+      const updated = await storage.webhookSubscriptions.update(subscription.id, {
+        secret: EventBus.generateSecret(),
+        updated_at: new Date().toISOString()
+      });
+      res.json({ success: true, subscription: updated });
+    } catch (error) {
+      console.error('❌ Rotate webhook secret error:', error);
+      res.status(500).json({ success: false, error: 'Failed to rotate webhook secret' });
+    }
+  });
+
+  // Sends a `ping` event to check the endpoint and its signature verification
+  router.post('/webhooks/:id/ping', async (req, res) => {
+    try {
+      const subscription = await findSubscription(req);
+      if (!subscription) {
+        return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+      }
+
+      const delivery = await eventBus.ping(req.client, subscription);
+      res.json({ success: delivery?.status === 'delivered', delivery });
+    } catch (error) {
+      console.error('❌ Webhook ping error:', error);
+      res.status(500).json({ success: false, error: 'Failed to ping webhook' });
+    }
+  });
+
+  // ================================
+  // DELIVERY LOG
+  // ================================
+
+  // ?status=&event_type=&subscription_id=&limit=
+  router.get('/webhooks/deliveries', async (req, res) => {
+    try {
+      const { status, event_type, subscription_id } = req.query;
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+      }
+
+      const deliveries = await storage.webhookDeliveries.listByClient(req.client.id, {
+        status,
+        eventType: event_type,
+        subscriptionId: subscription_id,
+        limit: Math.min(parseInt(req.query.limit) || 100, 500)
+      });
+      res.json({ success: true, count: deliveries.length, deliveries });
+    } catch (error) {
+      console.error('❌ List webhook deliveries error:', error);
+      res.status(500).json({ success: false, error: 'Failed to list webhook deliveries' });
+    }
+  });
+
+  router.get('/webhooks/deliveries/:id', async (req, res) => {
+    try {
+      const delivery = await storage.webhookDeliveries.findById(req.params.id, req.client.id);
+      if (!delivery) {
+        return res.status(404).json({ success: false, error: 'Delivery not found' });
+      }
+      res.json({ success: true, delivery });
+    } catch (error) {
+      console.error('❌ Get webhook delivery error:', error);
+      res.status(500).json({ success: false, error: 'Failed to get webhook delivery' });
+    }
+  });
+
+  // Sends the stored payload again right away
+  router.post('/webhooks/deliveries/:id/redeliver', async (req, res) => {
+    try {
+      const delivery = await storage.webhookDeliveries.findById(req.params.id, req.client.id);
+      if (!delivery) {
+        return res.status(404).json({ success: false, error: 'Delivery not found' });
+      }
+      if (delivery.status === 'sending' && !eventBus.isStale(delivery)) {
+        return res.status(409).json({ success: false, error: 'Delivery is being sent right now' });
+      }
+
+      const result = await eventBus.redeliver(delivery);
+      res.json({ success: result?.status === 'delivered', delivery: result });
+    } catch (error) {
+      console.error('❌ Webhook redelivery error:', error);
+      res.status(500).json({ success: false, error: 'Failed to redeliver webhook' });
+    }
+  });
+
+  return router;
+};
@@ -2,19 +2,103 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const axios = require('axios');
+const path = require('path');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Import Google Calendar integration
-const { getAuthUrl, getTokensFromCode, checkAvailabilityWithGoogle, bookAppointmentWithGoogle } = require('./google-calendar');
+const { getAuthUrl, getTokensFromCode } = require('./google-calendar');
+const { parseSlotTime, parseRequestedDate, APPOINTMENT_CONFIG } = require('./calendar-common');
+const moment = require('moment-timezone');
+const TokenStore = require('./services/TokenStore');
+const CalendarService = require('./services/CalendarService');
+
+// Import Retell request signature verification
+const { verifyRetellSignature } = require('./middleware/retellSignature');
+const { requireApiKey } = require('./middleware/apiAuth');
+const complianceRoutes = require('./routes/compliance');
+const leadRoutes = require('./routes/leads');
+const dashboardRoutes = require('./routes/dashboard');
+const webhookSubscriptionRoutes = require('./routes/webhookSubscriptions');
+const ghlRoutes = require('./routes/ghl');
+const callRoutes = require('./routes/calls');
+const dialerRoutes = require('./routes/dialer');
+const numberRoutes = require('./routes/numbers');
 
 // Import Smart Callback Algorithm
 const { SmartCallbackPredictor, initializeCallback, getOptimalCallTimes, recordCall } = require('./smart-callback-algorithm');
 
-// Store Google tokens temporarily
-let googleTokens = null;
+// Import client registry (multi-tenant configuration)
+const ClientRegistry = require('./services/ClientRegistry');
+const clientRegistry = new ClientRegistry();
+
+// Import call orchestration and the smart callback dispatcher
+const CallOrchestrator = require('./services/CallOrchestrator');
+const CallbackDispatcher = require('./services/CallbackDispatcher');
+const ComplianceGate = require('./services/ComplianceGate');
+const complianceGate = new ComplianceGate();
+const callOrchestrator = new CallOrchestrator({ complianceGate });
+const RetellService = require('./services/RetellService');
+const retellService = new RetellService();
+const { isCallbackOutcome, normalizeOutcome } = require('./services/CallOutcomeClassifier');
+
+// Every outbound call goes through the dialer's queue (concurrency limits and pacing),
+// from a caller ID out of the client's number pool
+const Dialer = require('./services/Dialer');
+const NumberPool = require('./services/NumberPool');
+const numberPool = new NumberPool();
+const dialer = new Dialer(clientRegistry, { callOrchestrator, numberPool });
+const callbackDispatcher = new CallbackDispatcher(clientRegistry, { dialer });
+
+// Lifecycle events for the clients' webhook subscribers (lead.created, call.ended...)
+const EventBus = require('./services/EventBus');
+const eventBus = new EventBus();
+
+// GoHighLevel API sync: contact upserts, call notes, outcome tags and appointments
+const GhlSync = require('./services/GhlSync');
+const GhlClient = require('./services/GhlClient');
+const ghlSync = new GhlSync(clientRegistry);
+
+// Confirmation/reminder calls before booked appointments
+const ReminderScheduler = require('./services/ReminderScheduler');
+const reminderScheduler = new ReminderScheduler(clientRegistry, { dialer });
+
+// Service-area checks for address validation (ZIP, city, radius, polygon rules)
+const ServiceAreaChecker = require('./services/ServiceAreaChecker');
+const serviceAreaChecker = new ServiceAreaChecker();
+
+// Terminal dispositions reported by the agent (config/dispositions.js)
+const DispositionEngine = require('./services/DispositionEngine');
+const dispositionEngine = new DispositionEngine({ callbackDispatcher, dncList: complianceGate.dncList, dialer, eventBus, ghlSync });
+
+// Import lead intake (normalization, dedupe, idempotency)
+const LeadProcessor = require('./services/LeadProcessor');
+const leadProcessor = new LeadProcessor();
+
+// Intake and Retell function activity for the per-lead timeline
+const LeadActivity = require('./services/LeadActivity');
+const leadActivity = new LeadActivity();
+const recordFunctionCall = leadActivity.functionCallMiddleware();
+
+// Bulk CSV lead import through the same intake path, with paced call queueing
+const LeadImporter = require('./services/LeadImporter');
+const leadImporter = new LeadImporter({ leadProcessor, leadActivity, callbackDispatcher, eventBus });
+
+// Transcripts, analysis and function calls of every call, searchable under /api/calls
+const CallRecorder = require('./services/CallRecorder');
+const callRecorder = new CallRecorder({ retellService });
+
+// Lead reports for /api/leads/export
+const LeadExporter = require('./services/LeadExporter');
+const leadExporter = new LeadExporter();
+
+// Google tokens are persisted per client so restarts don't drop calendar access
+const tokenStore = new TokenStore();
+
+// Google or GHL calendar, selected per client
+const calendarService = new CalendarService(tokenStore);
 
 // Initialize Supabase
 let supabase = null;
@@ -25,118 +109,92 @@ if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
   global.supabase = supabase;
 }
 
+// Leads, call history, callback queue and appointments go through the storage
+// layer, which falls back to in-memory tables when Supabase isn't configured
+const storage = require('./storage');
+storage.configure({ supabase });
+console.log(`💾 Storage backend: ${storage.backendName()}`);
+
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes Retell signed, re-serializing req.body would not match
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
+
+// Resolve the :client route parameter into req.client for every tenant route
+app.param('client', clientRegistry.resolveParam());
+
+// Admin API
+app.use('/api', requireApiKey, complianceRoutes({ clientRegistry, complianceGate, dialer }));
+app.use('/api', requireApiKey, leadRoutes({ clientRegistry, leadProcessor, leadActivity, leadImporter, leadExporter, eventBus, callbackDispatcher }));
+app.use('/api', requireApiKey, webhookSubscriptionRoutes({ clientRegistry, eventBus }));
+app.use('/api', requireApiKey, ghlRoutes({ clientRegistry, ghlSync }));
+app.use('/api', requireApiKey, callRoutes({ clientRegistry, callRecorder }));
+app.use('/api', requireApiKey, dialerRoutes({ clientRegistry, dialer }));
+app.use('/api', requireApiKey, numberRoutes({ clientRegistry, numberPool }));
+app.use('/api', requireApiKey, dashboardRoutes({ clientRegistry, calendarService }));
+
+// Operations dashboard (public/index.html), backed by the /api routes above
+app.use(express.static(path.join(__dirname, 'public')));
 
 // ========================================
 // FUNCTION DEFINITIONS (BEFORE ROUTES)
 // ========================================
 
-// Updated webhook-based contact creation
-async function createGHLContact(leadData) {
+// Direct contact upsert through the GHL API, used by the debug endpoint below
+async function createGHLContact(leadData, client) {
   try {
-    console.log(`📋 Creating GHL contact via webhook for ${leadData.name}`);
-
-    const nameParts = leadData.name.split(' ');
-    const webhookData = {
-      firstName: nameParts[0] || '',
-      lastName: nameParts.slice(1).join(' ') || '',
-      phone: leadData.phone,
-      email: leadData.email || '',
-      source: leadData.source || 'Railway Import',
-      tags: 'AI Calling',
-      projectNotes: leadData.project_notes || leadData.project_type || 'Lead inquiry',
-      address: leadData.full_address || 'Address to be confirmed'
-    };
+    const ghl = GhlClient.forClient(client);
+    if (!ghl.configured) {
+      console.error('❌ GHL contact upsert needs GHL_API_KEY and LOCATION_ID');
+      return null;
+    }
 
-    console.log('📤 Sending to GHL webhook:', webhookData);
+    console.log(`📋 Upserting GHL contact for ${leadData.name}`);
+    const contact = await ghl.upsertContact(ghlSync.contactFields(leadData));
 
-    const response = await axios.post(
-      'https://services.leadconnectorhq.com/hooks/llj5AyvYH8kun6U6fX84/webhook-trigger/bb07aab7-1781-416b-aecf-a15f2a1f9a9c',
-      webhookData,
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    console.log(`✅ GHL contact created via webhook successfully`);
-    return { success: true, method: 'webhook', response: response.data };
+    console.log(`✅ GHL contact upserted: ${contact?.id}`);
+    return { success: true, method: 'api', contact };
 
   } catch (error) {
-    console.error('❌ Webhook contact creation failed:', error.response?.data || error.message);
+    console.error('❌ GHL contact upsert failed:', error.message);
     return null;
   }
 }
 
-// Function to initiate AI call
-async function initiateAICall(leadData, railwayLeadId, ghlContactId, uuid) {
-  try {
-    if (!process.env.RETELL_API_KEY || !process.env.RETELL_AGENT_ID) {
-      return { success: false, error: 'Retell not configured' };
-    }
-
-    console.log(`📞 Calling Retell AI for ${leadData.name} at ${leadData.phone}`);
-    
-    // Ensure all metadata fields are strings
-    const metadata = {
-      railway_lead_id: String(railwayLeadId || ''),
-      ghl_contact_id: String(ghlContactId || ''),
-      uuid: String(uuid || ''),
-      first_name: String(leadData.name.split(' ')[0] || ''),
-      last_name: String(leadData.name.split(' ').slice(1).join(' ') || ''),
-      full_name: String(leadData.name || ''),
-      phone: String(leadData.phone || ''),
-      email: String(leadData.email || ''),
-      full_address: String(leadData.full_address || 'Address to be confirmed'),
-      project_type: String(leadData.project_type || 'General Inquiry'),
-      project_notes: String(leadData.project_notes || 'Lead inquiry'),
-      calendar_availability: JSON.stringify(leadData.availability || []),
-      calendar_provider: 'Google Calendar'
-    };
-    
-    console.log('🚀 METADATA BEING SENT TO CARL:');
-    console.log('📝 first_name:', metadata.first_name);
-    console.log('📝 last_name:', metadata.last_name);
-    console.log('📝 full_name:', metadata.full_name);
-    console.log('📝 phone:', metadata.phone);
-    console.log('📝 email:', metadata.email);
-    console.log('📝 project_type:', metadata.project_type);
-    console.log('📝 project_notes:', metadata.project_notes);
-    console.log('📝 full_address:', metadata.full_address);
-    console.log('📝 uuid:', metadata.uuid);
-    
-    const response = await axios.post('https://api.retellai.com/v2/create-phone-call', {
-      from_number: '+17252092232',
-      to_number: leadData.phone,
-      agent_id: process.env.RETELL_AGENT_ID,
-      metadata: metadata
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.RETELL_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
+// Find a lead by the uuid Carl carries in call metadata, scoped to the client
+async function findLeadByUuid(client, uuid) {
+  return await storage.leads.findByUuid(client.id, uuid);
+}
 
-    console.log(`✅ AI call initiated successfully: ${response.data.call_id}`);
-    
-    return { 
-      success: true, 
-      call_id: response.data.call_id 
-    };
+// Same, falling back to the caller's phone number for inbound calls without metadata
+async function findLeadForCall(client, call) {
+  return await storage.leads.findByCallReference(client.id, retellService.leadReference(call));
+}
 
-  } catch (error) {
-    console.error(`❌ AI call failed:`, error.response?.data || error.message);
-    return { 
-      success: false, 
-      error: error.response?.data || error.message 
-    };
+// appointment.* webhook events carry the appointment row and its lead; the GHL
+// calendar and opportunity get the same change (appointment.booked -> appointment_booked stage)
+function publishAppointmentChange(client, type, appointment, lead) {
+  eventBus.emit(client, type, {
+    appointment,
+    lead: lead ? eventBus.leadPayload(lead) : null
+  });
+  if (lead) {
+    ghlSync.syncAppointment(client, appointment, lead);
+    ghlSync.advanceOpportunity(client, lead, type.replace('.', '_'));
   }
 }
 
+// "Tuesday, June 4 at 10:00 AM" in the client's timezone, as the agent reads it out
+function formatAppointmentTime(time, client) {
+  return moment(time).tz(client.business_hours.timezone).format('dddd, MMMM D [at] h:mm A');
+}
+
 // ========================================
 // DEBUG AND TEST ENDPOINTS
 // ========================================
@@ -209,7 +267,7 @@ app.post('/debug/test-ghl-contact', async (req, res) => {
       source: 'direct_test'
     };
     
-    const result = await createGHLContact(testLeadData);
+    const result = await createGHLContact(testLeadData, await clientRegistry.getDefaultClient());
     
     if (result) {
       res.json({
@@ -239,23 +297,29 @@ app.post('/debug/test-ghl-contact', async (req, res) => {
 // GOOGLE CALENDAR ENDPOINTS
 // ========================================
 
-app.get('/auth/google', (req, res) => {
+app.get('/auth/google', async (req, res) => {
   try {
-    const authUrl = getAuthUrl();
-    res.json({ success: true, authUrl: authUrl });
+    const client = await clientRegistry.getDefaultClient();
+    const authUrl = getAuthUrl(client?.slug);
+    res.json({ success: true, client: client?.slug, authUrl: authUrl });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 app.get('/auth/google/callback', async (req, res) => {
-  const { code } = req.query;
+  const { code, state } = req.query;
   if (!code) return res.status(400).send('Authorization code not provided');
   
   try {
+    // The OAuth state carries the slug of the client being authorized
+    const client = state ? await clientRegistry.getClient(state) : await clientRegistry.getDefaultClient();
+    if (!client) return res.status(400).send('Unknown client for authorization: ' + state);
+
     const result = await getTokensFromCode(code);
     if (result.success) {
-      googleTokens = result.tokens;
+      await tokenStore.saveTokens(client.id, result.tokens);
+      console.log(`✅ Google Calendar authorized for ${client.slug}`);
       res.send('<h1>✅ Google Calendar Authorization Successful!</h1><script>window.close();</script>');
     } else {
       res.status(500).send('Authorization failed: ' + result.error);
@@ -265,31 +329,64 @@ app.get('/auth/google/callback', async (req, res) => {
   }
 });
 
+app.get('/auth/google/:client', (req, res) => {
+  try {
+    const authUrl = getAuthUrl(req.client.slug);
+    res.json({ success: true, client: req.client.slug, authUrl: authUrl });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/auth/google/:client/status', async (req, res) => {
+  try {
+    const status = await tokenStore.getStatus(req.client.id);
+    res.json({
+      success: true,
+      client: req.client.slug,
+      ...status,
+      authUrl: status.authorized ? undefined : getAuthUrl(req.client.slug)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get('/webhook/test-google-calendar', async (req, res) => {
+  let client = null;
   try {
-    if (!googleTokens) {
+    client = req.query.client ? await clientRegistry.getClient(req.query.client) : await clientRegistry.getDefaultClient();
+    if (!client) {
+      return res.status(404).json({ success: false, error: `Unknown client: ${req.query.client}` });
+    }
+
+    const calendar = await calendarService.getProvider(client);
+    if (!calendar) {
+      const status = await calendarService.getStatus(client);
       return res.json({
         success: false,
-        error: 'Google Calendar not authorized yet',
-        authUrl: getAuthUrl(),
+        error: status.status === 'reauth_required' ? 'Google Calendar authorization was revoked' : 'Google Calendar not authorized yet',
+        authUrl: getAuthUrl(client.slug),
         message: 'Visit the authUrl to authorize Google Calendar access first'
       });
     }
     
-    console.log('🧪 Testing Google Calendar integration...');
-    const availability = await checkAvailabilityWithGoogle(googleTokens, 3);
+    console.log(`🧪 Testing ${calendar.name} integration for ${client.slug}...`);
+    const availability = await calendar.listAvailability(3);
+    if (!availability.success) await calendarService.handleFailure(client, availability);
     
     res.json({
-      message: 'Google Calendar integration test',
+      message: `${calendar.name} integration test`,
+      client: client.slug,
       availability: availability,
       timestamp: new Date().toISOString(),
-      authorized: true
+      authorized: !availability.reauthorizationRequired
     });
   } catch (error) {
     res.status(500).json({
       error: 'Google Calendar test failed',
       details: error.message,
-      authorized: !!googleTokens
+      authorized: client ? (await calendarService.getStatus(client)).authorized : false
     });
   }
 });
@@ -298,59 +395,103 @@ app.get('/webhook/test-google-calendar', async (req, res) => {
 // RETELL WEBHOOK
 // ========================================
 
-app.post('/webhook/retell/bestbuyremodel', async (req, res) => {
+app.post('/webhook/retell/:client', verifyRetellSignature, async (req, res) => {
   try {
-    console.log('🤖 Retell webhook received:', req.body.event_type);
+    const { event, call, callId, metadata, summary, durationSeconds } = retellService.parseWebhookEvent(req.body);
+    console.log('🤖 Retell webhook received:', event);
+
+    // Live-call tracking for the dialer's concurrency limits
+    if (event === 'call_started') await dialer.callStarted(callId);
+    if (event === 'call_ended') await dialer.callEnded(callId, call);
+
+    // call_ended carries the transcript, call_analyzed adds the analysis
+    if (event === 'call_ended' || event === 'call_analyzed') {
+      await callRecorder.record(req.client, call);
+    }
     
-    if (req.body.event_type === 'call_ended') {
-      const { call_id, call_analysis, metadata } = req.body;
-      
-      let outcome = 'no_answer';
-      if (call_analysis?.summary) {
-        const summary = call_analysis.summary.toLowerCase();
-        if (summary.includes('appointment') || summary.includes('scheduled') || summary.includes('booked')) {
-          outcome = 'booked';
-        } else if (summary.includes('not interested') || summary.includes('no thank you')) {
-          outcome = 'dead';
-        } else if (summary.includes('call back') || summary.includes('later')) {
-          outcome = 'follow_up';
-        } else {
-          outcome = 'follow_up';
-        }
+    // Post-call analysis arrives with call_analyzed; legacy payloads sent it with call_ended
+    if (event === 'call_analyzed' || (event === 'call_ended' && call.call_analysis)) {
+      if (!(await callRecorder.claimOutcome(req.client, callId))) {
+        console.log(`🔁 Outcome of call ${callId} was already processed`);
+        return res.json({ success: true, duplicate: true });
       }
+
+      const { outcome, reason } = retellService.extractOutcome(call);
       
-      console.log(`📞 Call ${call_id} ended with outcome: ${outcome}`);
+      console.log(`📞 Call ${callId} ended with outcome: ${outcome} (${reason})`);
       
+      // Reminder calls only close out their reminder; they are not sales attempts
+      // and must not feed the callback schedule
+      const callLead = await findLeadForCall(req.client, call);
+      eventBus.emit(req.client, 'call.ended', {
+        call_id: callId,
+        call_type: metadata?.call_type || 'sales',
+        direction: call.direction || null,
+        from_number: call.from_number || null,
+        to_number: call.to_number || null,
+        outcome,
+        outcome_reason: reason,
+        duration_seconds: durationSeconds,
+        summary,
+        lead: callLead ? eventBus.leadPayload(callLead) : null
+      });
+      if (callLead) {
+        ghlSync.logCall(req.client, callLead, {
+          call_id: callId,
+          direction: call.direction,
+          outcome,
+          duration_seconds: durationSeconds,
+          summary
+        });
+        if (metadata?.call_type !== 'appointment_reminder') {
+          ghlSync.advanceOpportunity(req.client, callLead, outcome);
+        }
+      }
+
+      if (metadata?.call_type === 'appointment_reminder') {
+        await reminderScheduler.completeReminder(metadata.reminder_id, outcome);
+        return res.json({ success: true });
+      }
+
       // Record call outcome for AI learning
-      if (metadata?.uuid && global.supabase) {
+      if (metadata?.uuid) {
         try {
-          const { data: lead } = await global.supabase
-            .from('leads')
-            .select('id')
-            .eq('custom_fields->uuid', metadata.uuid)
-            .single();
+          // findLeadForCall tries the metadata uuid first
+          const lead = callLead?.custom_fields?.uuid === metadata.uuid ? callLead : null;
           
           if (lead) {
+            // A disposition the agent reported during this call (DispositionEngine) is
+            // the call's real outcome; this is the only place call_history is written
+            const fields = lead.custom_fields || {};
+            const leadOutcome = (fields.disposition_call_id === callId && fields.disposition_outcome) || outcome;
+
             await recordCall(lead.id, {
               callTime: new Date().toISOString(),
-              outcome: outcome,
-              duration: req.body.call_duration || 0,
-              notes: call_analysis?.summary || ''
-            });
-
-            const callbackTriggers = ['no_answer', 'follow_up'];
-            if (callbackTriggers.includes(outcome)) {
-              await initializeCallback(lead.id, outcome);
+              outcome: leadOutcome,
+              duration: durationSeconds,
+              notes: summary
+            }, req.client);
+
+            if (metadata.callback_id) {
+              // Call was placed by the dispatcher: close out its queue entry and
+              // keep the remaining scheduled callbacks instead of queueing a new batch
+              await callbackDispatcher.completeCallback(metadata.callback_id, leadOutcome, req.client);
+            } else if (isCallbackOutcome(leadOutcome)) {
+              await initializeCallback(lead.id, leadOutcome, req.client);
               console.log(`🧠 Smart callbacks scheduled for lead ${lead.id}`);
             }
+
+            if (!isCallbackOutcome(leadOutcome)) {
+              await callbackDispatcher.cancelPendingCallbacks(lead.id, `Call outcome: ${leadOutcome}`);
+            }
           }
         } catch (error) {
           console.error('❌ Failed to process call outcome for AI:', error);
         }
       }
       
-      if (outcome === 'booked') {
-        console.log('🎉 Appointment was booked during call via Google Calendar!');
+      if (outcome === 'appointment_booked') {
+        console.log('🎉 Appointment was booked during call!');
       }
     }
     
@@ -365,7 +506,7 @@ app.post('/webhook/retell/bestbuyremodel', async (req, res) => {
 // RETELL CUSTOM FUNCTIONS
 // ========================================
 
-app.post('/webhook/schedule-lead/bestbuyremodel', async (req, res) => {
+app.post('/webhook/schedule-lead/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
     const { call, args } = req.body;
     const uuid = call?.metadata?.uuid;
@@ -379,9 +520,13 @@ app.post('/webhook/schedule-lead/bestbuyremodel', async (req, res) => {
       return res.json({ result: 'Missing information to schedule appointment' });
     }
 
-    const appointmentDate = new Date(chosen_appointment_slot.replace(' ', 'T') + ':00.000Z');
-    const endDate = new Date(appointmentDate);
-    endDate.setHours(endDate.getHours() + 1);
+    // The agent reads slots in the client's local time
+    const timezone = req.client.business_hours.timezone;
+    const appointmentDate = parseSlotTime(chosen_appointment_slot, timezone);
+    if (!appointmentDate) {
+      return res.json({ result: 'I did not catch the appointment time. Could you repeat the date and time you would like?' });
+    }
+    const endDate = moment(appointmentDate).add(APPOINTMENT_CONFIG.duration, 'minutes').toDate();
 
     let leadInfo = {
       clientName: call?.metadata?.full_name || call?.metadata?.first_name || 'Lead',
@@ -398,59 +543,40 @@ app.post('/webhook/schedule-lead/bestbuyremodel', async (req, res) => {
       endTime: endDate.toISOString()
     };
 
-    if (googleTokens) {
-      const bookingResult = await bookAppointmentWithGoogle(googleTokens, appointmentData);
+    const calendar = await calendarService.getProvider(req.client);
+    if (calendar) {
+      const bookingResult = await calendar.book(appointmentData);
       
       if (bookingResult.success) {
-        console.log(`✅ Google Calendar appointment booked for ${leadInfo.clientName}`);
+        console.log(`✅ ${calendar.name} appointment booked for ${leadInfo.clientName}`);
         
-        if (global.supabase) {
-          try {
-            const { data } = await global.supabase
-              .from('leads')
-              .select('id')
-              .eq('custom_fields->uuid', uuid)
-              .single();
-            const leadId = data?.id;
-            
-            if (leadId) {
-              await recordCall(leadId, {
-                callTime: new Date().toISOString(),
-                outcome: 'appointment_booked',
-                duration: 0,
-                attemptNumber: 1,
-                notes: `Appointment booked: ${appointmentDate.toLocaleString()}`
-              });
-            }
-            
-            await global.supabase
-              .from('leads')
-              .update({ 
-                status: 'appointment_booked',
-                appointment_time: appointmentDate.toISOString()
-              })
-              .eq('custom_fields->uuid', uuid);
-          } catch (dbError) {
-            console.error('Failed to update lead status:', dbError);
+        try {
+          const lead = await findLeadByUuid(req.client, uuid);
+          
+          if (lead) {
+            const appointment = await calendarService.recordAppointment(req.client, lead.id, bookingResult, appointmentData);
+            await reminderScheduler.scheduleForAppointment(req.client, appointment);
+
+            const bookedLead = await storage.leads.update(lead.id, {
+              status: 'appointment_booked',
+              appointment_time: appointmentDate.toISOString()
+            });
+            publishAppointmentChange(req.client, 'appointment.booked', appointment, bookedLead || lead);
           }
+        } catch (dbError) {
+          console.error('Failed to update lead status:', dbError);
         }
 
+        const localTime = moment(appointmentDate).tz(timezone);
         res.json({
-          result: `Perfect! I have scheduled your appointment for ${appointmentDate.toLocaleDateString('en-US', { 
-            weekday: 'long', 
-            year: 'numeric', 
-            month: 'long', 
-            day: 'numeric' 
-          })} at ${appointmentDate.toLocaleTimeString('en-US', { 
-            hour: 'numeric', 
-            minute: '2-digit', 
-            hour12: true 
-          })}. You will receive a calendar invitation shortly.`
+          result: `Perfect! I have scheduled your appointment for ${localTime.format('dddd, MMMM D, YYYY')} at ${localTime.format('h:mm A')}. You will receive a calendar invitation shortly.`
         });
       } else {
+        await calendarService.handleFailure(req.client, bookingResult);
         res.json({ result: 'I encountered an issue scheduling the appointment. Let me transfer you to someone who can help.' });
       }
     } else {
+      console.warn(`⚠️ Calendar not connected for ${req.client.slug} - appointment not booked`);
       res.json({ result: 'Appointment scheduling noted. Our team will follow up to confirm.' });
     }
   } catch (error) {
@@ -459,7 +585,7 @@ app.post('/webhook/schedule-lead/bestbuyremodel', async (req, res) => {
   }
 });
 
-app.post('/webhook/check-availability/bestbuyremodel', async (req, res) => {
+app.post('/webhook/check-availability/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
     console.log('📅 Check availability called:', req.body);
     
@@ -472,35 +598,31 @@ app.post('/webhook/check-availability/bestbuyremodel', async (req, res) => {
       return res.json({ result: 'Could you please specify which date you would like to check?' });
     }
 
-    if (googleTokens) {
-      const availability = await checkAvailabilityWithGoogle(googleTokens, 7);
+    const requestedDay = parseRequestedDate(appointment_date);
+    if (!requestedDay) {
+      return res.json({ result: 'Could you please tell me the date again, including the month and day?' });
+    }
+
+    const calendar = await calendarService.getProvider(req.client);
+    if (calendar) {
+      const availability = await calendar.listAvailability(7);
       
       if (availability.success) {
-        const requestedDate = new Date(appointment_date);
-        const availableDay = availability.availability.find(day => {
-          const dayDate = new Date(day.date);
-          return dayDate.toDateString() === requestedDate.toDateString();
-        });
+        const availableDay = availability.availability.find(day => day.isoDate === requestedDay);
+        const requestedDateText = moment(requestedDay, 'YYYY-MM-DD').format('dddd, MMMM D');
 
         if (availableDay && availableDay.slots.length > 0) {
           const slotsText = availableDay.slots.map(slot => slot.displayTime).join(', ');
           res.json({
-            result: `Great! I have availability on ${requestedDate.toLocaleDateString('en-US', { 
-              weekday: 'long', 
-              month: 'long', 
-              day: 'numeric' 
-            })} at these times: ${slotsText}. Which time works best for you?`
+            result: `Great! I have availability on ${requestedDateText} at these times: ${slotsText}. Which time works best for you?`
           });
         } else {
           res.json({
-            result: `I don't have any availability on ${requestedDate.toLocaleDateString('en-US', { 
-              weekday: 'long', 
-              month: 'long', 
-              day: 'numeric' 
-            })}. Would you like me to check another date?`
+            result: `I don't have any availability on ${requestedDateText}. Would you like me to check another date?`
           });
         }
       } else {
+        await calendarService.handleFailure(req.client, availability);
         res.json({ result: 'Let me check our schedule and get back to you on availability.' });
       }
     } else {
@@ -512,32 +634,167 @@ app.post('/webhook/check-availability/bestbuyremodel', async (req, res) => {
   }
 });
 
-app.post('/webhook/update-phone/bestbuyremodel', async (req, res) => {
+// The lead's current appointment. Works for outbound calls (metadata uuid) and
+// for homeowners calling in, who are matched by their phone number.
+app.post('/webhook/get-appointment/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
+  try {
+    const { call } = req.body;
+    const lead = await findLeadForCall(req.client, call);
+    const appointment = lead ? await calendarService.findUpcomingAppointment(req.client, lead.id) : null;
+
+    if (!appointment) {
+      return res.json({ result: 'I could not find an upcoming appointment for you. Would you like me to schedule one?' });
+    }
+
+    res.json({
+      result: `You have an estimate scheduled for ${formatAppointmentTime(appointment.start_time, req.client)}${appointment.address ? ` at ${appointment.address}` : ''}.`
+    });
+  } catch (error) {
+    console.error('❌ Get appointment error:', error);
+    res.json({ result: 'I am having trouble looking up your appointment. Let me have our team follow up with you.' });
+  }
+});
+
+// Reminder agent: the homeowner confirms they'll be there
+app.post('/webhook/confirm-appointment/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
+  try {
+    const { call } = req.body;
+    const lead = await findLeadForCall(req.client, call);
+    const appointment = lead ? await calendarService.findUpcomingAppointment(req.client, lead.id) : null;
+
+    if (!appointment) {
+      return res.json({ result: 'I could not find an upcoming appointment for you. Our team will follow up.' });
+    }
+
+    await reminderScheduler.confirmAppointment(lead, appointment, call);
+    publishAppointmentChange(req.client, 'appointment.confirmed', await storage.appointments.findById(appointment.id), lead);
+
+    console.log(`✅ Appointment ${appointment.id} confirmed by lead ${lead.id}`);
+    res.json({ result: `Thank you! You are confirmed for ${formatAppointmentTime(appointment.start_time, req.client)}. We look forward to seeing you.` });
+  } catch (error) {
+    console.error('❌ Confirm appointment error:', error);
+    res.json({ result: 'Thank you, I have noted your confirmation.' });
+  }
+});
+
+app.post('/webhook/reschedule-appointment/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
+  try {
+    const { call, args } = req.body;
+    const new_appointment_slot = args?.new_appointment_slot || args?.chosen_appointment_slot;
+
+    const lead = await findLeadForCall(req.client, call);
+    const appointment = lead ? await calendarService.findUpcomingAppointment(req.client, lead.id) : null;
+    if (!appointment) {
+      return res.json({ result: 'I could not find an upcoming appointment to move. Would you like me to schedule a new one?' });
+    }
+
+    const timezone = req.client.business_hours.timezone;
+    const newStart = parseSlotTime(new_appointment_slot, timezone);
+    if (!newStart) {
+      return res.json({ result: 'What date and time would you like to move your appointment to?' });
+    }
+
+    const calendar = await calendarService.getProvider(req.client);
+    if (!calendar) {
+      console.warn(`⚠️ Calendar not connected for ${req.client.slug} - appointment not rescheduled`);
+      return res.json({ result: 'I have noted that you would like to reschedule. Our team will follow up to confirm a new time.' });
+    }
+
+    const slotCheck = await calendarService.isSlotAvailable(calendar, newStart.toISOString());
+    if (!slotCheck.success) {
+      await calendarService.handleFailure(req.client, slotCheck);
+      return res.json({ result: 'I am having trouble checking the schedule. Our team will follow up to confirm a new time.' });
+    }
+
+    if (!slotCheck.available) {
+      const requestedDay = moment(newStart).tz(timezone).format('YYYY-MM-DD');
+      const sameDay = slotCheck.availability.find(day => day.isoDate === requestedDay);
+      const alternatives = sameDay
+        ? `On that day I have ${sameDay.slots.map(slot => slot.displayTime).join(', ')}.`
+        : 'Would you like me to check another day?';
+      return res.json({ result: `That time is not available. ${alternatives}` });
+    }
+
+    const rescheduled = await calendarService.rescheduleAppointment(req.client, appointment, newStart.toISOString());
+    if (!rescheduled.success) {
+      return res.json({ result: 'I encountered an issue moving the appointment. Let me transfer you to someone who can help.' });
+    }
+
+    const updatedLead = await storage.leads.update(lead.id, {
+      status: 'appointment_booked',
+      appointment_time: newStart.toISOString()
+    });
+    await reminderScheduler.rescheduleForAppointment(req.client, rescheduled.appointment);
+    publishAppointmentChange(req.client, 'appointment.rescheduled', rescheduled.appointment, updatedLead || lead);
+    await reminderScheduler.recordResponse(call, ReminderScheduler.RESPONSES.RESCHEDULE);
+
+    console.log(`📅 Appointment ${appointment.id} rescheduled for lead ${lead.id}: ${appointment.start_time} -> ${newStart.toISOString()}`);
+    res.json({
+      result: `All set! I have moved your appointment to ${formatAppointmentTime(newStart, req.client)}. You will receive an updated calendar invitation.`
+    });
+  } catch (error) {
+    console.error('❌ Reschedule appointment error:', error);
+    res.json({ result: 'I apologize, but I encountered an issue while rescheduling.' });
+  }
+});
+
+app.post('/webhook/cancel-appointment/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
+  try {
+    const { call, args } = req.body;
+    const reason = args?.reason || args?.cancellation_reason || null;
+
+    const lead = await findLeadForCall(req.client, call);
+    const appointment = lead ? await calendarService.findUpcomingAppointment(req.client, lead.id) : null;
+    if (!appointment) {
+      return res.json({ result: 'I could not find an upcoming appointment to cancel.' });
+    }
+
+    const cancelled = await calendarService.cancelAppointment(req.client, appointment, reason);
+    if (!cancelled.success) {
+      return res.json({ result: 'I encountered an issue cancelling the appointment. Our team will follow up with you.' });
+    }
+
+    const updatedLead = await storage.leads.update(lead.id, {
+      status: 'appointment_cancelled',
+      appointment_time: null
+    });
+    await reminderScheduler.cancelForAppointment(appointment.id, 'Appointment cancelled');
+    publishAppointmentChange(req.client, 'appointment.cancelled', cancelled.appointment, updatedLead || lead);
+    await reminderScheduler.recordResponse(call, ReminderScheduler.RESPONSES.CANCEL);
+
+    console.log(`🗓️ Appointment ${appointment.id} cancelled for lead ${lead.id}${reason ? `: ${reason}` : ''}`);
+    res.json({ result: 'Your appointment has been cancelled. If you would like to book another time, just let me know.' });
+  } catch (error) {
+    console.error('❌ Cancel appointment error:', error);
+    res.json({ result: 'I apologize, but I encountered an issue while cancelling.' });
+  }
+});
+
+app.post('/webhook/update-phone/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
     console.log('📞 Update phone called:', req.body);
     
     const { call, args } = req.body;
     const uuid = call?.metadata?.uuid;
-    const phone = args?.phone;
     
-    if (!uuid || !phone) {
+    if (!uuid || !args?.phone) {
       return res.json({ result: 'I need your phone number to update our records.' });
     }
 
-    if (global.supabase) {
-      const { error } = await global.supabase
-        .from('leads')
-        .update({ phone: phone })
-        .eq('custom_fields->uuid', uuid);
-      
-      if (error) {
-        console.error('Database update error:', error);
-        res.json({ result: 'I noted your phone number and our team will update our records.' });
-      } else {
-        res.json({ result: 'Perfect! I have updated your phone number in our system.' });
+    const phone = leadProcessor.formatPhone(args.phone);
+    if (!phone) {
+      return res.json({ result: "I didn't catch a valid phone number. Could you repeat it with the area code?" });
+    }
+
+    try {
+      const lead = await findLeadByUuid(req.client, uuid);
+      if (lead) {
+        await storage.leads.update(lead.id, { phone });
       }
-    } else {
       res.json({ result: 'Perfect! I have updated your phone number in our system.' });
+    } catch (dbError) {
+      console.error('Database update error:', dbError);
+      res.json({ result: 'I noted your phone number and our team will update our records.' });
     }
   } catch (error) {
     console.error('❌ Update phone error:', error);
@@ -545,7 +802,7 @@ app.post('/webhook/update-phone/bestbuyremodel', async (req, res) => {
   }
 });
 
-app.post('/webhook/validate-address/bestbuyremodel', async (req, res) => {
+app.post('/webhook/validate-address/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
     console.log('📍 Validate address called:', req.body);
     
@@ -558,15 +815,25 @@ app.post('/webhook/validate-address/bestbuyremodel', async (req, res) => {
       return res.json({ result: 'Could you please provide your address so I can verify we service your area?' });
     }
 
-    const isLasVegas = address.toLowerCase().includes('las vegas') || 
-                      address.toLowerCase().includes('henderson') ||
-                      address.toLowerCase().includes('summerlin') ||
-                      /89\d{3}/.test(address);
+    const check = await serviceAreaChecker.check(req.client, address);
+    console.log(`📍 Service area: ${check.status} - ${check.reason}`);
 
-    if (isLasVegas) {
+    const lead = await findLeadForCall(req.client, call);
+    if (lead) {
+      await storage.leads.updateCustomFields(lead, {
+        service_area_status: check.status,
+        service_area_reason: check.reason,
+        service_area_checked_at: new Date().toISOString()
+      });
+    }
+
+    if (check.status === ServiceAreaChecker.STATUSES.IN_AREA) {
       res.json({ result: 'Excellent! Your address is within our service area. We will be able to provide you with a free in-home estimate.' });
+    } else if (check.status === ServiceAreaChecker.STATUSES.OUT_OF_AREA) {
+      const served = req.client.service_area?.description;
+      res.json({ result: `I apologize, but your address appears to be outside our current service area.${served ? ` We primarily serve ${served}.` : ''}` });
     } else {
-      res.json({ result: 'I apologize, but your address appears to be outside our current service area. We primarily serve Las Vegas, Henderson, and Summerlin.' });
+      res.json({ result: 'Thank you. I was not able to confirm that address automatically, so our team will double-check that we service your area before your estimate.' });
     }
   } catch (error) {
     console.error('❌ Validate address error:', error);
@@ -574,35 +841,13 @@ app.post('/webhook/validate-address/bestbuyremodel', async (req, res) => {
   }
 });
 
-app.post('/webhook/call-back-later/bestbuyremodel', async (req, res) => {
+app.post('/webhook/call-back-later/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
     const { call, args } = req.body;
-    const uuid = call?.metadata?.uuid;
-    const proposed_callback_time = args?.proposed_callback_time;
     
-    console.log('📞 Callback metadata:', call?.metadata);
-    
-    let leadId = null;
-    if (global.supabase && uuid) {
-      const { data } = await global.supabase
-        .from('leads')
-        .select('id')
-        .eq('custom_fields->uuid', uuid)
-        .single();
-      leadId = data?.id;
-    }
-
-    if (leadId) {
-      await recordCall(leadId, {
-        callTime: new Date().toISOString(),
-        outcome: 'callback_requested',
-        duration: 0,
-        notes: `Callback requested for: ${proposed_callback_time || 'later'}`
-      });
-
-      await initializeCallback(leadId, 'callback_requested');
-      console.log(`🧠 Smart callbacks scheduled for lead ${leadId}`);
-    }
+    // The outcome (callback_requested) is recorded and the callbacks scheduled once the
+    // call is analyzed; the requested time is kept with the function call event
+    console.log(`📞 Callback requested for: ${args?.proposed_callback_time || 'later'}`, call?.metadata);
 
     res.json({ result: 'No problem! I will have someone from our team call you back soon. Our AI system will optimize the best times to reach you.' });
   } catch (error) {
@@ -611,15 +856,18 @@ app.post('/webhook/call-back-later/bestbuyremodel', async (req, res) => {
   }
 });
 
-app.post('/webhook/mark-wrong-number/bestbuyremodel', async (req, res) => {
+app.post('/webhook/mark-wrong-number/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
+    // The number doesn't belong to the lead: it goes on the DNC list for this client
+    await dispositionEngine.applyFromCall(req.client, 'mark_wrong_number', req.body.call, req.body.args);
     res.json({ result: 'I apologize for calling the wrong number. Have a great day!' });
   } catch (error) {
+    console.error('❌ Wrong number disposition error:', error);
     res.json({ result: 'Sorry for the inconvenience.' });
   }
 });
 
-app.post('/webhook/update-address/bestbuyremodel', async (req, res) => {
+app.post('/webhook/update-address/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
     const { call, args } = req.body;
     const uuid = call?.metadata?.uuid;
@@ -627,16 +875,9 @@ app.post('/webhook/update-address/bestbuyremodel', async (req, res) => {
     
     console.log('🏠 Update address metadata:', call?.metadata);
     
-    if (global.supabase && uuid && address) {
-      await global.supabase
-        .from('leads')
-        .update({ 
-          custom_fields: {
-            ...call?.metadata,
-            full_address: address
-          }
-        })
-        .eq('custom_fields->uuid', uuid);
+    const lead = address ? await findLeadByUuid(req.client, uuid) : null;
+    if (lead) {
+      await storage.leads.updateCustomFields(lead, { full_address: address });
     }
     
     res.json({ result: 'Perfect! I have updated your address in our system.' });
@@ -645,64 +886,56 @@ app.post('/webhook/update-address/bestbuyremodel', async (req, res) => {
   }
 });
 
-app.post('/webhook/mobile-home/bestbuyremodel', async (req, res) => {
+app.post('/webhook/mobile-home/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
+    await dispositionEngine.applyFromCall(req.client, 'mobile_home', req.body.call, req.body.args);
     res.json({ result: 'Unfortunately, we do not service mobile or manufactured homes.' });
   } catch (error) {
+    console.error('❌ Mobile home disposition error:', error);
     res.json({ result: 'Unfortunately, we do not service mobile homes.' });
   }
 });
 
-app.post('/webhook/outside-area/bestbuyremodel', async (req, res) => {
+app.post('/webhook/outside-area/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
+    await dispositionEngine.applyFromCall(req.client, 'outside_area', req.body.call, req.body.args);
     res.json({ result: 'Your location is outside our service area.' });
   } catch (error) {
+    console.error('❌ Outside area disposition error:', error);
     res.json({ result: 'Your location is outside our service area.' });
   }
 });
 
-app.post('/webhook/not-interested/bestbuyremodel', async (req, res) => {
+app.post('/webhook/not-interested/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
-    const { call } = req.body;
-    const uuid = call?.metadata?.uuid;
-    
-    if (global.supabase && uuid) {
-      await global.supabase
-        .from('leads')
-        .update({ status: 'not_interested' })
-        .eq('custom_fields->uuid', uuid);
-    }
-    
+    // Opt-out: the compliance gate blocks every further call to this lead
+    await dispositionEngine.applyFromCall(req.client, 'not_interested', req.body.call, req.body.args);
     res.json({ result: 'I completely understand. Thank you for your time!' });
   } catch (error) {
+    console.error('❌ Not interested disposition error:', error);
     res.json({ result: 'Thank you for your time!' });
   }
 });
 
-app.post('/webhook/transfer-call/bestbuyremodel', async (req, res) => {
+app.post('/webhook/transfer-call/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
+    await dispositionEngine.applyFromCall(req.client, 'transfer_call', req.body.call, req.body.args);
     res.json({ result: 'Let me transfer you to one of our specialists.' });
   } catch (error) {
+    console.error('❌ Transfer disposition error:', error);
     res.json({ result: 'Let me get you connected with someone who can help.' });
   }
 });
 
-app.post('/webhook/update-first-name/bestbuyremodel', async (req, res) => {
+app.post('/webhook/update-first-name/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
     const { call, args } = req.body;
     const uuid = call?.metadata?.uuid;
     const first_name = args?.first_name;
     
-    if (global.supabase && uuid && first_name) {
-      await global.supabase
-        .from('leads')
-        .update({ 
-          custom_fields: {
-            ...call?.metadata,
-            first_name: first_name
-          }
-        })
-        .eq('custom_fields->uuid', uuid);
+    const lead = first_name ? await findLeadByUuid(req.client, uuid) : null;
+    if (lead) {
+      await storage.leads.updateCustomFields(lead, { first_name: first_name });
     }
     
     res.json({ result: 'Perfect! I have updated your first name.' });
@@ -711,22 +944,15 @@ app.post('/webhook/update-first-name/bestbuyremodel', async (req, res) => {
   }
 });
 
-app.post('/webhook/update-last-name/bestbuyremodel', async (req, res) => {
+app.post('/webhook/update-last-name/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
     const { call, args } = req.body;
     const uuid = call?.metadata?.uuid;
     const last_name = args?.last_name;
     
-    if (global.supabase && uuid && last_name) {
-      await global.supabase
-        .from('leads')
-        .update({ 
-          custom_fields: {
-            ...call?.metadata,
-            last_name: last_name
-          }
-        })
-        .eq('custom_fields->uuid', uuid);
+    const lead = last_name ? await findLeadByUuid(req.client, uuid) : null;
+    if (lead) {
+      await storage.leads.updateCustomFields(lead, { last_name: last_name });
     }
     
     res.json({ result: 'Perfect! I have updated your last name.' });
@@ -735,23 +961,15 @@ app.post('/webhook/update-last-name/bestbuyremodel', async (req, res) => {
   }
 });
 
-app.post('/webhook/update-email/bestbuyremodel', async (req, res) => {
+app.post('/webhook/update-email/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
     const { call, args } = req.body;
     const uuid = call?.metadata?.uuid;
     const email = args?.email;
     
-    if (global.supabase && uuid && email) {
-      await global.supabase
-        .from('leads')
-        .update({ 
-          email: email,
-          custom_fields: {
-            ...call?.metadata,
-            email: email
-          }
-        })
-        .eq('custom_fields->uuid', uuid);
+    const lead = email ? await findLeadByUuid(req.client, uuid) : null;
+    if (lead) {
+      await storage.leads.updateCustomFields(lead, { email: email }, { email: email });
     }
     
     res.json({ result: 'Perfect! I have updated your email address.' });
@@ -760,7 +978,7 @@ app.post('/webhook/update-email/bestbuyremodel', async (req, res) => {
   }
 });
 
-app.post('/webhook/end-call/bestbuyremodel', async (req, res) => {
+app.post('/webhook/end-call/:client', verifyRetellSignature, recordFunctionCall, async (req, res) => {
   try {
     const { args } = req.body;
     const execution_message = args?.execution_message || 'Thank you for your time. Have a great day!';
@@ -775,7 +993,8 @@ app.post('/webhook/end-call/bestbuyremodel', async (req, res) => {
 // ========================================
 
 // Enhanced GHL Bridge - Complete Workflow
-app.post('/webhook/ghl-bridge/bestbuyremodel', async (req, res) => {
+app.post('/webhook/ghl-bridge/:client', async (req, res) => {
+  let intake = null;
   try {
     console.log('🔗 GHL Bridge received data:', req.body);
     
@@ -787,220 +1006,155 @@ app.post('/webhook/ghl-bridge/bestbuyremodel', async (req, res) => {
       ghl_contact_id: req.body.contact_id || req.body.id,
       project_type: req.body.project_type || 'General Inquiry',
       project_notes: req.body.project_notes || 'Lead inquiry',
-      full_address: req.body.full_address || 'Address to be confirmed'
+      full_address: req.body.full_address || 'Address to be confirmed',
+      postal_code: req.body.postal_code || req.body.postalCode,
+      timezone: req.body.timezone
     };
 
     if (!leadData.name || !leadData.phone) {
       return res.status(400).json({ error: 'Missing required fields: name and phone' });
     }
 
-    console.log(`📞 Processing lead: ${leadData.name} - ${leadData.phone}`);
+    // leadData.phone stays as GHL sent it: dedupe also matches older rows stored raw
+    const phone = leadProcessor.formatPhone(leadData.phone);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${req.body.phone}` });
+    }
 
-    // Step 1: Create GHL contact via webhook (WORKING!)
-    console.log('📋 Step 1: Creating GHL contact...');
-    const ghlContact = await createGHLContact(leadData);
+    console.log(`📞 Processing lead for ${req.client.slug}: ${leadData.name} - ${phone}`);
 
-    // Step 2: Save to Supabase database
-    console.log('💾 Step 2: Saving to database...');
+    // Step 0: Claim this delivery so GHL retries don't create duplicate leads or calls
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotency_key || req.body.webhook_id || req.body.event_id;
+    intake = await leadProcessor.beginIntake(req.client.id, idempotencyKey, req.body);
+
+    if (intake.duplicate) {
+      console.log(`🔁 Duplicate GHL delivery ignored: ${idempotencyKey}`);
+      return res.json({
+        ...(intake.event?.response || { success: true, status: intake.event?.status || 'processing' }),
+        duplicate_delivery: true
+      });
+    }
+
+    // Step 1: Save to Supabase database (deduped by GHL contact, phone and email)
+    console.log('💾 Step 1: Saving to database...');
     let savedLead = null;
-    if (global.supabase) {
-      try {
-        // Check if lead already exists by phone
-        const { data: existingLead } = await global.supabase
-          .from('leads')
-          .select('*')
-          .eq('phone', leadData.phone)
-          .single();
-        
-        if (existingLead) {
-          console.log(`✅ Found existing lead: ID ${existingLead.id}`);
-          savedLead = existingLead;
-          
-          // Update existing lead
-          await global.supabase
-            .from('leads')
-            .update({
-              name: leadData.name,
-              email: leadData.email,
-              custom_fields: {
-                ...existingLead.custom_fields,
-                project_type: leadData.project_type,
-                project_notes: leadData.project_notes,
-                full_address: leadData.full_address
-              }
-            })
-            .eq('id', existingLead.id);
-            
-        } else {
-          // Create new lead
-          const { data, error } = await global.supabase
-            .from('leads')
-            .insert({
-              client_id: 1,
-              name: leadData.name,
-              phone: leadData.phone,
-              email: leadData.email,
-              source: leadData.source,
-              status: 'new',
-              custom_fields: {
-                original_ghl_contact_id: leadData.ghl_contact_id,
-                uuid: require('crypto').randomUUID(),
-                project_type: leadData.project_type,
-                project_notes: leadData.project_notes,
-                full_address: leadData.full_address
-              }
-            })
-            .select()
-            .single();
-
-          if (data) {
-            savedLead = data;
-            console.log(`✅ Lead saved to database: ID ${savedLead.id}`);
-          }
-        }
-      } catch (dbError) {
-        console.error('Database operation failed:', dbError);
-      }
+    let leadCreated = false;
+    try {
+      const result = await leadProcessor.processLead(leadData, req.client.id);
+      savedLead = result.lead;
+      leadCreated = result.created;
+      await leadActivity.recordIntake(savedLead, { created: leadCreated, source: 'ghl_bridge', idempotencyKey });
+      if (leadCreated) eventBus.emit(req.client, 'lead.created', eventBus.leadPayload(savedLead));
+    } catch (dbError) {
+      console.error('Database operation failed:', dbError);
+      // Nothing was saved: the intake is marked failed below so GHL's retry is processed
+      throw dbError;
+    }
+
+    // Step 2: Upsert the GHL contact (links the contact id for later notes and tags)
+    // and open its opportunity in the client's pipeline
+    let ghlSyncJob = null;
+    if (savedLead && leadCreated) {
+      console.log('📋 Step 2: Queueing GHL contact sync...');
+      ghlSyncJob = await ghlSync.syncContact(req.client, savedLead);
+    }
+    if (savedLead) {
+      await ghlSync.advanceOpportunity(req.client, savedLead, savedLead.status || 'new');
     }
 
     // Step 3: Trigger AI call with database metadata
     console.log('🤖 Step 3: Triggering AI call...');
     let callResult = { success: false };
+    let callSkippedReason = null;
     if (savedLead) {
-      // Delay AI call by 3 seconds to ensure everything is saved
-      setTimeout(() => {
-        triggerAICallFromDatabase(savedLead.id);
-      }, 3000);
-      
-      callResult = { success: true, queued: true };
+      callSkippedReason = await leadProcessor.getRecentContactReason(savedLead);
+
+      if (callSkippedReason) {
+        console.log(`⏭️ Not queueing AI call for lead ${savedLead.id}: ${callSkippedReason}`);
+      } else {
+        await leadProcessor.markCallQueued(savedLead);
+
+        // The dialer places it as soon as the client and caller ID have a free line
+        const entry = await dialer.enqueue(req.client, savedLead, { source: 'intake' });
+        callResult = { success: !!entry, queued: !!entry };
+      }
     }
     
-    res.json({ 
+    const response = { 
       success: true, 
-      message: 'Complete workflow executed: GHL contact → Database → AI call queued',
+      message: callResult.success
+        ? 'Complete workflow executed: Database → GHL contact → AI call queued'
+        : 'Lead saved, AI call not queued',
       steps_completed: {
-        ghl_contact_created: !!ghlContact,
+        ghl_contact_sync_queued: !!ghlSyncJob,
         database_saved: !!savedLead,
+        lead_created: leadCreated,
         ai_call_queued: callResult.success
       },
       railway_lead_id: savedLead?.id,
       uuid: savedLead?.custom_fields?.uuid,
-      call_status: 'queued_for_3_seconds'
+      call_status: callResult.success ? 'queued' : 'not_queued',
+      call_skipped_reason: callSkippedReason || undefined
+    };
+
+    await leadProcessor.completeIntake(intake.event, {
+      status: 'completed',
+      lead_id: savedLead?.id || null,
+      response
     });
 
+    res.json(response);
+
   } catch (error) {
     console.error('❌ GHL Bridge error:', error);
+    await leadProcessor.completeIntake(intake?.event, { status: 'failed', error: error.message });
     res.status(500).json({ error: 'Failed to process complete workflow' });
   }
 });
 
-// Add this function after the GHL Bridge
-async function triggerAICallFromDatabase(leadId) {
-  try {
-    console.log(`📞 Triggering AI call for lead ID: ${leadId}`);
-    
-    // Get complete lead data from database
-    const { data: lead, error } = await global.supabase
-      .from('leads')
-      .select('*')
-      .eq('id', leadId)
-      .single();
-    
-    if (!lead) {
-      console.error('❌ Lead not found in database');
-      return;
+// Result of the dialer's attempt at an intake call
+dialer.registerSource('intake', async (entry, callResult) => {
+  if (callResult.success) {
+    console.log(`✅ AI call initiated for intake lead ${entry.lead_id}: ${callResult.call_id}`);
+    return;
+  }
+  if (callResult.cancelled) return;
+
+  if (callResult.blocked) {
+    // Outside calling hours or over the attempt cap: call when it's allowed again
+    if (callResult.retryAt) {
+      const client = await clientRegistry.getClientById(entry.client_id);
+      const lead = client ? await storage.leads.findById(entry.lead_id, client.id) : null;
+      if (lead) await callbackDispatcher.enqueueCall(lead, client, callResult.retryAt);
     }
-    
-    console.log(`📋 Retrieved lead from database: ${lead.name}`);
-    
-    // Prepare metadata from database
-    const metadata = {
-      railway_lead_id: String(lead.id),
-      uuid: String(lead.custom_fields?.uuid || ''),
-      first_name: String(lead.name.split(' ')[0] || ''),
-      last_name: String(lead.name.split(' ').slice(1).join(' ') || ''),
-      full_name: String(lead.name || ''),
-      phone: String(lead.phone || ''),
-      email: String(lead.email || ''),
-      full_address: String(lead.custom_fields?.full_address || 'Address to be confirmed'),
-      project_type: String(lead.custom_fields?.project_type || 'General Inquiry'),
-      project_notes: String(lead.custom_fields?.project_notes || 'Lead inquiry')
-    };
-    
-    console.log('🚀 METADATA FROM DATABASE FOR CARL:');
-    console.log('📝 first_name:', metadata.first_name);
-    console.log('📝 phone:', metadata.phone);
-    console.log('📝 project_type:', metadata.project_type);
-    
-    // Make the Retell API call
-    const response = await axios.post('https://api.retellai.com/v2/create-phone-call', {
-      from_number: '+17252092232',
-      to_number: lead.phone,
-      agent_id: process.env.RETELL_AGENT_ID,
-      metadata: metadata
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.RETELL_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    console.log(`✅ AI call initiated from database: ${response.data.call_id}`);
-    
-} catch (error) {
-    console.error('❌ Database-driven AI call failed:', error.response?.data || error.message);
+    return;
   }
-}
-
-// ========================================
-// SMART CALLBACK ENDPOINTS
-// ========================================
-
-app.get('/webhook/optimal-call-times/:leadId', async (req, res) => {
-  try {
-    const { leadId } = req.params;
-    const daysAhead = parseInt(req.query.days) || 3;
-    
-    console.log(`🧠 Getting optimal call times for lead ${leadId}`);
-    
-    const predictor = new SmartCallbackPredictor();
-    const predictions = await predictor.predictOptimalCallTimes(leadId, daysAhead);
-    
-    res.json({
-      success: true,
-      lead_id: leadId,
-      railway_lead_id: savedLead?.id,
-      ghl_contact_id: ghlContact?.contact?.id || ghlContact?.id,
-      call_id: callResult.call_id,
-      uuid: savedLead?.custom_fields?.uuid,
-      ghl_contact_created: !!ghlContact,
-      calendar_authorized: !!googleTokens,
-      availability_slots: availability.success ? availability.availability.length : 0
-    });
 
-  } catch (error) {
-    console.error('❌ GHL Bridge error:', error);
-    res.status(500).json({ error: 'Failed to process GHL lead' });
-  }
+  console.error(`❌ Intake AI call for lead ${entry.lead_id} failed:`, callResult.error);
 });
 
 // ========================================
 // SMART CALLBACK ENDPOINTS
 // ========================================
 
-app.get('/webhook/optimal-call-times/:leadId', async (req, res) => {
+// ?client=<slug> (or the default client)
+app.get('/webhook/optimal-call-times/:leadId', requireApiKey, clientRegistry.resolveQuery(), async (req, res) => {
   try {
-    const { leadId } = req.params;
+    const lead = await storage.leads.findById(req.params.leadId, req.client.id);
+    if (!lead) {
+      return res.status(404).json({ success: false, error: 'Lead not found' });
+    }
+
     const daysAhead = parseInt(req.query.days) || 3;
     
-    console.log(`🧠 Getting optimal call times for lead ${leadId}`);
+    console.log(`🧠 Getting optimal call times for lead ${lead.id}`);
     
-    const predictor = new SmartCallbackPredictor();
-    const predictions = await predictor.predictOptimalCallTimes(leadId, daysAhead);
+    const predictor = new SmartCallbackPredictor(req.client);
+    const predictions = await predictor.predictOptimalCallTimes(lead.id, daysAhead);
     
     res.json({
       success: true,
-      lead_id: leadId,
+      lead_id: lead.id,
       predictions: predictions,
       total_days: predictions.length
     });
@@ -1011,17 +1165,22 @@ app.get('/webhook/optimal-call-times/:leadId', async (req, res) => {
   }
 });
 
-app.post('/webhook/schedule-smart-callbacks/bestbuyremodel', async (req, res) => {
+app.post('/webhook/schedule-smart-callbacks/:client', requireApiKey, async (req, res) => {
   try {
     const { leadId, initialOutcome, maxCallbacksPerDay } = req.body;
     
     if (!leadId) {
       return res.status(400).json({ success: false, error: 'Missing required field: leadId' });
     }
+
+    const lead = await storage.leads.findById(leadId, req.client.id);
+    if (!lead) {
+      return res.status(404).json({ success: false, error: 'Lead not found' });
+    }
     
-    console.log(`🧠 Scheduling smart callbacks for lead ${leadId}, outcome: ${initialOutcome}`);
+    console.log(`🧠 Scheduling smart callbacks for lead ${lead.id}, outcome: ${initialOutcome}`);
     
-    const result = await initializeCallback(leadId, initialOutcome || 'no_answer');
+    const result = await initializeCallback(lead.id, normalizeOutcome(initialOutcome) || 'no_answer', req.client);
     
     res.json(result);
     
@@ -1031,21 +1190,27 @@ app.post('/webhook/schedule-smart-callbacks/bestbuyremodel', async (req, res) =>
   }
 });
 
-app.get('/webhook/callback-queue', async (req, res) => {
+app.get('/webhook/callback-queue', requireApiKey, async (req, res) => {
   try {
     const now = new Date().toISOString();
     const futureTime = new Date();
     futureTime.setMinutes(futureTime.getMinutes() + 30);
-    
-    const { data, error } = await global.supabase
-      .from('callback_queue')
-      .select(`*, leads (id, name, phone, email, custom_fields)`)
-      .eq('status', 'scheduled')
-      .gte('scheduled_time', now)
-      .lte('scheduled_time', futureTime.toISOString())
-      .order('predicted_score', { ascending: false });
-    
-    if (error) throw error;
+
+    // Optionally scope the queue to a single client (?client=slug)
+    let clientId = null;
+    if (req.query.client) {
+      const client = await clientRegistry.getClient(req.query.client);
+      if (!client) {
+        return res.status(404).json({ success: false, error: `Unknown client: ${req.query.client}` });
+      }
+      clientId = client.id;
+    }
+
+    const data = await storage.callbackQueue.listScheduledWithLeads({
+      clientId,
+      from: now,
+      to: futureTime.toISOString()
+    });
     
     res.json({
       success: true,
@@ -1059,6 +1224,28 @@ app.get('/webhook/callback-queue', async (req, res) => {
   }
 });
 
+// Run one dispatcher pass immediately (e.g. from an external cron)
+app.post('/webhook/callback-queue/dispatch', requireApiKey, async (req, res) => {
+  try {
+    const result = await callbackDispatcher.tick();
+    res.json({ success: !result.error, ...result });
+  } catch (error) {
+    console.error('❌ Callback dispatch error:', error);
+    res.status(500).json({ success: false, error: 'Failed to dispatch callbacks' });
+  }
+});
+
+// Run one reminder pass immediately (e.g. from an external cron)
+app.post('/webhook/reminders/dispatch', requireApiKey, async (req, res) => {
+  try {
+    const result = await reminderScheduler.tick();
+    res.json({ success: !result.error, ...result });
+  } catch (error) {
+    console.error('❌ Reminder dispatch error:', error);
+    res.status(500).json({ success: false, error: 'Failed to dispatch reminders' });
+  }
+});
+
 // ========================================
 // SYSTEM STATUS AND HEALTH ENDPOINTS
 // ========================================
@@ -1071,61 +1258,24 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.get('/', (req, res) => {
-  res.send(`
-    <h1>🚀 Nuviao AI Lead Manager</h1>
-    <p><strong>Status:</strong> ✅ Online and Running</p>
-    <p><strong>Version:</strong> 2.0 - Private Integration Token Ready</p>
-    
-    <h2>🔌 System Integrations:</h2>
-    <ul>
-      <li><strong>Database:</strong> ${global.supabase ? '✅ Connected' : '❌ Not Connected'}</li>
-      <li><strong>Retell AI:</strong> ${process.env.RETELL_API_KEY ? '✅ Configured' : '❌ Not Configured'}</li>
-      <li><strong>GHL Private Integration:</strong> ${process.env.GHL_API_KEY ? '✅ PIT Token Set' : '❌ Not Configured'}</li>
-      <li><strong>Google Calendar:</strong> ${googleTokens ? '✅ Authorized' : '❌ Not Authorized'}</li>
-    </ul>
-    
-    <h2>🤖 AI Functions:</h2>
-    <ul>
-      <li>✅ 15 Retell Custom Functions Active</li>
-      <li>✅ Smart Callback Algorithm Active</li>
-      <li>✅ Google Calendar Integration Ready</li>
-      <li>✅ Lead Processing Pipeline Active</li>
-    </ul>
-    
-    <h2>🔗 Quick Links:</h2>
-    <ul>
-      ${!googleTokens ? '<li><a href="/auth/google">🔐 Authorize Google Calendar</a></li>' : ''}
-      <li><a href="/debug/test-pit-token">🧪 Test PIT Token</a></li>
-      <li><a href="/webhook/test-google-calendar">📅 Test Calendar</a></li>
-      <li><a href="/health">❤️ Health Check</a></li>
-    </ul>
-    
-    <h2>📊 Current Configuration:</h2>
-    <ul>
-      <li><strong>PIT Token:</strong> ${process.env.GHL_API_KEY ? process.env.GHL_API_KEY.substring(0, 8) + '...' : 'Not Set'}</li>
-      <li><strong>Agent ID:</strong> ${process.env.RETELL_AGENT_ID ? 'Configured' : 'Missing'}</li>
-      <li><strong>Database:</strong> ${process.env.SUPABASE_URL ? 'Connected' : 'Missing'}</li>
-    </ul>
-  `);
-});
-
 // ========================================
 // SERVER STARTUP
 // ========================================
 
 app.listen(PORT, () => {
   console.log(`🚀 Nuviao AI Lead Manager running on port ${PORT}`);
-  console.log(`📅 Google Calendar integration: ${googleTokens ? 'READY' : 'PENDING AUTHORIZATION'}`);
-  console.log(`🤖 Retell AI functions: 15 endpoints ACTIVE`);
+  console.log(`🤖 Retell AI functions: 19 endpoints ACTIVE`);
   console.log(`🧠 Smart callback algorithm: ACTIVE`);
-  console.log(`💾 Database: ${global.supabase ? 'CONNECTED' : 'NOT CONNECTED'}`);
-  console.log(`🔐 GHL Private Integration: ${process.env.GHL_API_KEY ? 'CONFIGURED' : 'NOT CONFIGURED'}`);
-  
-  if (!googleTokens) {
-    console.log(`⚠️  AUTHORIZATION NEEDED: Visit /auth/google to authorize Google Calendar`);
-    console.log(`🔗 Auth URL: https://nuviao-lead-manager-production.up.railway.app/auth/google`);
-  }
+
+  dialer.start();
+  callbackDispatcher.start();
+  reminderScheduler.start();
+  eventBus.start();
+  ghlSync.start();
+  console.log(`💾 Database: ${global.supabase ? 'CONNECTED' : 'NOT CONNECTED'} (storage: ${storage.backendName()})`);
+  console.log(`📍 Service area geocoder: ${serviceAreaChecker.geocoder.name}`);
+  console.log(`🔐 GHL API sync: ${process.env.GHL_API_KEY && process.env.LOCATION_ID ? 'CONFIGURED' : 'NOT CONFIGURED'}`);
+
   
   // Environment validation
   console.log(`\n🔐 Environment Validation:`);
@@ -1134,7 +1284,27 @@ app.listen(PORT, () => {
   console.log(`   - GHL_API_KEY (PIT): ${process.env.GHL_API_KEY ? '✅ SET (' + process.env.GHL_API_KEY.substring(0, 8) + '...)' : '❌ MISSING'}`);
   console.log(`   - SUPABASE_URL: ${process.env.SUPABASE_URL ? '✅ SET' : '❌ MISSING'}`);
   console.log(`   - SUPABASE_ANON_KEY: ${process.env.SUPABASE_ANON_KEY ? '✅ SET' : '❌ MISSING'}`);
+  console.log(`   - ADMIN_API_KEY: ${process.env.ADMIN_API_KEY ? '✅ SET' : '❌ MISSING (admin API requests are refused)'}`);
+
+  if (process.env.RETELL_SKIP_SIGNATURE_VERIFICATION === 'true') {
+    console.log(`⚠️  Retell signature verification is DISABLED (RETELL_SKIP_SIGNATURE_VERIFICATION)`);
+  }
+  if (process.env.ADMIN_API_AUTH_DISABLED === 'true') {
+    console.log(`⚠️  Admin API authentication is DISABLED (ADMIN_API_AUTH_DISABLED)`);
+  }
   
-  console.log(`\n🎉 System Status: READY FOR TESTING!`);
-  console.log(`💡 Next: Test with POST to /webhook/ghl-bridge/bestbuyremodel`);
+  clientRegistry.listClients().then(async clients => {
+    console.log(`\n🏢 Clients: ${clients.map(client => client.slug).join(', ') || 'none configured'}`);
+
+    for (const client of clients) {
+      const status = await calendarService.getStatus(client);
+      console.log(`📅 ${status.provider === 'ghl' ? 'GHL Calendar' : 'Google Calendar'} (${client.slug}): ${status.authorized ? 'READY' : status.status === 'reauth_required' ? 'RE-AUTHORIZATION REQUIRED' : 'PENDING AUTHORIZATION'}`);
+      if (!status.authorized) {
+        console.log(`⚠️  AUTHORIZATION NEEDED: Visit /auth/google/${client.slug} to authorize Google Calendar`);
+      }
+    }
+
+    console.log(`\n🎉 System Status: READY FOR TESTING!`);
+    console.log(`💡 Next: Test with POST to /webhook/ghl-bridge/:client`);
+  });
 });
@@ -0,0 +1,171 @@
+const { createGoogleCalendarProvider } = require('../google-calendar');
+const { createGHLCalendarProvider } = require('../ghl-calendar');
+const GhlClient = require('./GhlClient');
+const moment = require('moment-timezone');
+const { APPOINTMENT_CONFIG } = require('../calendar-common');
+const storage = require('../storage');
+
+// Every provider exposes the same interface:
+//   listAvailability(daysAhead)          -> { success, availability: [{ date, isoDate, slots }] }
+//   book(appointmentData)                -> { success, appointmentId }
+//   reschedule(eventId, { startTime, endTime }) -> { success }
+//   cancel(eventId)                      -> { success }
+//   getEvent(eventId)                    -> { success, appointment }
+//
+// Booked appointments are also kept in the `appointments` table so they can be
+// found again by lead, moved and cancelled.
+class CalendarService {
+  constructor(tokenStore) {
+    this.tokenStore = tokenStore;
+  }
+
+  providerType(client) {
+    return client.calendar?.provider || 'google';
+  }
+
+  // Returns null when the client's calendar isn't connected yet
+  async getProvider(client) {
+    const calendar = client.calendar || {};
+
+    switch (this.providerType(client)) {
+      // The client's GHL sub-account (`ghl` in its client record) or the global one
+      case 'ghl': {
+        const ghl = GhlClient.forClient(client);
+        if (!ghl.configured) return null;
+
+        return createGHLCalendarProvider({
+          ghl,
+          calendarId: calendar.calendar_id,
+          businessHours: client.business_hours
+        });
+      }
+
+      case 'google': {
+        const tokens = await this.tokenStore.getTokens(client.id);
+        if (!tokens) return null;
+
+        return createGoogleCalendarProvider({
+          tokens,
+          calendarId: calendar.calendar_id,
+          businessHours: client.business_hours,
+          onTokens: (newTokens) => this.tokenStore.saveTokens(client.id, newTokens)
+        });
+      }
+
+      default:
+        console.error(`❌ Unknown calendar provider for ${client.slug}: ${calendar.provider}`);
+        return null;
+    }
+  }
+
+  async getStatus(client) {
+    const type = this.providerType(client);
+
+    if (type === 'google') {
+      return { provider: type, ...(await this.tokenStore.getStatus(client.id)) };
+    }
+
+    if (type === 'ghl' && !GhlClient.forClient(client).configured) {
+      return { provider: type, authorized: false, status: 'not_configured', error: 'GHL api_key and location_id are not set' };
+    }
+
+    return { provider: type, authorized: true, status: 'active' };
+  }
+
+  // Flag the client's Google authorization when the refresh token has been revoked
+  async handleFailure(client, result) {
+    if (result?.reauthorizationRequired) {
+      await this.tokenStore.markReauthRequired(client.id, result.error);
+    }
+  }
+
+  // Keep a local record of the booking so it can be looked up, rescheduled or cancelled later
+  async recordAppointment(client, leadId, bookingResult, appointmentData) {
+    try {
+      return await storage.appointments.create({
+        client_id: client.id,
+        lead_id: leadId,
+        provider: this.providerType(client),
+        external_event_id: bookingResult.appointmentId,
+        start_time: appointmentData.startTime,
+        end_time: appointmentData.endTime,
+        address: appointmentData.homeAddress,
+        status: 'booked',
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Failed to record appointment:', error);
+      return null;
+    }
+  }
+
+  // ================================
+  // EXISTING APPOINTMENTS
+  // ================================
+
+  // The lead's next booked appointment, or null
+  async findUpcomingAppointment(client, leadId) {
+    const appointments = await storage.appointments.listByLead(leadId);
+    const now = new Date();
+
+    return appointments
+      .filter(appointment => appointment.client_id == client.id && appointment.status === 'booked' && new Date(appointment.start_time) > now)
+      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))[0] || null;
+  }
+
+  // Is `startTime` one of the free slots the calendar offers?
+  async isSlotAvailable(provider, startTime, daysAhead = 14) {
+    const availability = await provider.listAvailability(daysAhead);
+    if (!availability.success) return availability;
+
+    const start = moment(startTime);
+    const day = availability.availability.find(entry => entry.slots.some(slot => moment(slot.startTime).isSame(start)));
+
+    return { success: true, available: Boolean(day), availability: availability.availability };
+  }
+
+  // Moves the calendar event and the local record. Returns { success, appointment, error }.
+  async rescheduleAppointment(client, appointment, startTime) {
+    const provider = await this.getProvider(client);
+    if (!provider) return { success: false, error: 'Calendar not connected' };
+
+    const endTime = moment(startTime).add(APPOINTMENT_CONFIG.duration, 'minutes').toISOString();
+    const result = await provider.reschedule(appointment.external_event_id, { startTime, endTime });
+
+    if (!result.success) {
+      await this.handleFailure(client, result);
+      return { success: false, error: result.error };
+    }
+
+    const updated = await storage.appointments.update(appointment.id, {
+      start_time: startTime,
+      end_time: endTime,
+      previous_start_time: appointment.start_time,
+      rescheduled_at: new Date().toISOString()
+    });
+
+    return { success: true, appointment: updated };
+  }
+
+  async cancelAppointment(client, appointment, reason = null) {
+    const provider = await this.getProvider(client);
+    if (!provider) return { success: false, error: 'Calendar not connected' };
+
+    const result = await provider.cancel(appointment.external_event_id);
+
+    if (!result.success) {
+      await this.handleFailure(client, result);
+      return { success: false, error: result.error };
+    }
+
+    const updated = await storage.appointments.update(appointment.id, {
+      status: 'cancelled',
+      cancel_reason: reason,
+      cancelled_at: new Date().toISOString()
+    });
+
+    return { success: true, appointment: updated };
+  }
+}
+
+module.exports = CalendarService;
@@ -1,6 +1,76 @@
 const axios = require('axios');
+const RetellService = require('./RetellService');
+const ComplianceGate = require('./ComplianceGate');
 
 class CallOrchestrator {
+  constructor(options = {}) {
+    this.retell = new RetellService();
+    this.complianceGate = options.complianceGate || new ComplianceGate();
+  }
+
+  buildCallMetadata(lead, client) {
+    // Retell requires every metadata value to be a string
+    return {
+      railway_lead_id: String(lead.id),
+      uuid: String(lead.custom_fields?.uuid || ''),
+      client_slug: String(client.slug),
+      first_name: String(lead.name.split(' ')[0] || ''),
+      last_name: String(lead.name.split(' ').slice(1).join(' ') || ''),
+      full_name: String(lead.name || ''),
+      phone: String(lead.phone || ''),
+      email: String(lead.email || ''),
+      full_address: String(lead.custom_fields?.full_address || 'Address to be confirmed'),
+      project_type: String(lead.custom_fields?.project_type || 'General Inquiry'),
+      project_notes: String(lead.custom_fields?.project_notes || 'Lead inquiry')
+    };
+  }
+
+  // Single path for dialing a lead. Blocked calls return
+  // { success: false, blocked: true, rule, reason, retryAt } so callers can reschedule.
+  // `options.agentId` dials with another Retell agent than the client's default,
+  // `options.fromNumber` from another caller ID than the client's from_number.
+  async placeCall(lead, client, extraMetadata = {}, options = {}) {
+    const agentId = options.agentId || client.retell_agent_id;
+    if (!process.env.RETELL_API_KEY || !agentId) {
+      return { success: false, error: 'Retell not configured' };
+    }
+
+    const decision = await this.complianceGate.check(lead, client);
+    await this.complianceGate.logDecision(lead, client, decision, {
+      attempt_type: extraMetadata.attempt_type || 'initial',
+      callback_id: extraMetadata.callback_id || null
+    });
+
+    if (!decision.allowed) {
+      return {
+        success: false,
+        blocked: true,
+        rule: decision.rule,
+        reason: decision.reason,
+        retryAt: decision.retryAt,
+        error: `Call blocked: ${decision.reason}`
+      };
+    }
+
+    const metadata = this.buildCallMetadata(lead, client);
+    Object.entries(extraMetadata).forEach(([key, value]) => {
+      metadata[key] = String(value ?? '');
+    });
+
+    try {
+      const call = await this.retell.initiateCall({
+        from_number: options.fromNumber || client.from_number,
+        customer_number: lead.phone,
+        agent_id: agentId,
+        metadata
+      });
+
+      return { success: true, call_id: call.call_id };
+    } catch (error) {
+      return { success: false, error: error.response?.data || error.message };
+    }
+  }
+
   async scheduleOutboundCall(leadId, priority = 'normal') {
     try {
       console.log(`📞 Scheduling call for lead ${leadId}`);
@@ -0,0 +1,157 @@
+// Canonical call outcomes. These are the keys SmartCallbackPredictor weights,
+// so every place that records a call outcome must use one of them.
+const OUTCOMES = {
+  ANSWERED: 'answered',
+  APPOINTMENT_BOOKED: 'appointment_booked',
+  CALLBACK_REQUESTED: 'callback_requested',
+  NOT_INTERESTED: 'not_interested',
+  NO_ANSWER: 'no_answer',
+  VOICEMAIL: 'voicemail',
+  BUSY: 'busy',
+  WRONG_NUMBER: 'wrong_number',
+  DISQUALIFIED: 'disqualified',
+  TRANSFERRED: 'transferred'
+};
+
+// Outcomes that should lead to smart callbacks being scheduled
+const CALLBACK_OUTCOMES = [
+  OUTCOMES.NO_ANSWER,
+  OUTCOMES.VOICEMAIL,
+  OUTCOMES.BUSY,
+  OUTCOMES.CALLBACK_REQUESTED
+];
+
+// Retell disconnection reasons where the lead never reached the agent
+const UNREACHED_DISCONNECTIONS = {
+  dial_no_answer: OUTCOMES.NO_ANSWER,
+  dial_failed: OUTCOMES.NO_ANSWER,
+  user_declined: OUTCOMES.NO_ANSWER,
+  registered_call_timeout: OUTCOMES.NO_ANSWER,
+  dial_busy: OUTCOMES.BUSY,
+  invalid_destination: OUTCOMES.WRONG_NUMBER,
+  voicemail_reached: OUTCOMES.VOICEMAIL,
+  machine_detected: OUTCOMES.VOICEMAIL
+};
+
+// Custom functions the agent can invoke mid-call, by outcome they imply.
+// Ordered by precedence: a booking outweighs an earlier "call me later".
+const FUNCTION_OUTCOMES = [
+  { outcome: OUTCOMES.APPOINTMENT_BOOKED, functions: ['schedule_lead', 'book_appointment'] },
+  { outcome: OUTCOMES.WRONG_NUMBER, functions: ['mark_wrong_number'] },
+  { outcome: OUTCOMES.NOT_INTERESTED, functions: ['not_interested'] },
+  { outcome: OUTCOMES.DISQUALIFIED, functions: ['mobile_home', 'outside_area'] },
+  { outcome: OUTCOMES.TRANSFERRED, functions: ['transfer_call'] },
+  { outcome: OUTCOMES.CALLBACK_REQUESTED, functions: ['call_back_later'] }
+];
+
+// Values older code and custom analysis prompts used for the same outcomes
+const OUTCOME_ALIASES = {
+  booked: OUTCOMES.APPOINTMENT_BOOKED,
+  appointment: OUTCOMES.APPOINTMENT_BOOKED,
+  dead: OUTCOMES.NOT_INTERESTED,
+  follow_up: OUTCOMES.CALLBACK_REQUESTED,
+  callback: OUTCOMES.CALLBACK_REQUESTED,
+  call_back: OUTCOMES.CALLBACK_REQUESTED
+};
+
+function normalizeName(value) {
+  return String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Maps a free-form outcome label onto the taxonomy, or null when it isn't one
+function normalizeOutcome(value) {
+  const name = normalizeName(value);
+  if (Object.values(OUTCOMES).includes(name)) return name;
+  return OUTCOME_ALIASES[name] || null;
+}
+
+function isCallbackOutcome(outcome) {
+  return CALLBACK_OUTCOMES.includes(outcome);
+}
+
+class CallOutcomeClassifier {
+  // Accepts a Retell call object (the `call` of a call_ended/call_analyzed event)
+  // and returns { outcome, reason } where reason names the signal that decided it.
+  classify(call = {}) {
+    const analysis = call.call_analysis || {};
+    const disconnection = normalizeName(call.disconnection_reason);
+
+    if (UNREACHED_DISCONNECTIONS[disconnection]) {
+      return this.result(UNREACHED_DISCONNECTIONS[disconnection], `disconnection_reason:${disconnection}`);
+    }
+
+    const customOutcome = this.outcomeFromCustomAnalysis(analysis.custom_analysis_data);
+    if (customOutcome) {
+      return this.result(customOutcome, 'custom_analysis');
+    }
+
+    const invoked = this.invokedFunctions(call);
+    for (const { outcome, functions } of FUNCTION_OUTCOMES) {
+      const match = functions.find(name => invoked.includes(name));
+      if (!match) continue;
+
+      // Retell marks the call unsuccessful when the booking attempt failed
+      if (outcome === OUTCOMES.APPOINTMENT_BOOKED && analysis.call_successful === false) continue;
+
+      return this.result(outcome, `function:${match}`);
+    }
+
+    if (analysis.in_voicemail === true) {
+      return this.result(OUTCOMES.VOICEMAIL, 'call_analysis.in_voicemail');
+    }
+
+    if (!this.leadSpoke(call)) {
+      return this.result(OUTCOMES.NO_ANSWER, disconnection ? `disconnection_reason:${disconnection}` : 'no_conversation');
+    }
+
+    return this.result(OUTCOMES.ANSWERED, `call_successful:${analysis.call_successful ?? 'unknown'}`);
+  }
+
+  result(outcome, reason) {
+    return { outcome, reason };
+  }
+
+  // Custom post-call analysis may carry an explicit label ("call_outcome") or boolean flags
+  outcomeFromCustomAnalysis(customData) {
+    if (!customData || typeof customData !== 'object') return null;
+
+    const label = normalizeOutcome(customData.call_outcome || customData.outcome);
+    if (label) return label;
+
+    const flags = [
+      [OUTCOMES.APPOINTMENT_BOOKED, 'appointment_booked'],
+      [OUTCOMES.WRONG_NUMBER, 'wrong_number'],
+      [OUTCOMES.NOT_INTERESTED, 'not_interested'],
+      [OUTCOMES.CALLBACK_REQUESTED, 'callback_requested']
+    ];
+    const flagged = flags.find(([, field]) => customData[field] === true || customData[field] === 'true');
+
+    return flagged ? flagged[0] : null;
+  }
+
+  invokedFunctions(call) {
+    const entries = call.transcript_with_tool_calls || [];
+
+    return entries
+      .filter(entry => entry.role === 'tool_call_invocation')
+      .map(entry => normalizeName(entry.name));
+  }
+
+  leadSpoke(call) {
+    if (Array.isArray(call.transcript_object)) {
+      return call.transcript_object.some(turn => turn.role === 'user' && turn.content?.trim());
+    }
+    if (Array.isArray(call.transcript_with_tool_calls)) {
+      return call.transcript_with_tool_calls.some(turn => turn.role === 'user' && turn.content?.trim());
+    }
+
+    return /(^|\n)\s*user:/i.test(call.transcript || '');
+  }
+}
+
+CallOutcomeClassifier.OUTCOMES = OUTCOMES;
+CallOutcomeClassifier.CALLBACK_OUTCOMES = CALLBACK_OUTCOMES;
+CallOutcomeClassifier.normalizeOutcome = normalizeOutcome;
+CallOutcomeClassifier.isCallbackOutcome = isCallbackOutcome;
+
+module.exports = CallOutcomeClassifier;
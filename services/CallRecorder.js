@@ -0,0 +1,137 @@
+const RetellService = require('./RetellService');
+const storage = require('../storage');
+
+// Characters of transcript shown on each side of a search match
+const SNIPPET_CONTEXT = 80;
+const MAX_SNIPPETS = 3;
+
+// Keeps every call's transcript, summary, post-call analysis and custom function
+// invocations from the Retell webhook in `call_transcripts`, and searches them.
+class CallRecorder {
+  constructor(options = {}) {
+    this.retell = options.retellService || new RetellService();
+  }
+
+  // call_ended brings the transcript, call_analyzed the analysis and outcome; both
+  // write the same row. Never throws: recording must not fail the webhook.
+  async record(client, call) {
+    try {
+      if (!call?.call_id) return null;
+
+      const { metadata, summary, durationSeconds } = this.retell.parseWebhookEvent({ call });
+      const lead = await storage.leads.findByCallReference(client.id, this.retell.leadReference(call));
+      const functionCalls = await this.functionCalls(client, call);
+
+      const fields = {
+        call_type: metadata.call_type || 'sales'
+      };
+
+      // Later events may omit what an earlier one sent; only overwrite with real values
+      const optional = {
+        lead_id: lead?.id,
+        direction: call.direction,
+        from_number: call.from_number,
+        to_number: call.to_number,
+        agent_id: call.agent_id,
+        started_at: call.start_timestamp ? new Date(call.start_timestamp).toISOString() : null,
+        ended_at: call.end_timestamp ? new Date(call.end_timestamp).toISOString() : null,
+        duration_seconds: durationSeconds || null,
+        disconnection_reason: call.disconnection_reason,
+        recording_url: call.recording_url,
+        transcript: call.transcript
+      };
+      Object.entries(optional).forEach(([column, value]) => {
+        if (value) fields[column] = value;
+      });
+      if (Array.isArray(call.transcript_object)) {
+        fields.transcript_segments = call.transcript_object.map(({ role, content }) => ({ role, content }));
+      }
+      if (functionCalls.length) fields.function_calls = functionCalls;
+
+      if (call.call_analysis) {
+        const { outcome, reason } = this.retell.extractOutcome(call);
+        Object.assign(fields, { summary: summary || null, analysis: call.call_analysis, outcome, outcome_reason: reason });
+      }
+
+      const saved = await storage.callTranscripts.save(client.id, call.call_id, fields);
+      console.log(`📝 Call ${call.call_id} transcript saved${lead ? ` for lead ${lead.id}` : ''}`);
+      return saved;
+    } catch (error) {
+      console.error(`❌ Failed to save transcript for call ${call?.call_id}:`, error);
+      return null;
+    }
+  }
+
+  // call_ended and call_analyzed may both carry the analysis: true for the first one
+  // only. A call without a row (recording failed) can't be deduped and is processed.
+  async claimOutcome(client, callId) {
+    if (!callId) return true;
+    if (await storage.callTranscripts.claimOutcome(client.id, callId)) return true;
+    return !(await storage.callTranscripts.findByCallId(client.id, callId));
+  }
+
+  // Tool calls from Retell's transcript_with_tool_calls, paired with their results;
+  // falls back to the invocations LeadActivity recorded for the call's lead
+  async functionCalls(client, call) {
+    const entries = Array.isArray(call.transcript_with_tool_calls) ? call.transcript_with_tool_calls : [];
+    const invocations = entries.filter(entry => entry.role === 'tool_call_invocation');
+
+    if (invocations.length) {
+      const results = new Map(entries
+        .filter(entry => entry.role === 'tool_call_result')
+        .map(entry => [entry.tool_call_id, entry.content]));
+
+      return invocations.map(entry => ({
+        name: entry.name,
+        arguments: parseArguments(entry.arguments),
+        result: results.get(entry.tool_call_id) ?? null
+      }));
+    }
+
+    const events = await storage.leadEvents.listFunctionCalls(client.id, call.call_id);
+    return events.map(event => ({ name: event.name, arguments: event.data?.args || {}, result: null, at: event.created_at }));
+  }
+
+  // ================================
+  // SEARCH
+  // ================================
+
+  // Matching calls without their full transcript, each with the passages around the phrase
+  async search(client, filters, paging) {
+    const { rows, total } = await storage.callTranscripts.search(client.id, filters, paging);
+
+    const calls = rows.map(({ transcript, transcript_segments, analysis, ...call }) => ({
+      ...call,
+      snippets: filters.phrase ? this.snippets(transcript, filters.phrase) : []
+    }));
+    return { total, calls };
+  }
+
+  snippets(text, phrase) {
+    const snippets = [];
+    const haystack = String(text || '');
+    const lower = haystack.toLowerCase();
+    const needle = String(phrase).toLowerCase();
+
+    let index = lower.indexOf(needle);
+    while (index !== -1 && snippets.length < MAX_SNIPPETS) {
+      const start = Math.max(0, index - SNIPPET_CONTEXT);
+      const end = Math.min(haystack.length, index + needle.length + SNIPPET_CONTEXT);
+      snippets.push(`${start > 0 ? '…' : ''}${haystack.slice(start, end).replace(/\s+/g, ' ').trim()}${end < haystack.length ? '…' : ''}`);
+      index = lower.indexOf(needle, end);
+    }
+    return snippets;
+  }
+}
+
+// Retell sends tool arguments as a JSON string
+function parseArguments(value) {
+  if (typeof value !== 'string') return value || {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return { raw: value };
+  }
+}
+
+module.exports = CallRecorder;
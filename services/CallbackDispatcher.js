@@ -0,0 +1,249 @@
+const { SmartCallbackPredictor } = require('../smart-callback-algorithm');
+const complianceConfig = require('../config/compliance');
+const dialerConfig = require('../config/dialer');
+const Dialer = require('./Dialer');
+const storage = require('../storage');
+
+// Leads in these states should not receive any further callbacks: booked, or a
+// terminal disposition (config/dispositions.js via the compliance opt-out list)
+const TERMINAL_LEAD_STATUSES = ['appointment_booked', ...complianceConfig.optOutStatuses];
+
+class CallbackDispatcher {
+  constructor(clientRegistry, options = {}) {
+    this.clientRegistry = clientRegistry;
+    this.dialer = options.dialer || new Dialer(clientRegistry, { callOrchestrator: options.callOrchestrator });
+    this.dialer.registerSource('callback', (entry, callResult) => this.handleDialResult(entry, callResult));
+    this.intervalMs = options.intervalMs || parseInt(process.env.CALLBACK_DISPATCH_INTERVAL_MS) || 60 * 1000;
+    this.batchSize = options.batchSize || 10;
+    this.maxLatenessMs = options.maxLatenessMs || 60 * 60 * 1000; // Skip callbacks more than 1 hour overdue
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    console.log(`⏰ Callback dispatcher started (every ${Math.round(this.intervalMs / 1000)}s)`);
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    // Never let two ticks overlap, a slow Retell API would otherwise double-dial
+    if (this.running) return { dispatched: 0 };
+    this.running = true;
+
+    try {
+      await this.expireMissedCallbacks();
+
+      const callbacks = await this.claimDueCallbacks();
+      let dispatched = 0;
+
+      for (const callback of callbacks) {
+        const result = await this.dispatchCallback(callback);
+        if (result.success) dispatched++;
+      }
+
+      if (callbacks.length > 0) {
+        console.log(`⏰ Callback dispatcher: ${dispatched}/${callbacks.length} calls handed to the dialer`);
+      }
+
+      return { claimed: callbacks.length, dispatched };
+    } catch (error) {
+      console.error('❌ Callback dispatcher tick failed:', error);
+      return { dispatched: 0, error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // ================================
+  // QUEUE CLAIMING
+  // ================================
+
+  async expireMissedCallbacks() {
+    const cutoff = new Date(Date.now() - this.maxLatenessMs).toISOString();
+
+    try {
+      await storage.callbackQueue.expireOverdue(cutoff);
+    } catch (error) {
+      console.error('❌ Failed to expire missed callbacks:', error);
+    }
+  }
+
+  async claimDueCallbacks() {
+    const due = await storage.callbackQueue.listDue(new Date().toISOString(), this.batchSize);
+
+    const claimed = [];
+    for (const callback of due) {
+      // Only one dispatcher instance can move a row out of `scheduled`
+      const claimedCallback = await storage.callbackQueue.claim(callback.id);
+      if (claimedCallback) {
+        claimed.push(claimedCallback);
+      }
+    }
+
+    return claimed;
+  }
+
+  // ================================
+  // DISPATCHING
+  // ================================
+
+  async dispatchCallback(callback) {
+    try {
+      const lead = await storage.leads.findById(callback.lead_id);
+
+      if (!lead) {
+        await this.failCallback(callback.id, 'Lead not found');
+        return { success: false };
+      }
+
+      if (TERMINAL_LEAD_STATUSES.includes(lead.status)) {
+        await this.updateCallback(callback.id, {
+          status: 'cancelled',
+          error: `Lead status is ${lead.status}`,
+          completed_at: new Date().toISOString()
+        });
+        return { success: false };
+      }
+
+      const client = await this.clientRegistry.getClientById(callback.client_id || lead.client_id);
+      if (!client) {
+        await this.failCallback(callback.id, `Unknown client ${callback.client_id || lead.client_id}`);
+        return { success: false };
+      }
+
+      console.log(`📞 Dispatching smart callback ${callback.id} for lead ${lead.id} (${lead.name})`);
+
+      // Paced CSV imports queue behind intake calls and regular callbacks
+      const entry = await this.dialer.enqueue(client, lead, {
+        source: 'callback',
+        priority: dialerConfig.priorities[callback.attempt_type],
+        referenceId: callback.id,
+        metadata: {
+          callback_id: callback.id,
+          attempt_type: callback.attempt_type || 'ai_predicted'
+        }
+      });
+
+      if (!entry) {
+        await this.failCallback(callback.id, 'Failed to queue the call with the dialer');
+        return { success: false };
+      }
+
+      await this.updateCallback(callback.id, { dial_queue_id: entry.id });
+      return { success: true, dial_queue_id: entry.id };
+    } catch (error) {
+      console.error(`❌ Failed to dispatch callback ${callback.id}:`, error);
+      await this.failCallback(callback.id, error.message);
+      return { success: false };
+    }
+  }
+
+  // Result of the dialer's attempt for one of our entries
+  async handleDialResult(entry, callResult) {
+    const callbackId = entry.reference_id;
+
+    if (callResult.success) {
+      await this.updateCallback(callbackId, { retell_call_id: callResult.call_id });
+    } else if (callResult.blocked) {
+      await this.handleBlockedCallback(callbackId, callResult);
+    } else if (callResult.cancelled) {
+      await this.updateCallback(callbackId, { status: 'cancelled', error: callResult.error, completed_at: new Date().toISOString() });
+    } else {
+      const message = typeof callResult.error === 'string' ? callResult.error : JSON.stringify(callResult.error);
+      await this.failCallback(callbackId, message);
+    }
+  }
+
+  // Compliance blocks: move the callback to the next permitted time, or drop it for good
+  async handleBlockedCallback(callbackId, callResult) {
+    if (callResult.retryAt) {
+      await this.updateCallback(callbackId, {
+        status: 'scheduled',
+        scheduled_time: callResult.retryAt,
+        started_at: null,
+        error: callResult.reason
+      });
+      console.log(`⏭️ Callback ${callbackId} rescheduled to ${callResult.retryAt}: ${callResult.reason}`);
+      return;
+    }
+
+    await this.updateCallback(callbackId, {
+      status: 'cancelled',
+      error: callResult.reason,
+      completed_at: new Date().toISOString()
+    });
+  }
+
+  // Queue a one-off call for a lead, e.g. a first call that compliance pushed back
+  async enqueueCall(lead, client, scheduledTime, attemptType = 'compliance_retry') {
+    try {
+      const callback = await storage.callbackQueue.create({
+        lead_id: lead.id,
+        client_id: client.id,
+        scheduled_time: scheduledTime,
+        attempt_type: attemptType,
+        status: 'scheduled',
+        created_at: new Date().toISOString()
+      });
+
+      console.log(`📅 Call for lead ${lead.id} queued for ${scheduledTime} (${attemptType})`);
+      return callback;
+    } catch (error) {
+      console.error(`❌ Failed to queue call for lead ${lead.id}:`, error);
+      return null;
+    }
+  }
+
+  // ================================
+  // RESULT HANDLING
+  // ================================
+
+  // Called from the Retell call_ended webhook for calls placed by the dispatcher
+  async completeCallback(callbackId, outcome, client = null) {
+    if (!callbackId) return;
+
+    await this.updateCallback(callbackId, { status: 'completed' });
+
+    const predictor = new SmartCallbackPredictor(client);
+    await predictor.updatePredictionAccuracy(callbackId, outcome);
+  }
+
+  // Also cancels the lead's calls still waiting in the dial queue (intake, reminders)
+  async cancelPendingCallbacks(leadId, reason) {
+    try {
+      await storage.callbackQueue.cancelPendingForLead(leadId, reason);
+      await this.dialer.cancelWhere({ lead_id: leadId }, reason);
+      console.log(`🛑 Cancelled pending callbacks for lead ${leadId}: ${reason}`);
+    } catch (error) {
+      console.error(`❌ Failed to cancel callbacks for lead ${leadId}:`, error);
+    }
+  }
+
+  async failCallback(callbackId, message) {
+    console.error(`❌ Callback ${callbackId} failed: ${message}`);
+    await this.updateCallback(callbackId, {
+      status: 'failed',
+      error: message,
+      completed_at: new Date().toISOString()
+    });
+  }
+
+  async updateCallback(callbackId, fields) {
+    try {
+      await storage.callbackQueue.update(callbackId, fields);
+    } catch (error) {
+      console.error(`❌ Failed to update callback ${callbackId}:`, error);
+    }
+  }
+}
+
+module.exports = CallbackDispatcher;
@@ -0,0 +1,114 @@
+const defaultClients = require('../config/clients');
+
+const DEFAULT_BUSINESS_HOURS = {
+  start: 9,
+  end: 17,
+  timezone: 'America/Los_Angeles'
+};
+
+class ClientRegistry {
+  constructor(options = {}) {
+    this.cacheTtlMs = options.cacheTtlMs || 5 * 60 * 1000;
+    this.clients = null;
+    this.loadedAt = 0;
+  }
+
+  async loadClients() {
+    if (this.clients && Date.now() - this.loadedAt < this.cacheTtlMs) {
+      return this.clients;
+    }
+
+    let rows = null;
+    if (global.supabase) {
+      try {
+        const { data, error } = await global.supabase
+          .from('clients')
+          .select('*')
+          .eq('active', true);
+
+        if (error) throw error;
+        if (data && data.length > 0) rows = data;
+      } catch (error) {
+        console.error('⚠️ Failed to load clients from database, using config:', error.message);
+      }
+    }
+
+    this.clients = (rows || defaultClients)
+      .filter(client => client.active !== false)
+      .map(client => this.normalizeClient(client));
+    this.loadedAt = Date.now();
+
+    return this.clients;
+  }
+
+  normalizeClient(client) {
+    return {
+      ...client,
+      retell_agent_id: client.retell_agent_id || process.env.RETELL_AGENT_ID,
+      calendar: client.calendar || { provider: 'google', calendar_id: 'primary' },
+      service_area: client.service_area || {},
+      business_hours: { ...DEFAULT_BUSINESS_HOURS, ...(client.business_hours || {}) }
+    };
+  }
+
+  async getClient(slug) {
+    if (!slug) return null;
+
+    const clients = await this.loadClients();
+    return clients.find(client => client.slug === String(slug).toLowerCase()) || null;
+  }
+
+  async getClientById(clientId) {
+    const clients = await this.loadClients();
+    return clients.find(client => String(client.id) === String(clientId)) || null;
+  }
+
+  async getDefaultClient() {
+    const clients = await this.loadClients();
+    return clients[0] || null;
+  }
+
+  async listClients() {
+    return await this.loadClients();
+  }
+
+  // Express param handler: resolves `:client` into req.client
+  resolveParam() {
+    return async (req, res, next, slug) => {
+      try {
+        const client = await this.getClient(slug);
+
+        if (!client) {
+          console.warn(`⚠️ Unknown client requested: ${slug}`);
+          return res.status(404).json({ success: false, error: `Unknown client: ${slug}` });
+        }
+
+        req.client = client;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Express middleware for API routes: resolves `?client=<slug>` (or the default client) into req.client
+  resolveQuery() {
+    return async (req, res, next) => {
+      try {
+        const slug = req.query.client;
+        const client = slug ? await this.getClient(slug) : await this.getDefaultClient();
+
+        if (!client) {
+          return res.status(404).json({ success: false, error: slug ? `Unknown client: ${slug}` : 'No clients configured' });
+        }
+
+        req.client = client;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = ClientRegistry;
@@ -0,0 +1,155 @@
+const moment = require('moment-timezone');
+const DncList = require('./DncList');
+const storage = require('../storage');
+const complianceConfig = require('../config/compliance');
+const { resolveLeadTimezone, extractState, extractZip, stateForZip, stateForPhone } = require('../utils/timezone');
+
+// Every outbound call is checked here before it is dialed. Rules run from the
+// permanent ones (opt-out, DNC) to the temporary ones (attempt cap, calling hours);
+// temporary blocks come back with a retryAt so the caller can reschedule.
+class ComplianceGate {
+  constructor(options = {}) {
+    this.dncList = options.dncList || new DncList();
+    this.config = { ...complianceConfig, ...(options.config || {}) };
+  }
+
+  // Returns { allowed: true } or { allowed: false, rule, reason, retryAt }
+  async check(lead, client, now = new Date()) {
+    const status = lead.status;
+    if (this.config.optOutStatuses.includes(status)) {
+      return this.block('opt_out', `Lead opted out or was closed (${status})`);
+    }
+
+    const dncEntry = await this.dncList.isListed(lead.phone, client.id);
+    if (dncEntry) {
+      return this.block('dnc', `${dncEntry.phone} is on the do-not-call list (${dncEntry.reason})`);
+    }
+
+    const timezone = this.leadTimezone(lead, client);
+    const window = this.callingWindow(lead);
+
+    const attempts = await this.recentAttempts(lead, client, now);
+    if (attempts.count >= attempts.max) {
+      const reopensAt = moment(attempts.oldest).add(attempts.windowHours, 'hours');
+      return this.block(
+        'max_attempts',
+        `${attempts.count} call attempts in the last ${attempts.windowHours}h (max ${attempts.max})`,
+        this.nextOpening(reopensAt, timezone, window)
+      );
+    }
+
+    const localNow = moment(now).tz(timezone);
+    if (!this.isWithinWindow(localNow, window)) {
+      return this.block(
+        'calling_hours',
+        `${localNow.format('ddd h:mm A z')} is outside calling hours (${this.describeWindow(window)})`,
+        this.nextOpening(localNow, timezone, window)
+      );
+    }
+
+    return { allowed: true };
+  }
+
+  block(rule, reason, retryAt = null) {
+    return { allowed: false, rule, reason, retryAt: retryAt ? retryAt.toISOString() : null };
+  }
+
+  // ================================
+  // CALLING HOURS
+  // ================================
+
+  leadTimezone(lead, client) {
+    return resolveLeadTimezone(lead, client.business_hours?.timezone).timezone;
+  }
+
+  // Where the lead is: explicit state, then the address, then the phone's area code
+  leadState(lead) {
+    const explicit = lead.custom_fields?.state || lead.state;
+    if (explicit) return String(explicit).trim().toUpperCase();
+
+    const address = lead.custom_fields?.full_address;
+    return extractState(address) || stateForZip(extractZip(address)) || stateForPhone(lead.phone);
+  }
+
+  callingWindow(lead) {
+    const state = this.leadState(lead);
+    return {
+      closedDays: [],
+      ...this.config.defaultWindow,
+      ...(state ? this.config.stateWindows[state] : null),
+      state
+    };
+  }
+
+  isWithinWindow(localTime, window) {
+    if (window.closedDays.includes(localTime.day())) return false;
+
+    const hour = localTime.hour() + localTime.minute() / 60;
+    return hour >= window.start && hour < window.end;
+  }
+
+  // First moment at or after `from` that falls inside the calling window
+  nextOpening(from, timezone, window) {
+    const local = moment(from).tz(timezone);
+    if (this.isWithinWindow(local, window)) return local;
+
+    for (let day = 0; day <= 7; day++) {
+      const candidate = local.clone().add(day, 'days').startOf('day').hour(window.start);
+      if (window.closedDays.includes(candidate.day())) continue;
+      if (candidate.isAfter(local)) return candidate;
+    }
+
+    return null;
+  }
+
+  describeWindow(window) {
+    const format = hour => moment({ hour }).format('h A');
+    const where = window.state ? ` ${window.state}` : '';
+    return `${format(window.start)}-${format(window.end)}${where}`;
+  }
+
+  // ================================
+  // ATTEMPT LIMITS
+  // ================================
+
+  async recentAttempts(lead, client, now) {
+    const max = client.compliance?.max_attempts || this.config.maxAttempts;
+    const windowHours = client.compliance?.attempt_window_hours || this.config.attemptWindowHours;
+
+    if (!lead.id) return { count: 0, max, windowHours };
+
+    const since = moment(now).subtract(windowHours, 'hours').toISOString();
+    const { count, oldest } = await storage.complianceLog.recentAttempts(lead.id, since);
+
+    return { count, oldest, max, windowHours };
+  }
+
+  // ================================
+  // AUDIT LOG
+  // ================================
+
+  // Allowed checks are logged too: they are the attempt history the cap is enforced on
+  async logDecision(lead, client, decision, context = {}) {
+    if (!decision.allowed) {
+      console.warn(`🚫 Call to lead ${lead.id} (${lead.phone}) blocked [${decision.rule}]: ${decision.reason}${decision.retryAt ? ` - retry at ${decision.retryAt}` : ''}`);
+    }
+
+    try {
+      await storage.complianceLog.create({
+        client_id: client.id,
+        lead_id: lead.id,
+        phone: lead.phone,
+        allowed: decision.allowed,
+        rule: decision.rule || null,
+        reason: decision.reason || null,
+        retry_at: decision.retryAt || null,
+        context,
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Failed to write compliance log:', error);
+    }
+  }
+}
+
+module.exports = ComplianceGate;
@@ -0,0 +1,397 @@
+const dialerConfig = require('../config/dialer');
+const CallOrchestrator = require('./CallOrchestrator');
+const NumberPool = require('./NumberPool');
+const { formatPhone } = require('../utils/phone');
+const storage = require('../storage');
+
+// Phone numbers per lead lookup when cancelling by number
+const PHONE_CHUNK_SIZE = 200;
+
+// Single outbound path for intake calls, smart callbacks and reminder calls. Calls
+// wait in `dial_queue` (highest priority first) and are placed only while the
+// client is under its concurrency limit and one of its caller IDs (NumberPool,
+// local presence first) is under its concurrency limit, calls-per-minute pace and
+// daily cap. Live calls are tracked from Retell's call_started/call_ended events,
+// which also feed each caller ID's answer rate.
+//
+// Each source registers a handler that gets the placeCall result of its entries
+// (placed, blocked by compliance, failed), so the queue survives restarts.
+class Dialer {
+  constructor(clientRegistry, options = {}) {
+    this.clientRegistry = clientRegistry;
+    this.callOrchestrator = options.callOrchestrator || new CallOrchestrator();
+    this.numberPool = options.numberPool || new NumberPool();
+    this.intervalMs = options.intervalMs || dialerConfig.dispatchIntervalMs;
+    this.batchSize = options.batchSize || 50;
+    this.handlers = new Map();
+    this.timer = null;
+    this.running = false;
+    this.rerun = false;
+  }
+
+  // Global limits from config/dialer.js with the client's `dialer` overrides
+  settingsFor(client) {
+    const overrides = client?.dialer || {};
+
+    return {
+      maxConcurrent: overrides.max_concurrent ?? dialerConfig.maxConcurrent,
+      maxConcurrentPerNumber: overrides.max_concurrent_per_number ?? dialerConfig.maxConcurrentPerNumber,
+      callsPerMinute: overrides.calls_per_minute ?? dialerConfig.callsPerMinute
+    };
+  }
+
+  // handler(entry, callResult) runs after every dial attempt of the source's entries
+  registerSource(source, handler) {
+    this.handlers.set(source, handler);
+  }
+
+  start() {
+    if (this.timer) return;
+
+    console.log(`☎️ Dialer started (every ${Math.round(this.intervalMs / 1000)}s)`);
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ================================
+  // QUEUEING
+  // ================================
+
+  // Options: source (intake, callback, reminder), priority (defaults by source),
+  // referenceId (the source's own row), metadata and agentId for placeCall,
+  // notBefore (earliest dial time)
+  async enqueue(client, lead, { source, priority, referenceId = null, metadata = {}, agentId = null, notBefore = null } = {}) {
+    try {
+      const now = new Date().toISOString();
+      const entry = await storage.dialQueue.create({
+        client_id: client.id,
+        lead_id: lead.id,
+        source,
+        reference_id: referenceId,
+        priority: priority ?? dialerConfig.priorities[source] ?? 0,
+        metadata,
+        agent_id: agentId,
+        status: 'queued',
+        not_before: notBefore || now,
+        created_at: now
+      });
+
+      console.log(`☎️ Call for lead ${lead.id} queued (${source}, priority ${entry.priority})`);
+
+      // Dial right away when there is capacity instead of waiting for the next tick
+      this.tick();
+      return entry;
+    } catch (error) {
+      console.error(`❌ Failed to queue call for lead ${lead.id}:`, error);
+      return null;
+    }
+  }
+
+  async cancel(entry, reason) {
+    const [cancelled] = await this.cancelWhere({ id: entry.id }, reason);
+    return cancelled || null;
+  }
+
+  // Queued calls to the leads with these numbers, e.g. after they were added to the DNC list
+  async cancelForPhones(client, phones, reason) {
+    phones = [...new Set(phones.map(formatPhone).filter(Boolean))];
+    const cancelled = [];
+
+    for (let i = 0; i < phones.length; i += PHONE_CHUNK_SIZE) {
+      const leads = await storage.leads.list({
+        where: { client_id: client.id, phone: { in: phones.slice(i, i + PHONE_CHUNK_SIZE) } }
+      });
+      if (leads.length) {
+        cancelled.push(...await this.cancelWhere({ client_id: client.id, lead_id: { in: leads.map(lead => lead.id) } }, reason));
+      }
+    }
+    return cancelled;
+  }
+
+  // Cancels matching entries that have not been dialed yet; their sources hear about it
+  async cancelWhere(where, reason) {
+    const cancelled = await storage.dialQueue.updateWhere(
+      { ...where, status: 'queued' },
+      { status: 'cancelled', error: reason, completed_at: new Date().toISOString() }
+    );
+    for (const entry of cancelled) {
+      await this.notify(entry, { success: false, cancelled: true, error: reason });
+    }
+    return cancelled;
+  }
+
+  // ================================
+  // DISPATCHING
+  // ================================
+
+  async tick() {
+    // Never let two ticks overlap; an enqueue during a tick runs another one after it
+    if (this.running) {
+      this.rerun = true;
+      return { dialed: 0 };
+    }
+    this.running = true;
+
+    try {
+      await this.expireStaleCalls();
+
+      const now = new Date().toISOString();
+      let ready = 0;
+      let dialed = 0;
+
+      // Every client gets its own batch, so one client's backlog never holds up the others
+      for (const client of await this.clientRegistry.listClients()) {
+        const entries = await storage.dialQueue.listReady(now, this.batchSize, client.id);
+        if (!entries.length) continue;
+        ready += entries.length;
+
+        const load = await this.loadFor(client);
+        if (!load.numbers.length) {
+          await this.failWithoutCallerId(client, entries);
+          continue;
+        }
+
+        for (const entry of entries) {
+          if (!this.hasClientCapacity(client, load)) break;
+
+          const lead = await storage.leads.findById(entry.lead_id, client.id);
+          if (!lead) {
+            await this.finish(entry, 'failed', { success: false, error: 'Lead not found' });
+            continue;
+          }
+
+          // No caller ID of the client has room: the rest of its queue waits too
+          const fromNumber = this.fromNumberFor(client, lead, load);
+          if (!fromNumber) break;
+
+          const claimed = await storage.dialQueue.claim(entry.id, { from_number: fromNumber });
+          if (!claimed) continue;
+
+          load.add(fromNumber);
+          const result = await this.dial(claimed, client, lead, fromNumber);
+          if (result.success) {
+            load.markPlaced(fromNumber);
+            dialed++;
+          } else {
+            // Blocked or failed before reaching Retell: the line was never used
+            load.add(fromNumber, -1);
+          }
+        }
+      }
+
+      if (dialed > 0) {
+        console.log(`☎️ Dialer: ${dialed}/${ready} queued calls placed`);
+      }
+      return { ready, dialed };
+    } catch (error) {
+      console.error('❌ Dialer tick failed:', error);
+      return { dialed: 0, error: error.message };
+    } finally {
+      this.running = false;
+      if (this.rerun) {
+        this.rerun = false;
+        setImmediate(() => this.tick());
+      }
+    }
+  }
+
+  // Caller ID for the lead's next call: the best ranked pool number that still has
+  // a free line, room in its pace and calls left today. Null when none has.
+  fromNumberFor(client, lead, load) {
+    const ranked = this.numberPool.rank(lead, load.numbers, number => load.usage(number).placedToday);
+    const available = ranked.find(number => this.hasNumberCapacity(client, number, load));
+    return available ? available.number : null;
+  }
+
+  // Every caller ID was paused or retired (by hand or for its answer rate): waiting
+  // would leave the calls queued forever, so they fail and their sources hear why
+  async failWithoutCallerId(client, entries) {
+    const error = 'No active caller ID in the number pool';
+    console.error(`🚨 ${client.slug}: ${error}; ${entries.length} queued call(s) failed`);
+
+    for (const entry of entries) {
+      const [claimed] = await storage.dialQueue.updateWhere({ id: entry.id, status: 'queued' }, { status: 'dialing' });
+      if (claimed) await this.finish(claimed, 'failed', { success: false, error });
+    }
+  }
+
+  // The client's lines in use and, per active caller ID, its lines in use, calls
+  // placed today (the client's local day) and in the last minute and when it last
+  // placed one. Counted in the database per number; updated in place as the tick dials.
+  async loadFor(client, numbers = null) {
+    numbers = numbers || await this.numberPool.numbersFor(client);
+    const dayStart = this.numberPool.dayStart(client);
+    const [active, usage] = await Promise.all([
+      storage.dialQueue.countActive(client.id),
+      Promise.all(numbers.map(number => storage.dialQueue.usageForNumber(client.id, number.number, dayStart)))
+    ]);
+    const byNumber = new Map(numbers.map((number, index) => [String(number.number), usage[index]]));
+
+    return {
+      active,
+      numbers,
+      usage(number) {
+        return byNumber.get(String(number.number || number));
+      },
+      add(fromNumber, delta = 1) {
+        const numberUsage = this.usage(fromNumber);
+        this.active += delta;
+        numberUsage.active += delta;
+        numberUsage.placedToday += delta;
+      },
+      markPlaced(fromNumber) {
+        const numberUsage = this.usage(fromNumber);
+        numberUsage.placedLastMinute++;
+        numberUsage.lastPlacedAt = new Date().toISOString();
+      }
+    };
+  }
+
+  hasClientCapacity(client, load) {
+    return load.active < this.settingsFor(client).maxConcurrent;
+  }
+
+  // Pacing spaces calls evenly (6 per minute = one every 10s) instead of letting the
+  // whole minute's budget go out in one burst
+  hasNumberCapacity(client, number, load) {
+    const settings = this.settingsFor(client);
+    const usage = load.usage(number);
+    const spacingMs = 60 * 1000 / settings.callsPerMinute;
+    const sinceLastMs = usage.lastPlacedAt ? Date.now() - new Date(usage.lastPlacedAt).getTime() : Infinity;
+
+    return usage.active < settings.maxConcurrentPerNumber
+      && sinceLastMs >= spacingMs
+      && usage.placedToday < this.numberPool.dailyCapFor(client, number);
+  }
+
+  async dial(entry, client, lead, fromNumber) {
+    try {
+      const callResult = await this.callOrchestrator.placeCall(lead, client, entry.metadata || {}, {
+        agentId: entry.agent_id || undefined,
+        fromNumber
+      });
+
+      if (callResult.success) {
+        await storage.dialQueue.update(entry.id, {
+          status: 'placed',
+          call_id: callResult.call_id,
+          placed_at: new Date().toISOString()
+        });
+        console.log(`✅ Call ${callResult.call_id} placed for lead ${lead.id} from ${fromNumber} (${entry.source})`);
+        await this.numberPool.markUsed(client, fromNumber);
+        await this.notify(entry, callResult);
+        return callResult;
+      }
+
+      return await this.finish(entry, callResult.blocked ? 'blocked' : 'failed', callResult);
+    } catch (error) {
+      console.error(`❌ Failed to dial queue entry ${entry.id}:`, error);
+      return await this.finish(entry, 'failed', { success: false, error: error.message });
+    }
+  }
+
+  async finish(entry, status, callResult) {
+    const message = typeof callResult.error === 'string' ? callResult.error : JSON.stringify(callResult.error);
+
+    await storage.dialQueue.update(entry.id, {
+      status,
+      error: callResult.reason || message || null,
+      completed_at: new Date().toISOString()
+    });
+    await this.notify(entry, callResult);
+    return callResult;
+  }
+
+  async notify(entry, callResult) {
+    const handler = this.handlers.get(entry.source);
+    if (!handler) return;
+
+    try {
+      await handler(entry, callResult);
+    } catch (error) {
+      console.error(`❌ ${entry.source} handler failed for queue entry ${entry.id}:`, error);
+    }
+  }
+
+  // ================================
+  // LIVE CALLS
+  // ================================
+
+  async expireStaleCalls() {
+    const cutoff = new Date(Date.now() - dialerConfig.staleCallMinutes * 60 * 1000).toISOString();
+
+    try {
+      await storage.dialQueue.expireStale(cutoff);
+    } catch (error) {
+      console.error('❌ Failed to expire stale calls:', error);
+    }
+  }
+
+  // Retell call_started
+  async callStarted(callId) {
+    const entry = callId ? await storage.dialQueue.findByCallId(callId) : null;
+    if (!entry) return null;
+
+    return await storage.dialQueue.update(entry.id, { status: 'live', started_at: new Date().toISOString() });
+  }
+
+  // Retell call_ended: the line is free again, and whether the call was answered
+  // counts toward the caller ID's health
+  async callEnded(callId, call = null) {
+    const entry = callId ? await storage.dialQueue.findByCallId(callId) : null;
+    if (!entry) return null;
+
+    const fields = { status: 'ended', ended_at: new Date().toISOString() };
+    const answered = this.numberPool.isAnswered(call);
+    if (answered !== null) {
+      Object.assign(fields, { answered, disconnection_reason: call.disconnection_reason });
+    }
+
+    const ended = await storage.dialQueue.update(entry.id, fields);
+    this.tick();
+
+    if (answered !== null) {
+      const client = await this.clientRegistry.getClientById(entry.client_id);
+      if (client) await this.numberPool.recordOutcome(client, entry.from_number);
+    }
+    return ended;
+  }
+
+  // Live calls, queue depth and each caller ID's usage and health for the client
+  async status(client) {
+    const settings = this.settingsFor(client);
+    const pool = await storage.phoneNumbers.listByClient(client.id);
+    const [load, queued] = await Promise.all([
+      this.loadFor(client, pool.length ? pool : await this.numberPool.numbersFor(client)),
+      storage.dialQueue.count({ client_id: client.id, status: 'queued' })
+    ]);
+
+    return {
+      limits: settings,
+      active: load.active,
+      numbers: load.numbers.map(number => {
+        const usage = load.usage(number);
+        return {
+          number: number.number,
+          status: number.status,
+          health: number.health || 'unknown',
+          answer_rate: number.answer_rate ?? null,
+          active: usage.active,
+          placed_last_minute: usage.placedLastMinute,
+          placed_today: usage.placedToday,
+          last_placed_at: usage.lastPlacedAt,
+          daily_cap: this.numberPool.dailyCapFor(client, number)
+        };
+      }),
+      queued
+    };
+  }
+}
+
+module.exports = Dialer;
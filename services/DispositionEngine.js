@@ -0,0 +1,119 @@
+const dispositionConfig = require('../config/dispositions');
+const RetellService = require('./RetellService');
+const storage = require('../storage');
+
+// Applies the terminal dispositions the agent reports through custom functions
+// (wrong number, mobile home, outside area, transfer...). Each entry of
+// config/dispositions.js says what happens to the lead: status and disposition,
+// callback cancellation, the call's outcome, DNC, a webhook event and the GHL sync.
+// The call_history row is written once by the Retell webhook when the call is
+// analyzed, using the outcome stored here.
+class DispositionEngine {
+  constructor(options = {}) {
+    this.callbackDispatcher = options.callbackDispatcher;
+    this.dncList = options.dncList;
+    this.dialer = options.dialer;
+    this.eventBus = options.eventBus;
+    this.ghlSync = options.ghlSync;
+    this.retell = new RetellService();
+  }
+
+  // Global table with the client's `dispositions` overrides, merged per entry
+  tableFor(client) {
+    const overrides = client?.dispositions || {};
+    const names = new Set([...Object.keys(dispositionConfig), ...Object.keys(overrides)]);
+
+    const table = {};
+    names.forEach(name => {
+      table[name] = { ...(dispositionConfig[name] || {}), ...(overrides[name] || {}) };
+    });
+    return table;
+  }
+
+  // Entry point for the Retell function routes: finds the lead behind the call and
+  // applies the disposition configured for `functionName`
+  async applyFromCall(client, functionName, call, args = {}) {
+    const reference = this.retell.leadReference(call);
+    const lead = await storage.leads.findByCallReference(client.id, reference);
+
+    return await this.apply(client, lead, functionName, {
+      reason: args?.reason,
+      callId: call?.call_id || null,
+      phone: reference.phone
+    });
+  }
+
+  async apply(client, lead, functionName, { reason = null, callId = null, phone = null } = {}) {
+    const entry = this.tableFor(client)[functionName];
+    if (!entry || !entry.disposition) {
+      console.error(`❌ No disposition configured for ${functionName}`);
+      return { success: false, error: `Unknown disposition: ${functionName}` };
+    }
+
+    const dispositionReason = reason || entry.default_reason || entry.label;
+    const result = { success: true, disposition: entry.disposition, reason: dispositionReason, lead_id: lead?.id || null };
+
+    // The number is what's wrong, so it is blocked even when no lead matched the call
+    if (entry.add_to_dnc && this.dncList && (phone || lead?.phone)) {
+      await this.dncList.add(phone || lead.phone, client.id, { reason: entry.disposition, source: functionName });
+      if (this.dialer) await this.dialer.cancelForPhones(client, [phone || lead.phone], entry.label);
+    }
+
+    if (!lead) {
+      console.warn(`⚠️ ${entry.label}: no lead found for call ${callId || '(unknown)'}`);
+      return result;
+    }
+
+    console.log(`🏷️ Lead ${lead.id} disposition: ${entry.disposition} (${dispositionReason})`);
+
+    const dispositionAt = new Date().toISOString();
+    const updated = await storage.leads.updateCustomFields(lead, {
+      disposition: entry.disposition,
+      disposition_reason: dispositionReason,
+      disposition_at: dispositionAt,
+      disposition_call_id: callId,
+      disposition_outcome: entry.outcome || null
+    }, entry.status ? { status: entry.status } : {});
+
+    if (entry.cancel_callbacks && this.callbackDispatcher) {
+      await this.callbackDispatcher.cancelPendingCallbacks(lead.id, entry.label);
+    }
+
+    await this.recordEvent(lead, functionName, entry, dispositionReason, callId);
+
+    if (entry.event && this.eventBus) {
+      this.eventBus.emit(client, entry.event, {
+        disposition: entry.disposition,
+        reason: dispositionReason,
+        call_id: callId,
+        lead: this.eventBus.leadPayload(updated || lead)
+      });
+    }
+
+    // Queued, never awaited over the network: this runs inside a live Retell function call
+    if (entry.push_to_ghl && this.ghlSync) {
+      const jobs = [
+        ...await this.ghlSync.applyDisposition(client, updated || lead, entry, dispositionReason),
+        entry.outcome ? await this.ghlSync.advanceOpportunity(client, updated || lead, entry.outcome) : null,
+        await this.ghlSync.pushDisposition(client, updated || lead, entry, dispositionReason)
+      ].filter(Boolean);
+      result.ghl = { queued: jobs.length };
+    }
+
+    return result;
+  }
+
+  async recordEvent(lead, functionName, entry, reason, callId) {
+    try {
+      await storage.leadEvents.record(lead, 'disposition', {
+        name: entry.disposition,
+        summary: `Disposition: ${entry.label} (${reason})`,
+        data: { function: functionName, reason, status: entry.status || null, call_id: callId }
+      });
+    } catch (error) {
+      console.error('⚠️ Failed to record disposition event:', error.message);
+    }
+  }
+}
+
+module.exports = DispositionEngine;
@@ -0,0 +1,100 @@
+const { formatPhone } = require('../utils/phone');
+const storage = require('../storage');
+
+// Rows per insert during an import, so large lists stay under request size limits
+const IMPORT_CHUNK_SIZE = 200;
+
+// Internal do-not-call list, one row per client and phone number (`dnc_list`).
+// Numbers are stored in E.164 so lookups match regardless of how the number
+// was originally written.
+class DncList {
+  async isListed(phone, clientId) {
+    const normalized = formatPhone(phone);
+    if (!normalized) return null;
+
+    return await storage.dncList.findByPhone(clientId, normalized);
+  }
+
+  async add(phone, clientId, { reason = 'manual', source = 'manual' } = {}) {
+    const normalized = formatPhone(phone);
+    if (!normalized) {
+      return { success: false, error: `Invalid phone number: ${phone}` };
+    }
+
+    try {
+      const { entry, created } = await storage.dncList.addIfMissing({
+        client_id: clientId,
+        phone: normalized,
+        reason,
+        source,
+        created_at: new Date().toISOString()
+      });
+
+      if (created) console.log(`🚫 ${normalized} added to DNC list for client ${clientId} (${reason})`);
+      return { success: true, entry };
+    } catch (error) {
+      console.error('❌ Failed to add DNC entry:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async remove(phone, clientId) {
+    const normalized = formatPhone(phone);
+    if (!normalized) {
+      return { success: false, error: `Invalid phone number: ${phone}` };
+    }
+
+    try {
+      const removed = await storage.dncList.removeByPhone(clientId, normalized);
+      return { success: true, removed: removed.length };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async list(clientId, { limit = 100, offset = 0 } = {}) {
+    try {
+      return { success: true, entries: await storage.dncList.listByClient(clientId, { limit, offset }) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // phones: raw strings from an import; invalid numbers are reported, not fatal
+  async importNumbers(phones, clientId, { reason = 'imported', source = 'import' } = {}) {
+    const invalid = [];
+    const valid = new Set();
+
+    phones.forEach((phone, index) => {
+      const normalized = formatPhone(phone);
+      if (normalized) {
+        valid.add(normalized);
+      } else {
+        invalid.push({ row: index + 1, value: phone, error: 'Invalid phone number' });
+      }
+    });
+
+    const entries = [...valid].map(phone => ({
+      client_id: clientId,
+      phone,
+      reason,
+      source,
+      created_at: new Date().toISOString()
+    }));
+
+    // Numbers already listed keep their original entry
+    for (let i = 0; i < entries.length; i += IMPORT_CHUNK_SIZE) {
+      try {
+        await storage.dncList.addManyIfMissing(clientId, entries.slice(i, i + IMPORT_CHUNK_SIZE));
+      } catch (error) {
+        console.error('❌ DNC import failed:', error);
+        return { success: false, error: error.message, imported: i, invalid };
+      }
+    }
+
+    console.log(`🚫 Imported ${entries.length} DNC numbers for client ${clientId} (${invalid.length} invalid)`);
+    return { success: true, imported: entries.length, invalid };
+  }
+}
+
+module.exports = DncList;
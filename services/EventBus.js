@@ -0,0 +1,261 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const webhookConfig = require('../config/webhooks');
+const storage = require('../storage');
+
+// Added to the request timeout before a `sending` delivery counts as interrupted
+const STALE_MARGIN_MS = 60 * 1000;
+
+// Lifecycle events (lead.created, call.ended, appointment.booked...) delivered to the
+// client's webhook subscriptions. Every event is stored as one `webhook_deliveries`
+// row per subscriber, sent right away and retried with backoff until it succeeds or
+// the retries run out; failed deliveries can be redelivered by hand.
+class EventBus {
+  constructor(options = {}) {
+    this.backoffSeconds = options.backoffSeconds || webhookConfig.backoffSeconds;
+    this.timeoutMs = options.timeoutMs || webhookConfig.timeoutMs;
+    this.intervalMs = options.intervalMs || webhookConfig.dispatchIntervalMs;
+    this.batchSize = options.batchSize || 20;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    console.log(`📡 Webhook dispatcher started (every ${Math.round(this.intervalMs / 1000)}s)`);
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ================================
+  // PUBLISHING
+  // ================================
+
+  // Never throws: a webhook problem must not break the request that raised the event
+  async emit(client, type, data) {
+    try {
+      const subscriptions = await storage.webhookSubscriptions.listForEvent(client.id, type);
+      if (!subscriptions.length) return [];
+
+      const event = {
+        id: crypto.randomUUID(),
+        type,
+        created_at: new Date().toISOString(),
+        client: client.slug,
+        data
+      };
+
+      const deliveries = [];
+      for (const subscription of subscriptions) {
+        deliveries.push(await this.createDelivery(client.id, subscription, event));
+      }
+
+      console.log(`📡 ${type} queued for ${deliveries.length} webhook subscriber(s)`);
+
+      // First attempt in the background; retries are picked up by tick()
+      deliveries.forEach(delivery => this.process(delivery.id).catch(error => {
+        console.error(`❌ Webhook delivery ${delivery.id} attempt failed:`, error);
+      }));
+      return deliveries;
+    } catch (error) {
+      console.error(`❌ Failed to emit ${type}:`, error);
+      return [];
+    }
+  }
+
+  async createDelivery(clientId, subscription, event) {
+    const now = new Date().toISOString();
+
+    return await storage.webhookDeliveries.create({
+      client_id: clientId,
+      subscription_id: subscription.id,
+      event_id: event.id,
+      event_type: event.type,
+      url: subscription.url,
+      payload: event,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now
+    });
+  }
+
+  // Lead fields included in lead.* events
+  leadPayload(lead) {
+    const fields = lead.custom_fields || {};
+
+    return {
+      id: lead.id,
+      uuid: fields.uuid || null,
+      name: lead.name,
+      phone: lead.phone,
+      email: lead.email || null,
+      status: lead.status,
+      source: lead.source || null,
+      project_type: fields.project_type || null,
+      full_address: fields.full_address || null,
+      ghl_contact_id: fields.ghl_contact_id || fields.original_ghl_contact_id || null,
+      created_at: lead.created_at
+    };
+  }
+
+  // ================================
+  // DELIVERY
+  // ================================
+
+  async tick() {
+    if (this.running) return { sent: 0 };
+    this.running = true;
+
+    try {
+      const reclaimed = await storage.webhookDeliveries.reclaimStale(new Date(Date.now() - this.staleMs()).toISOString());
+      if (reclaimed.length) {
+        console.warn(`⚠️ ${reclaimed.length} interrupted webhook deliveries queued again`);
+      }
+
+      const due = await storage.webhookDeliveries.listDue(new Date().toISOString(), this.batchSize);
+      let sent = 0;
+
+      for (const delivery of due) {
+        const result = await this.process(delivery.id);
+        if (result?.status === 'delivered') sent++;
+      }
+
+      return { due: due.length, sent };
+    } catch (error) {
+      console.error('❌ Webhook dispatcher tick failed:', error);
+      return { sent: 0, error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  staleMs() {
+    return this.timeoutMs + STALE_MARGIN_MS;
+  }
+
+  // A `sending` delivery whose attempt started longer ago than any request can take
+  isStale(delivery) {
+    return delivery.status === 'sending' && Date.now() - new Date(delivery.last_attempt_at || 0).getTime() > this.staleMs();
+  }
+
+  // Claims a pending delivery and makes one attempt
+  async process(deliveryId) {
+    try {
+      const delivery = await storage.webhookDeliveries.claim(deliveryId);
+      if (!delivery) return null;
+
+      const subscription = await storage.webhookSubscriptions.findById(delivery.subscription_id);
+      if (!subscription || !subscription.active) {
+        return await storage.webhookDeliveries.update(delivery.id, {
+          status: 'cancelled',
+          last_error: 'Subscription removed or disabled'
+        });
+      }
+
+      const attempt = await this.send(subscription, delivery);
+      return await this.recordAttempt(delivery, attempt);
+    } catch (error) {
+      console.error(`❌ Webhook delivery ${deliveryId} failed:`, error);
+      return null;
+    }
+  }
+
+  async send(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Nuviao-Webhooks/1.0',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': EventBus.sign(subscription.secret, timestamp, body)
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      const ok = response.status >= 200 && response.status < 300;
+      return { ok, statusCode: response.status, error: ok ? null : `HTTP ${response.status}` };
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.code || error.message };
+    }
+  }
+
+  async recordAttempt(delivery, attempt) {
+    const attempts = (delivery.attempts || 0) + 1;
+    const fields = {
+      attempts,
+      last_status_code: attempt.statusCode,
+      last_error: attempt.error
+    };
+
+    if (attempt.ok) {
+      console.log(`📡 ${delivery.event_type} delivered to ${delivery.url}`);
+      return await storage.webhookDeliveries.update(delivery.id, {
+        ...fields,
+        status: 'delivered',
+        delivered_at: new Date().toISOString(),
+        next_attempt_at: null
+      });
+    }
+
+    const delaySeconds = this.backoffSeconds[attempts - 1];
+    if (delaySeconds === undefined) {
+      console.error(`❌ ${delivery.event_type} to ${delivery.url} failed after ${attempts} attempts: ${attempt.error}`);
+      return await storage.webhookDeliveries.update(delivery.id, { ...fields, status: 'failed', next_attempt_at: null });
+    }
+
+    const nextAttemptAt = new Date(Date.now() + delaySeconds * 1000).toISOString();
+    console.warn(`⚠️ ${delivery.event_type} to ${delivery.url} failed (${attempt.error}), retrying at ${nextAttemptAt}`);
+    return await storage.webhookDeliveries.update(delivery.id, { ...fields, status: 'pending', next_attempt_at: nextAttemptAt });
+  }
+
+  // Sends a delivery again now, whatever its status; the retry schedule restarts
+  async redeliver(delivery) {
+    await storage.webhookDeliveries.update(delivery.id, {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      redelivered_at: new Date().toISOString()
+    });
+    return await this.process(delivery.id);
+  }
+
+  // Delivers a `ping` event to a single subscription, e.g. right after registering it
+  async ping(client, subscription) {
+    const event = {
+      id: crypto.randomUUID(),
+      type: 'ping',
+      created_at: new Date().toISOString(),
+      client: client.slug,
+      data: { subscription_id: subscription.id }
+    };
+
+    const delivery = await this.createDelivery(client.id, subscription, event);
+    return await this.process(delivery.id);
+  }
+
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  static sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+}
+
+module.exports = EventBus;
@@ -0,0 +1,170 @@
+const axios = require('axios');
+const ghlConfig = require('../config/ghl');
+
+// Thin wrapper around the GoHighLevel v2 API (services.leadconnectorhq.com) for one
+// sub-account. Requests throw on failure; `error.retryable` tells the sync queue
+// whether trying again later can help (network errors, 429 and 5xx) or not.
+class GhlClient {
+  constructor({ apiKey, locationId, calendarId, baseUrl, timeoutMs } = {}) {
+    this.apiKey = apiKey;
+    this.locationId = locationId;
+    this.calendarId = calendarId;
+    this.baseUrl = baseUrl || ghlConfig.baseUrl;
+    this.timeoutMs = timeoutMs || ghlConfig.timeoutMs;
+  }
+
+  // The client's own sub-account (`ghl` in its client record) or the global one
+  static forClient(client) {
+    const settings = client?.ghl || {};
+
+    return new GhlClient({
+      apiKey: settings.api_key || ghlConfig.apiKey,
+      locationId: settings.location_id || ghlConfig.locationId,
+      calendarId: settings.calendar_id || ghlConfig.calendarId
+    });
+  }
+
+  get configured() {
+    return Boolean(this.apiKey && this.locationId);
+  }
+
+  async request(method, path, data, version = ghlConfig.contactsVersion) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}${path}`,
+        data,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Version': version,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        timeout: this.timeoutMs
+      });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, `GHL ${method} ${path}`);
+    }
+  }
+
+  // Inbound webhook trigger of a GHL workflow (no API credentials involved)
+  static async postWebhook(url, body) {
+    try {
+      const response = await axios.post(url, body, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: ghlConfig.timeoutMs
+      });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'GHL workflow webhook');
+    }
+  }
+
+  // ================================
+  // CONTACTS
+  // ================================
+
+  // Creates the contact or updates the one GHL matches by phone/email; returns it
+  async upsertContact(fields) {
+    const data = await this.request('POST', '/contacts/upsert', { ...fields, locationId: this.locationId });
+    return data.contact;
+  }
+
+  async addNote(contactId, body) {
+    const data = await this.request('POST', `/contacts/${contactId}/notes`, { body });
+    return data.note;
+  }
+
+  async addTags(contactId, tags) {
+    const data = await this.request('POST', `/contacts/${contactId}/tags`, { tags });
+    return data.tags;
+  }
+
+  // ================================
+  // OPPORTUNITIES
+  // ================================
+
+  // Every pipeline of the location with its stages: [{ id, name, stages: [{ id, name }] }]
+  async getPipelines() {
+    const data = await this.request('GET', `/opportunities/pipelines?locationId=${encodeURIComponent(this.locationId)}`);
+    return data.pipelines || [];
+  }
+
+  async searchOpportunities({ contactId, pipelineId }) {
+    const query = new URLSearchParams({ location_id: this.locationId, contact_id: contactId });
+    if (pipelineId) query.set('pipeline_id', pipelineId);
+
+    const data = await this.request('GET', `/opportunities/search?${query}`);
+    return data.opportunities || [];
+  }
+
+  async createOpportunity(fields) {
+    const data = await this.request('POST', '/opportunities/', { ...fields, locationId: this.locationId });
+    return data.opportunity;
+  }
+
+  async updateOpportunity(opportunityId, fields) {
+    const data = await this.request('PUT', `/opportunities/${opportunityId}`, fields);
+    return data.opportunity;
+  }
+
+  // ================================
+  // CALENDARS
+  // ================================
+
+  async getCalendars() {
+    const data = await this.request('GET', `/calendars/?locationId=${encodeURIComponent(this.locationId)}`, undefined, ghlConfig.calendarsVersion);
+    return data.calendars || [];
+  }
+
+  // Events of one calendar between two times (ISO strings)
+  async getCalendarEvents(calendarId, startTime, endTime) {
+    const query = new URLSearchParams({
+      locationId: this.locationId,
+      calendarId,
+      startTime: String(new Date(startTime).getTime()),
+      endTime: String(new Date(endTime).getTime())
+    });
+
+    const data = await this.request('GET', `/calendars/events?${query}`, undefined, ghlConfig.calendarsVersion);
+    return data.events || [];
+  }
+
+  // ================================
+  // APPOINTMENTS
+  // ================================
+
+  async getAppointment(eventId) {
+    const data = await this.request('GET', `/calendars/events/appointments/${eventId}`, undefined, ghlConfig.calendarsVersion);
+    return data.appointment || data.event || data;
+  }
+
+  async deleteEvent(eventId) {
+    return await this.request('DELETE', `/calendars/events/${eventId}`, undefined, ghlConfig.calendarsVersion);
+  }
+
+  async createAppointment(fields) {
+    return await this.request('POST', '/calendars/events/appointments', {
+      calendarId: this.calendarId,
+      locationId: this.locationId,
+      ...fields
+    }, ghlConfig.calendarsVersion);
+  }
+
+  async updateAppointment(eventId, fields) {
+    return await this.request('PUT', `/calendars/events/appointments/${eventId}`, fields, ghlConfig.calendarsVersion);
+  }
+}
+
+// Error with `status` and whether a later retry can help
+function toApiError(error, label) {
+  const status = error.response?.status || null;
+  const detail = error.response?.data?.message || error.response?.data?.msg || error.message;
+  const apiError = new Error(`${label} failed${status ? ` (HTTP ${status})` : ''}: ${Array.isArray(detail) ? detail.join(', ') : detail}`);
+  apiError.status = status;
+  apiError.retryable = !status || status === 429 || status >= 500;
+  return apiError;
+}
+
+module.exports = GhlClient;
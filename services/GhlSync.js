@@ -0,0 +1,473 @@
+const ghlConfig = require('../config/ghl');
+const GhlClient = require('./GhlClient');
+const { parseAddress } = require('../utils/address');
+const { buildAppointmentTitle } = require('../calendar-common');
+const storage = require('../storage');
+
+// Placeholder intake values that must not overwrite real data in GHL
+const PLACEHOLDER_ADDRESS = 'Address to be confirmed';
+
+// Pipelines and stage ids rarely change; names in the stage mapping are resolved
+// against a copy refreshed this often
+const PIPELINE_CACHE_MS = 10 * 60 * 1000;
+
+// Actions that post to a GHL workflow webhook instead of the API
+const WEBHOOK_ACTIONS = ['disposition_webhook'];
+
+// Keeps the client's GoHighLevel sub-account in step with what happens here: the
+// contact is upserted, every call leaves a note and an outcome tag, dispositions add
+// their tags, booked appointments are created/updated in the GHL calendar and the
+// lead's opportunity moves through the client's pipeline (config/ghl.js `pipeline`).
+// Every write is a `ghl_sync_jobs` row tried right away and retried with backoff
+// while GHL is unreachable, so a GHL outage never loses an update.
+class GhlSync {
+  constructor(clientRegistry, options = {}) {
+    this.clientRegistry = clientRegistry;
+    this.backoffSeconds = options.backoffSeconds || ghlConfig.backoffSeconds;
+    this.intervalMs = options.intervalMs || ghlConfig.dispatchIntervalMs;
+    this.staleMs = (options.staleJobMinutes || ghlConfig.staleJobMinutes) * 60 * 1000;
+    this.batchSize = options.batchSize || 20;
+    this.timer = null;
+    this.running = false;
+    this.pipelineCache = new Map();
+    this.leadQueues = new Map();
+  }
+
+  start() {
+    if (this.timer) return;
+
+    console.log(`🔄 GHL sync worker started (every ${Math.round(this.intervalMs / 1000)}s)`);
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isConfigured(client) {
+    return GhlClient.forClient(client).configured;
+  }
+
+  // ================================
+  // QUEUEING
+  // ================================
+
+  syncContact(client, lead) {
+    return this.enqueue(client, 'contact', { lead });
+  }
+
+  // A note with the call summary and the outcome tag
+  async logCall(client, lead, call) {
+    const tag = ghlConfig.outcomeTags[call.outcome];
+
+    return [
+      await this.enqueue(client, 'note', { lead, payload: { body: this.callNote(call) } }),
+      tag ? await this.enqueue(client, 'tags', { lead, payload: { tags: [tag] } }) : null
+    ].filter(Boolean);
+  }
+
+  // The disposition for the client's GHL workflow webhook (client `ghl.disposition_webhook_url`
+  // or GHL_DISPOSITION_WEBHOOK_URL); works without API credentials
+  pushDisposition(client, lead, entry, reason) {
+    const url = client.ghl?.disposition_webhook_url || ghlConfig.dispositionWebhookUrl;
+    if (!url) return null;
+
+    const fields = lead.custom_fields || {};
+    return this.enqueue(client, 'disposition_webhook', {
+      lead,
+      payload: {
+        url,
+        body: {
+          contact_id: fields.ghl_contact_id || fields.original_ghl_contact_id || null,
+          phone: lead.phone,
+          email: lead.email || '',
+          name: lead.name,
+          disposition: entry.disposition,
+          disposition_label: entry.label,
+          reason,
+          status: lead.status,
+          tags: (entry.ghl_tags || []).join(','),
+          lead_uuid: fields.uuid || null
+        }
+      }
+    });
+  }
+
+  // Tags and a note for a disposition from config/dispositions.js
+  async applyDisposition(client, lead, entry, reason) {
+    return [
+      await this.enqueue(client, 'note', { lead, payload: { body: `AI disposition: ${entry.label}\nReason: ${reason}` } }),
+      entry.ghl_tags?.length ? await this.enqueue(client, 'tags', { lead, payload: { tags: entry.ghl_tags } }) : null
+    ].filter(Boolean);
+  }
+
+  // The GHL appointment is written from the appointment row as it is when the job runs
+  syncAppointment(client, appointment, lead) {
+    if (!appointment) return null;
+    return this.enqueue(client, 'appointment', { lead, appointment });
+  }
+
+  // Moves the lead's opportunity to the stage mapped for `key`: a lead status, call
+  // outcome or appointment change (appointment_booked, appointment_cancelled...)
+  advanceOpportunity(client, lead, key) {
+    const pipeline = this.pipelineFor(client);
+    if (!pipeline.pipelineId || !pipeline.stages[key]) return null;
+
+    return this.enqueue(client, 'opportunity', { lead, payload: { key } });
+  }
+
+  // Never throws: a GHL problem must not break the request that triggered the sync
+  async enqueue(client, action, { lead = null, appointment = null, payload = {} } = {}) {
+    try {
+      if (!lead || (!WEBHOOK_ACTIONS.includes(action) && !this.isConfigured(client))) return null;
+
+      const now = new Date().toISOString();
+      const job = await storage.ghlSyncJobs.create({
+        client_id: client.id,
+        lead_id: lead.id,
+        appointment_id: appointment?.id || null,
+        action,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now,
+        created_at: now
+      });
+
+      // First attempt in the background; retries are picked up by tick()
+      this.process(job.id).catch(error => {
+        console.error(`❌ GHL ${action} sync job ${job.id} attempt failed:`, error);
+      });
+      return job;
+    } catch (error) {
+      console.error(`❌ Failed to queue GHL ${action} sync:`, error);
+      return null;
+    }
+  }
+
+  // ================================
+  // PROCESSING
+  // ================================
+
+  async tick() {
+    if (this.running) return { synced: 0 };
+    this.running = true;
+
+    try {
+      const reclaimed = await storage.ghlSyncJobs.reclaimStale(new Date(Date.now() - this.staleMs).toISOString());
+      if (reclaimed.length) {
+        console.warn(`⚠️ ${reclaimed.length} interrupted GHL sync job(s) queued again`);
+      }
+
+      const due = await storage.ghlSyncJobs.listDue(new Date().toISOString(), this.batchSize);
+      let synced = 0;
+
+      for (const job of due) {
+        const result = await this.process(job.id);
+        if (result?.status === 'done') synced++;
+      }
+
+      return { due: due.length, synced };
+    } catch (error) {
+      console.error('❌ GHL sync tick failed:', error);
+      return { synced: 0, error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Claims a pending job and makes one attempt
+  async process(jobId) {
+    let job = null;
+    try {
+      job = await storage.ghlSyncJobs.claim(jobId);
+      if (!job) return null;
+
+      const client = await this.clientRegistry.getClientById(job.client_id);
+      const ghl = GhlClient.forClient(client);
+      if (!client || (!WEBHOOK_ACTIONS.includes(job.action) && !ghl.configured)) {
+        return await this.finish(job, { status: 'skipped', last_error: 'GHL is not configured for this client' });
+      }
+
+      const result = await this.serialize(job.lead_id, async () => {
+        const lead = await storage.leads.findById(job.lead_id, client.id);
+        if (!lead) return { skipped: 'Lead not found' };
+
+        return await this.run(ghl, client, lead, job);
+      });
+      if (result.skipped) {
+        return await this.finish(job, { status: 'skipped', last_error: result.skipped });
+      }
+
+      console.log(`🔄 GHL ${job.action} synced for lead ${job.lead_id}`);
+      return await this.finish(job, { status: 'done', result, last_error: null, completed_at: new Date().toISOString() });
+    } catch (error) {
+      if (!job) {
+        console.error(`❌ GHL sync job ${jobId} failed:`, error);
+        return null;
+      }
+      return await this.recordFailure(job, error);
+    }
+  }
+
+  async run(ghl, client, lead, job) {
+    switch (job.action) {
+      case 'contact':
+        return { contact_id: await this.ensureContact(ghl, lead, { update: true }) };
+
+      case 'note': {
+        const contactId = await this.ensureContact(ghl, lead);
+        const note = await ghl.addNote(contactId, job.payload.body);
+        return { contact_id: contactId, note_id: note?.id || null };
+      }
+
+      case 'tags': {
+        const contactId = await this.ensureContact(ghl, lead);
+        await ghl.addTags(contactId, job.payload.tags);
+        return { contact_id: contactId, tags: job.payload.tags };
+      }
+
+      case 'appointment':
+        return await this.writeAppointment(ghl, client, lead, job.appointment_id);
+
+      case 'opportunity':
+        return await this.writeOpportunity(ghl, client, lead, job.payload.key);
+
+      case 'disposition_webhook':
+        await GhlClient.postWebhook(job.payload.url, job.payload.body);
+        return { delivered: true };
+
+      default:
+        return { skipped: `Unknown action: ${job.action}` };
+    }
+  }
+
+  // Jobs of the same lead run one after another, so a job sees the contact and
+  // opportunity ids stored by the previous one instead of creating duplicates
+  serialize(leadId, task) {
+    const key = String(leadId);
+    const next = (this.leadQueues.get(key) || Promise.resolve()).catch(() => {}).then(task);
+
+    this.leadQueues.set(key, next);
+    next.catch(() => {}).finally(() => {
+      if (this.leadQueues.get(key) === next) this.leadQueues.delete(key);
+    });
+    return next;
+  }
+
+  async finish(job, fields) {
+    return await storage.ghlSyncJobs.update(job.id, {
+      attempts: (job.attempts || 0) + 1,
+      next_attempt_at: null,
+      ...fields
+    });
+  }
+
+  async recordFailure(job, error) {
+    const attempts = (job.attempts || 0) + 1;
+    const delaySeconds = error.retryable === false ? undefined : this.backoffSeconds[attempts - 1];
+
+    if (delaySeconds === undefined) {
+      console.error(`❌ GHL ${job.action} sync for lead ${job.lead_id} failed after ${attempts} attempt(s): ${error.message}`);
+      return await storage.ghlSyncJobs.update(job.id, { attempts, status: 'failed', last_error: error.message, next_attempt_at: null });
+    }
+
+    const nextAttemptAt = new Date(Date.now() + delaySeconds * 1000).toISOString();
+    console.warn(`⚠️ GHL ${job.action} sync for lead ${job.lead_id} failed (${error.message}), retrying at ${nextAttemptAt}`);
+    return await storage.ghlSyncJobs.update(job.id, { attempts, status: 'pending', last_error: error.message, next_attempt_at: nextAttemptAt });
+  }
+
+  // A `running` job whose attempt started this long ago was interrupted
+  isStale(job) {
+    return job.status === 'running' && Date.now() - new Date(job.last_attempt_at || 0).getTime() > this.staleMs;
+  }
+
+  // Runs a job again now, whatever its status; the retry schedule restarts
+  async retry(job) {
+    await storage.ghlSyncJobs.update(job.id, {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString()
+    });
+    return await this.process(job.id);
+  }
+
+  // ================================
+  // GHL RECORDS
+  // ================================
+
+  // The lead's GHL contact id, upserting the contact when it isn't known yet
+  // (or always with `update`) and remembering the id on the lead
+  async ensureContact(ghl, lead, { update = false } = {}) {
+    const fields = lead.custom_fields || {};
+    const knownId = fields.ghl_contact_id || fields.original_ghl_contact_id;
+    if (knownId && !update) return knownId;
+
+    const contact = await ghl.upsertContact(this.contactFields(lead));
+    if (!contact?.id) {
+      throw Object.assign(new Error('GHL contact upsert returned no contact id'), { retryable: true });
+    }
+
+    if (contact.id !== fields.ghl_contact_id) {
+      await storage.leads.updateCustomFields(lead, { ghl_contact_id: contact.id });
+    }
+    return contact.id;
+  }
+
+  contactFields(lead) {
+    const fields = lead.custom_fields || {};
+    const [firstName, ...lastName] = String(lead.name || '').trim().split(/\s+/);
+    const contact = {
+      firstName: firstName && firstName !== 'Unknown' ? firstName : undefined,
+      lastName: lastName.join(' ') || undefined,
+      phone: lead.phone,
+      email: lead.email || undefined,
+      source: lead.source || undefined,
+      tags: ghlConfig.contactTags
+    };
+
+    if (fields.full_address && fields.full_address !== PLACEHOLDER_ADDRESS) {
+      const address = parseAddress(fields.full_address);
+      contact.address1 = address.street || fields.full_address;
+      contact.city = address.city || undefined;
+      contact.state = address.state || undefined;
+      contact.postalCode = address.zip || fields.postal_code || undefined;
+    }
+
+    return contact;
+  }
+
+  async writeAppointment(ghl, client, lead, appointmentId) {
+    const appointment = await storage.appointments.findById(appointmentId, client.id);
+    if (!appointment) return { skipped: 'Appointment not found' };
+    if (appointment.provider === 'ghl') return { skipped: 'Booked directly in the GHL calendar' };
+    if (!ghl.calendarId) return { skipped: 'No GHL calendar configured (ghl.calendar_id or GHL_CALENDAR_ID)' };
+
+    const fields = {
+      title: buildAppointmentTitle(lead.name),
+      startTime: appointment.start_time,
+      endTime: appointment.end_time,
+      appointmentStatus: ghlConfig.appointmentStatuses[appointment.status] || 'confirmed',
+      address: appointment.address || undefined
+    };
+
+    if (appointment.ghl_appointment_id) {
+      await ghl.updateAppointment(appointment.ghl_appointment_id, fields);
+      return { appointment_id: appointment.ghl_appointment_id };
+    }
+
+    const contactId = await this.ensureContact(ghl, lead);
+    const created = await ghl.createAppointment({ ...fields, contactId });
+    await storage.appointments.update(appointment.id, { ghl_appointment_id: created.id });
+    return { contact_id: contactId, appointment_id: created.id };
+  }
+
+  // ================================
+  // OPPORTUNITIES
+  // ================================
+
+  // config/ghl.js `pipeline` with the client's `ghl.pipeline` overrides
+  pipelineFor(client) {
+    const overrides = client?.ghl?.pipeline || {};
+
+    return {
+      pipelineId: overrides.pipeline_id || ghlConfig.pipeline.pipelineId,
+      stages: { ...ghlConfig.pipeline.stages, ...(overrides.stages || {}) },
+      progression: overrides.progression || ghlConfig.pipeline.progression
+    };
+  }
+
+  // Would moving from the `current` key to `key` go back along the progression?
+  isBackwards(pipeline, current, key) {
+    const from = pipeline.progression.indexOf(current);
+    const to = pipeline.progression.indexOf(key);
+    return from !== -1 && to !== -1 && to < from;
+  }
+
+  async writeOpportunity(ghl, client, lead, key) {
+    const pipeline = this.pipelineFor(client);
+    const mapped = pipeline.stages[key];
+    if (!mapped) return { skipped: `No pipeline stage mapped for ${key}` };
+
+    const target = typeof mapped === 'string' ? { stage: mapped } : mapped;
+    const fields = lead.custom_fields || {};
+    if (this.isBackwards(pipeline, fields.ghl_opportunity_stage, key)) {
+      return { skipped: `Opportunity is already at ${fields.ghl_opportunity_stage}, not moving back to ${key}` };
+    }
+
+    const { pipelineId, stageId } = await this.resolveStage(ghl, pipeline.pipelineId, target.stage);
+    const contactId = await this.ensureContact(ghl, lead);
+    const stageFields = { pipelineId, pipelineStageId: stageId, status: target.status || 'open' };
+
+    let opportunityId = fields.ghl_opportunity_id || await this.findOpportunity(ghl, contactId, pipelineId);
+    if (opportunityId) {
+      await ghl.updateOpportunity(opportunityId, stageFields);
+    } else {
+      const created = await ghl.createOpportunity({
+        ...stageFields,
+        contactId,
+        name: [lead.name, fields.project_type].filter(Boolean).join(' - '),
+        source: lead.source || undefined
+      });
+      opportunityId = created?.id;
+    }
+
+    // ensureContact may have stored the contact id since `lead` was read
+    const current = await storage.leads.findById(lead.id, client.id);
+    await storage.leads.updateCustomFields(current || lead, {
+      ghl_opportunity_id: opportunityId,
+      ghl_opportunity_stage: key
+    });
+
+    console.log(`📈 GHL opportunity for lead ${lead.id} moved to ${target.stage} (${key})`);
+    return { contact_id: contactId, opportunity_id: opportunityId, stage: target.stage, key };
+  }
+
+  // An opportunity the contact already has in the pipeline, e.g. created in GHL
+  async findOpportunity(ghl, contactId, pipelineId) {
+    const opportunities = await ghl.searchOpportunities({ contactId, pipelineId });
+    const opportunity = opportunities.find(item => item.status === 'open') || opportunities[0];
+    return opportunity?.id || null;
+  }
+
+  // Pipeline and stage given by id or name -> { pipelineId, stageId }
+  async resolveStage(ghl, pipelineRef, stageRef) {
+    const matches = (item, ref) => item.id === ref || String(item.name || '').toLowerCase() === String(ref).toLowerCase();
+
+    for (const refresh of [false, true]) {
+      const pipelines = await this.loadPipelines(ghl, refresh);
+      const pipeline = pipelines.find(item => matches(item, pipelineRef));
+      const stage = (pipeline?.stages || []).find(item => matches(item, stageRef));
+
+      if (stage) return { pipelineId: pipeline.id, stageId: stage.id };
+      if (refresh) {
+        const missing = pipeline ? `Stage "${stageRef}" not found in pipeline ${pipeline.name}` : `Pipeline "${pipelineRef}" not found`;
+        throw Object.assign(new Error(missing), { retryable: false });
+      }
+    }
+  }
+
+  async loadPipelines(ghl, refresh = false) {
+    const cached = this.pipelineCache.get(ghl.locationId);
+    if (cached && !refresh && Date.now() - cached.fetchedAt < PIPELINE_CACHE_MS) return cached.pipelines;
+
+    const pipelines = await ghl.getPipelines();
+    this.pipelineCache.set(ghl.locationId, { pipelines, fetchedAt: Date.now() });
+    return pipelines;
+  }
+
+  callNote(call) {
+    const lines = [`AI call${call.direction ? ` (${call.direction})` : ''}: ${String(call.outcome || 'unknown').replace(/_/g, ' ')}`];
+    if (call.duration_seconds) {
+      lines.push(`Duration: ${Math.floor(call.duration_seconds / 60)}m ${call.duration_seconds % 60}s`);
+    }
+    if (call.summary) lines.push(`Summary: ${call.summary}`);
+    if (call.call_id) lines.push(`Call ID: ${call.call_id}`);
+    return lines.join('\n');
+  }
+}
+
+module.exports = GhlSync;
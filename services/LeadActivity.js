@@ -0,0 +1,178 @@
+const RetellService = require('./RetellService');
+const storage = require('../storage');
+
+// Callback queue statuses that close out a callback, with the timeline entry they produce
+const CALLBACK_CLOSING_EVENTS = {
+  completed: 'callback_completed',
+  cancelled: 'callback_cancelled',
+  missed: 'callback_missed',
+  failed: 'callback_failed'
+};
+
+// Records lead activity that isn't kept anywhere else (intake deliveries, Retell
+// custom functions) and merges every source into one chronological timeline.
+class LeadActivity {
+  constructor() {
+    this.retell = new RetellService();
+  }
+
+  // ================================
+  // RECORDING
+  // ================================
+
+  async recordIntake(lead, { created, source, idempotencyKey = null }) {
+    try {
+      await storage.leadEvents.record(lead, 'intake', {
+        name: source || null,
+        summary: created ? `Lead received from ${source || 'intake'}` : `Lead updated from ${source || 'intake'}`,
+        data: { created, idempotency_key: idempotencyKey }
+      });
+    } catch (error) {
+      console.error('⚠️ Failed to record intake event:', error.message);
+    }
+  }
+
+  // A Retell custom function invoked mid-call, recorded against the lead the call belongs to
+  async recordFunctionCall(client, name, call, args) {
+    try {
+      const lead = await storage.leads.findByCallReference(client.id, this.retell.leadReference(call));
+      if (!lead) return;
+
+      await storage.leadEvents.record(lead, 'function_call', {
+        name,
+        summary: `Agent called ${name}`,
+        data: { call_id: call?.call_id || null, args: args || {} }
+      });
+    } catch (error) {
+      console.error(`⚠️ Failed to record ${name} for the lead timeline:`, error.message);
+    }
+  }
+
+  // Express middleware for the Retell function routes (/webhook/<function>/:client).
+  // Recording runs in the background so the agent's reply isn't delayed.
+  functionCallMiddleware() {
+    return (req, res, next) => {
+      const name = req.path.split('/')[2].replace(/-/g, '_');
+      this.recordFunctionCall(req.client, name, req.body?.call, req.body?.args);
+      next();
+    };
+  }
+
+  // ================================
+  // TIMELINE
+  // ================================
+
+  // Every entry is { time, type, summary, details, source: { table, id } }, oldest first
+  async timeline(lead) {
+    const [events, calls, callbacks, appointments, reminders] = await Promise.all([
+      storage.leadEvents.listByLead(lead.id),
+      storage.callHistory.listByLead(lead.id),
+      storage.callbackQueue.listByLead(lead.id),
+      storage.appointments.listByLead(lead.id),
+      storage.appointmentReminders.listByLead(lead.id)
+    ]);
+
+    const entries = [
+      this.entry(lead.created_at, 'lead_created', `Lead created (${lead.source || 'unknown source'})`, {
+        name: lead.name,
+        phone: lead.phone,
+        project_type: lead.custom_fields?.project_type || null
+      }, 'leads', lead.id)
+    ];
+
+    events.forEach(event => {
+      entries.push(this.entry(event.created_at, event.type, event.summary, {
+        name: event.name,
+        ...(event.data || {})
+      }, 'lead_events', event.id));
+    });
+
+    calls.forEach(call => {
+      entries.push(this.entry(call.call_time, 'call', `Call attempt ${call.attempt_number || 1}: ${call.outcome}`, {
+        outcome: call.outcome,
+        duration: call.duration,
+        notes: call.notes || null
+      }, 'call_history', call.id));
+    });
+
+    callbacks.forEach(callback => {
+      entries.push(this.entry(callback.created_at, 'callback_scheduled', `Callback scheduled for ${callback.scheduled_time}`, {
+        scheduled_time: callback.scheduled_time,
+        attempt_type: callback.attempt_type || null,
+        predicted_score: callback.predicted_score ?? null
+      }, 'callback_queue', callback.id));
+
+      if (callback.started_at) {
+        entries.push(this.entry(callback.started_at, 'callback_dialed', 'Callback dialed', {
+          scheduled_time: callback.scheduled_time
+        }, 'callback_queue', callback.id));
+      }
+
+      const closingType = CALLBACK_CLOSING_EVENTS[callback.status];
+      if (closingType) {
+        entries.push(this.entry(callback.completed_at || callback.scheduled_time, closingType, `Callback ${callback.status}`, {
+          scheduled_time: callback.scheduled_time,
+          outcome: callback.actual_outcome || null,
+          reason: callback.error || null
+        }, 'callback_queue', callback.id));
+      }
+    });
+
+    appointments.forEach(appointment => {
+      entries.push(this.entry(appointment.created_at, 'appointment_booked', `Appointment booked for ${appointment.start_time}`, {
+        start_time: appointment.start_time,
+        end_time: appointment.end_time,
+        provider: appointment.provider,
+        address: appointment.address || null
+      }, 'appointments', appointment.id));
+
+      if (appointment.rescheduled_at) {
+        entries.push(this.entry(appointment.rescheduled_at, 'appointment_rescheduled', `Appointment moved to ${appointment.start_time}`, {
+          start_time: appointment.start_time,
+          previous_start_time: appointment.previous_start_time || null
+        }, 'appointments', appointment.id));
+      }
+
+      if (appointment.cancelled_at) {
+        entries.push(this.entry(appointment.cancelled_at, 'appointment_cancelled', 'Appointment cancelled', {
+          start_time: appointment.start_time,
+          reason: appointment.cancel_reason || null
+        }, 'appointments', appointment.id));
+      }
+    });
+
+    reminders.forEach(reminder => {
+      const label = `Reminder call (${reminder.offset_hours}h before)`;
+
+      entries.push(this.entry(reminder.created_at, 'reminder_scheduled', `${label} scheduled for ${reminder.scheduled_time}`, {
+        appointment_id: reminder.appointment_id,
+        scheduled_time: reminder.scheduled_time
+      }, 'appointment_reminders', reminder.id));
+
+      if (reminder.completed_at) {
+        entries.push(this.entry(reminder.completed_at, `reminder_${reminder.status}`, `${label} ${reminder.status}`, {
+          appointment_id: reminder.appointment_id,
+          outcome: reminder.call_outcome || null,
+          reason: reminder.error || null
+        }, 'appointment_reminders', reminder.id));
+      }
+
+      if (reminder.responded_at) {
+        entries.push(this.entry(reminder.responded_at, 'reminder_response', `Reminder response: ${reminder.response}`, {
+          appointment_id: reminder.appointment_id,
+          response: reminder.response
+        }, 'appointment_reminders', reminder.id));
+      }
+    });
+
+    return entries
+      .filter(entry => entry.time)
+      .sort((a, b) => new Date(a.time) - new Date(b.time));
+  }
+
+  entry(time, type, summary, details, table, id) {
+    return { time, type, summary, details, source: { table, id } };
+  }
+}
+
+module.exports = LeadActivity;
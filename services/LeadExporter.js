@@ -0,0 +1,95 @@
+const storage = require('../storage');
+
+const BATCH_SIZE = 200;
+
+// Export columns, in CSV order
+const COLUMNS = [
+  'id', 'uuid', 'name', 'phone', 'email', 'status', 'source', 'project_type', 'full_address', 'timezone',
+  'created_at', 'call_attempts', 'last_call_time', 'last_call_outcome', 'last_call_duration',
+  'appointment_time', 'appointment_status', 'disposition', 'disposition_reason', 'disposition_at'
+];
+
+// Flattened lead rows for reporting: each lead with its call attempts, latest call
+// outcome, appointment and disposition. Leads are read in keyset pages so exports of
+// any size run in constant memory.
+class LeadExporter {
+  // Yields arrays of export rows; `where` uses the same filters as LeadRepository.listPage
+  async *batches(clientId, where = {}) {
+    let cursor = null;
+
+    do {
+      const page = await storage.leads.listPage(clientId, {
+        where,
+        sort: 'created_at',
+        ascending: true,
+        cursor,
+        limit: BATCH_SIZE
+      });
+
+      if (page.rows.length) {
+        yield await this.buildRows(page.rows);
+      }
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  async buildRows(leads) {
+    const leadIds = leads.map(lead => lead.id);
+    const [calls, appointments] = await Promise.all([
+      storage.callHistory.listByLeads(leadIds),
+      storage.appointments.listByLeads(leadIds)
+    ]);
+
+    const callsByLead = groupBy(calls, 'lead_id');
+    const appointmentsByLead = groupBy(appointments, 'lead_id');
+
+    return leads.map(lead => {
+      const fields = lead.custom_fields || {};
+      const leadCalls = callsByLead.get(String(lead.id)) || [];
+      const lastCall = leadCalls[0];
+      const appointment = this.reportedAppointment(appointmentsByLead.get(String(lead.id)) || []);
+
+      return {
+        id: lead.id,
+        uuid: fields.uuid || null,
+        name: lead.name,
+        phone: lead.phone,
+        email: lead.email || null,
+        status: lead.status,
+        source: lead.source || null,
+        project_type: fields.project_type || null,
+        full_address: fields.full_address || null,
+        timezone: fields.timezone || null,
+        created_at: lead.created_at,
+        call_attempts: leadCalls.length,
+        last_call_time: lastCall?.call_time || null,
+        last_call_outcome: lastCall?.outcome || null,
+        last_call_duration: lastCall?.duration ?? null,
+        appointment_time: appointment?.start_time || lead.appointment_time || null,
+        appointment_status: appointment?.status || null,
+        disposition: fields.disposition || null,
+        disposition_reason: fields.disposition_reason || null,
+        disposition_at: fields.disposition_at || null
+      };
+    });
+  }
+
+  // The booked appointment if there is one, otherwise the most recent of any status
+  reportedAppointment(appointments) {
+    return appointments.find(appointment => appointment.status === 'booked') || appointments[0] || null;
+  }
+}
+
+function groupBy(rows, column) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = String(row[column]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+}
+
+LeadExporter.COLUMNS = COLUMNS;
+
+module.exports = LeadExporter;
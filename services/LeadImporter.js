@@ -0,0 +1,270 @@
+const { parseCsv } = require('../utils/csv');
+const complianceConfig = require('../config/compliance');
+const storage = require('../storage');
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+const DEFAULT_CALLS_PER_MINUTE = parseFloat(process.env.IMPORT_CALLS_PER_MINUTE) || 2;
+
+// Lead fields a CSV column can be mapped to, with the headers recognized
+// automatically (compared lowercase with spaces, dashes and underscores removed)
+const FIELD_ALIASES = {
+  name: ['name', 'fullname', 'contactname', 'customername'],
+  first_name: ['firstname', 'first', 'fname', 'givenname'],
+  last_name: ['lastname', 'last', 'lname', 'surname', 'familyname'],
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilephone', 'cell', 'cellphone', 'telephone', 'primaryphone'],
+  email: ['email', 'emailaddress', 'mail'],
+  full_address: ['fulladdress', 'address', 'streetaddress', 'homeaddress', 'propertyaddress'],
+  postal_code: ['postalcode', 'zip', 'zipcode', 'postcode'],
+  project_type: ['projecttype', 'project', 'service', 'servicetype', 'estimatetype'],
+  project_notes: ['projectnotes', 'notes', 'comments', 'description'],
+  timezone: ['timezone', 'tz'],
+  source: ['source', 'leadsource'],
+  ghl_contact_id: ['ghlcontactid', 'contactid']
+};
+
+function headerKey(header) {
+  return String(header || '').toLowerCase().replace(/[\s_\-.]/g, '');
+}
+
+// Bulk lead import from a CSV file. Every row goes through LeadProcessor like a
+// single intake delivery: normalization, dedupe against existing leads, timezone
+// resolution. Calls for imported leads are queued on the callback queue at a fixed
+// pace so the dispatcher places them gradually instead of all at once.
+class LeadImporter {
+  constructor({ leadProcessor, leadActivity, callbackDispatcher, eventBus }) {
+    this.leadProcessor = leadProcessor;
+    this.leadActivity = leadActivity;
+    this.callbackDispatcher = callbackDispatcher;
+    this.eventBus = eventBus;
+  }
+
+  // Options:
+  //   mapping          { field: 'CSV header' }, overrides the automatic header detection
+  //   source           lead source for new leads (a "source" column wins), default csv_import
+  //   updateExisting   update leads that already exist instead of reporting them as duplicates
+  //   enqueueCalls     queue an AI call for each imported lead
+  //   callsPerMinute   pacing of those calls (IMPORT_CALLS_PER_MINUTE, default 2)
+  //   startAt          when the first call may be placed (default now)
+  //   dryRun           validate and report without writing anything
+  async importCsv(client, text, options = {}) {
+    const [header, ...dataRows] = parseCsv(text);
+    if (!header) {
+      return { success: false, error: 'The CSV is empty' };
+    }
+    if (dataRows.length > MAX_ROWS) {
+      return { success: false, error: `Too many rows (${dataRows.length}); the limit is ${MAX_ROWS} per import` };
+    }
+
+    const columns = this.resolveColumns(header, options.mapping);
+    if (columns.error) {
+      return { success: false, error: columns.error };
+    }
+
+    const summary = {
+      success: true,
+      dry_run: Boolean(options.dryRun),
+      total: dataRows.length,
+      created: 0,
+      updated: 0,
+      duplicates: 0,
+      failed: 0,
+      calls_queued: 0,
+      columns: columns.mapping,
+      errors: [],
+      rows: []
+    };
+
+    const pacer = this.callPacer(options);
+    const seenPhones = new Set();
+
+    for (let index = 0; index < dataRows.length; index++) {
+      // Line 1 is the header
+      const rowNumber = index + 2;
+      const result = await this.importRow(client, this.readRow(dataRows[index], columns.indexes), options, seenPhones, pacer);
+
+      summary.rows.push({ row: rowNumber, ...result });
+
+      if (result.status === 'error') {
+        summary.failed++;
+        summary.errors.push({ row: rowNumber, error: result.error });
+      } else if (result.status === 'duplicate') {
+        summary.duplicates++;
+      } else {
+        summary[result.status]++;
+      }
+      if (result.call_scheduled_for) summary.calls_queued++;
+    }
+
+    console.log(`📥 CSV import for ${client.slug}: ${summary.created} created, ${summary.updated} updated, ` +
+      `${summary.duplicates} duplicates, ${summary.failed} failed, ${summary.calls_queued} calls queued${summary.dry_run ? ' (dry run)' : ''}`);
+
+    return summary;
+  }
+
+  // ================================
+  // COLUMNS
+  // ================================
+
+  // Returns { mapping: { field: header }, indexes: { field: columnIndex } } or { error }
+  resolveColumns(header, mapping = {}) {
+    const headers = header.map(cell => cell.trim());
+    const keys = headers.map(headerKey);
+    const indexes = {};
+
+    for (const [field, column] of Object.entries(mapping || {})) {
+      if (!FIELD_ALIASES[field]) {
+        return { error: `Unknown field in mapping: ${field} (expected one of ${Object.keys(FIELD_ALIASES).join(', ')})` };
+      }
+
+      const index = headers.findIndex(cell => cell === column);
+      const fallback = keys.indexOf(headerKey(column));
+      if (index === -1 && fallback === -1) {
+        return { error: `Column "${column}" mapped to ${field} is not in the CSV header` };
+      }
+      indexes[field] = index !== -1 ? index : fallback;
+    }
+
+    Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+      if (indexes[field] !== undefined) return;
+
+      const index = keys.findIndex(key => aliases.includes(key));
+      if (index !== -1 && !Object.values(indexes).includes(index)) indexes[field] = index;
+    });
+
+    if (indexes.phone === undefined) {
+      return { error: 'No phone column found; map one with mapping.phone' };
+    }
+
+    const resolved = {};
+    Object.entries(indexes).forEach(([field, index]) => { resolved[field] = headers[index]; });
+    return { mapping: resolved, indexes };
+  }
+
+  readRow(cells, indexes) {
+    const record = {};
+    Object.entries(indexes).forEach(([field, index]) => {
+      const value = (cells[index] || '').trim();
+      if (value) record[field] = value;
+    });
+    return record;
+  }
+
+  // ================================
+  // ROWS
+  // ================================
+
+  // Returns { status: created | updated | duplicate | error, lead_id, error, call_scheduled_for }
+  async importRow(client, record, options, seenPhones, pacer) {
+    try {
+      const phone = this.leadProcessor.formatPhone(record.phone);
+      if (!record.phone) return { status: 'error', error: 'phone is required' };
+      if (!phone) return { status: 'error', error: `Invalid phone number: ${record.phone}` };
+
+      if (record.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(record.email)) {
+        return { status: 'error', error: `Invalid email: ${record.email}` };
+      }
+
+      // Repeated rows in the same file count as duplicates of the first one
+      if (seenPhones.has(phone)) {
+        return { status: 'duplicate', error: 'Same phone number as an earlier row' };
+      }
+      seenPhones.add(phone);
+
+      const leadData = {
+        ...record,
+        name: record.name || [record.first_name, record.last_name].filter(Boolean).join(' ') || null,
+        phone,
+        source: record.source || options.source || 'csv_import'
+      };
+
+      const existing = await this.leadProcessor.findExistingLead(leadData, client.id);
+      if (existing && !options.updateExisting) {
+        return { status: 'duplicate', lead_id: existing.id };
+      }
+
+      if (existing) {
+        // updateLead replaces the intake fields; keep what a sparse row doesn't provide
+        const fields = existing.custom_fields || {};
+        ['project_type', 'project_notes', 'full_address'].forEach(field => {
+          if (!leadData[field]) leadData[field] = fields[field];
+        });
+      } else if (!leadData.name) {
+        leadData.name = 'Unknown';
+      }
+
+      const status = existing ? 'updated' : 'created';
+      if (options.dryRun) {
+        return { status, lead_id: existing?.id || null };
+      }
+
+      let lead = existing
+        ? await this.leadProcessor.updateLead(existing, leadData)
+        : await this.leadProcessor.createLead(leadData, client.id);
+
+      // createLead/updateLead only store the intake fields
+      const extraFields = {};
+      ['first_name', 'last_name', 'postal_code'].forEach(field => {
+        if (record[field]) extraFields[field] = record[field];
+      });
+      if (Object.keys(extraFields).length) {
+        lead = await storage.leads.updateCustomFields(lead, extraFields);
+      }
+
+      await this.leadActivity.recordIntake(lead, { created: !existing, source: 'csv_import' });
+      if (!existing && this.eventBus) this.eventBus.emit(client, 'lead.created', this.eventBus.leadPayload(lead));
+
+      const result = { status, lead_id: lead.id };
+      if (options.enqueueCalls) {
+        const queued = await this.enqueueCall(client, lead, pacer);
+        if (queued.scheduledFor) result.call_scheduled_for = queued.scheduledFor;
+        if (queued.skipped) result.call_skipped_reason = queued.skipped;
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ CSV import row failed:', error);
+      return { status: 'error', error: error.message };
+    }
+  }
+
+  // ================================
+  // CALL PACING
+  // ================================
+
+  // Hands out evenly spaced call times starting at options.startAt
+  callPacer(options) {
+    const perMinute = Math.max(parseFloat(options.callsPerMinute) || DEFAULT_CALLS_PER_MINUTE, 0.01);
+    const spacingMs = Math.round(60 * 1000 / perMinute);
+    const start = options.startAt ? new Date(options.startAt).getTime() : Date.now();
+    let next = Math.max(start, Date.now());
+
+    return () => {
+      const time = new Date(next).toISOString();
+      next += spacingMs;
+      return time;
+    };
+  }
+
+  async enqueueCall(client, lead, pacer) {
+    if (complianceConfig.optOutStatuses.includes(lead.status)) {
+      return { skipped: `Lead status is ${lead.status}` };
+    }
+
+    const recentContact = await this.leadProcessor.getRecentContactReason(lead);
+    if (recentContact) {
+      return { skipped: recentContact };
+    }
+
+    const scheduledFor = pacer();
+    const callback = await this.callbackDispatcher.enqueueCall(lead, client, scheduledFor, 'import');
+    if (!callback) {
+      return { skipped: 'Failed to queue the call' };
+    }
+
+    await this.leadProcessor.markCallQueued(lead);
+    return { scheduledFor };
+  }
+}
+
+LeadImporter.FIELDS = Object.keys(FIELD_ALIASES);
+
+module.exports = LeadImporter;
@@ -1,23 +1,31 @@
+const crypto = require('crypto');
 const moment = require('moment-timezone');
+const { formatPhone } = require('../utils/phone');
+const { resolveLeadTimezone } = require('../utils/timezone');
+const storage = require('../storage');
+
+// Don't queue another AI call for a lead contacted within this window
+const RECONTACT_WINDOW_HOURS = parseInt(process.env.INTAKE_RECONTACT_WINDOW_HOURS) || 24;
 
 class LeadProcessor {
   async processLead(leadData, clientId) {
     try {
       console.log(`📋 Processing lead: ${leadData.name}`);
-      
-      // Check for existing lead
-      const existingLead = await this.findExistingLead(leadData.phone, clientId);
-      
+
+      // Check for existing lead by phone, email or GHL contact
+      const existingLead = await this.findExistingLead(leadData, clientId);
+
       if (existingLead) {
-        console.log(`🔄 Updating existing lead: ${leadData.phone}`);
-        return await this.updateLead(existingLead.id, leadData);
+        console.log(`🔄 Updating existing lead: ID ${existingLead.id}`);
+        const lead = await this.updateLead(existingLead, leadData);
+        return { lead, created: false };
       }
 
       // Create new lead
       const lead = await this.createLead(leadData, clientId);
       console.log(`✅ New lead created: ${lead.name} - ID: ${lead.id}`);
-      
-      return lead;
+
+      return { lead, created: true };
 
     } catch (error) {
       console.error('❌ Lead processing failed:', error);
@@ -25,87 +33,177 @@ class LeadProcessor {
     }
   }
 
-  async findExistingLead(phone, clientId) {
-    if (!global.supabase) return null;
-    
-    const { data } = await global.supabase
-      .from('leads')
-      .select('*')
-      .eq('phone', phone)
-      .eq('client_id', clientId)
-      .single();
-    
-    return data;
+  // ================================
+  // DEDUPLICATION
+  // ================================
+
+  async findExistingLead(leadData, clientId) {
+    const phone = this.formatPhone(leadData.phone);
+    const email = this.normalizeEmail(leadData.email);
+    const ghlContactId = leadData.ghl_contact_id ? String(leadData.ghl_contact_id) : null;
+
+    // Strongest identifier first
+    const lookups = [];
+    if (ghlContactId) {
+      lookups.push({ 'custom_fields.original_ghl_contact_id': ghlContactId });
+      lookups.push({ 'custom_fields.ghl_contact_id': ghlContactId });
+    }
+    if (phone) {
+      // Older rows were stored with the raw phone string GHL sent
+      const phones = [...new Set([phone, leadData.phone].filter(Boolean))];
+      lookups.push({ phone: { in: phones } });
+    }
+    if (email) {
+      // Case-insensitive match on legacy rows; escape LIKE wildcards common in emails
+      lookups.push({ email: { ilike: email.replace(/[%_\\]/g, '\\$&') } });
+    }
+
+    for (const where of lookups) {
+      const lead = await storage.leads.findFirst(clientId, where);
+      if (lead) return lead;
+    }
+
+    return null;
   }
 
   async createLead(leadData, clientId) {
-    if (!global.supabase) {
-      // Return mock lead if no database
-      return {
-        id: Date.now(),
-        ...leadData,
+    const lead = {
+      client_id: clientId,
+      name: leadData.name,
+      phone: this.formatPhone(leadData.phone),
+      email: this.normalizeEmail(leadData.email),
+      source: leadData.source,
+      status: 'new',
+      custom_fields: {
+        original_ghl_contact_id: leadData.ghl_contact_id,
+        uuid: crypto.randomUUID(),
+        project_type: leadData.project_type,
+        project_notes: leadData.project_notes,
+        full_address: leadData.full_address,
+        postal_code: leadData.postal_code,
+        ...this.timezoneFields(leadData),
+        received_at: moment().tz('America/Los_Angeles').format()
+      }
+    };
+
+    return await storage.leads.create(lead);
+  }
+
+  async updateLead(existingLead, leadData) {
+    const updates = {
+      name: leadData.name || existingLead.name,
+      phone: this.formatPhone(leadData.phone) || existingLead.phone,
+      email: this.normalizeEmail(leadData.email) || existingLead.email,
+      custom_fields: {
+        ...existingLead.custom_fields,
+        original_ghl_contact_id: existingLead.custom_fields?.original_ghl_contact_id || leadData.ghl_contact_id,
+        project_type: leadData.project_type,
+        project_notes: leadData.project_notes,
+        full_address: leadData.full_address,
+        postal_code: leadData.postal_code || existingLead.custom_fields?.postal_code,
+        ...this.timezoneFields(leadData, existingLead.custom_fields),
+        last_update: moment().tz('America/Los_Angeles').format()
+      },
+      updated_at: new Date().toISOString()
+    };
+
+    return await storage.leads.update(existingLead.id, updates);
+  }
+
+  // Where the lead is, so callbacks and calling hours use their local time.
+  // Left unset when nothing identifies it; the client's timezone applies then.
+  timezoneFields(leadData, existingFields = {}) {
+    const { timezone, source } = resolveLeadTimezone({
+      timezone: leadData.timezone,
+      postal_code: leadData.postal_code,
+      full_address: leadData.full_address,
+      phone: leadData.phone,
+      custom_fields: existingFields
+    }, null);
+
+    if (!timezone) return {};
+    return { timezone, timezone_source: source === 'stored' ? existingFields.timezone_source : source };
+  }
+
+  // ================================
+  // DELIVERY IDEMPOTENCY
+  // ================================
+
+  // Claims a webhook delivery. Returns { duplicate: true, event } when the key was already seen.
+  async beginIntake(clientId, idempotencyKey, payload, source = 'ghl_bridge') {
+    try {
+      const { event, existing } = await storage.intakeEvents.createUnlessSeen({
         client_id: clientId,
-        status: 'new',
+        idempotency_key: idempotencyKey || null,
+        source,
+        status: 'processing',
+        payload,
         created_at: new Date().toISOString()
-      };
-    }
+      });
 
-    const { data, error } = await global.supabase
-      .from('leads')
-      .insert({
-        client_id: clientId,
-        name: leadData.name,
-        phone: this.formatPhone(leadData.phone),
-        email: leadData.email,
-        source: leadData.source,
-        status: 'new',
-        custom_fields: {
-          ghl_contact_id: leadData.ghl_contact_id,
-          received_at: moment().tz('America/Los_Angeles').format()
-        }
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
-    return data;
+      if (event) return { duplicate: false, event };
+
+      // A delivery that failed earlier may be retried
+      const reclaimed = await storage.intakeEvents.reclaimFailed(existing.id);
+      if (reclaimed) return { duplicate: false, event: reclaimed };
+
+      return { duplicate: true, event: existing };
+    } catch (error) {
+      console.error('⚠️ Failed to record intake event:', error);
+      return { duplicate: false, event: null };
+    }
   }
 
-  async updateLead(leadId, leadData) {
-    if (!global.supabase) return { id: leadId, ...leadData };
-
-    const { data, error } = await global.supabase
-      .from('leads')
-      .update({
-        email: leadData.email || null,
-        source: leadData.source,
-        custom_fields: {
-          ghl_contact_id: leadData.ghl_contact_id,
-          last_update: moment().tz('America/Los_Angeles').format()
-        },
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', leadId)
-      .select()
-      .single();
-
-    if (error) throw error;
-    return data;
+  async completeIntake(event, fields) {
+    if (!event) return;
+
+    try {
+      await storage.intakeEvents.update(event.id, { ...fields, completed_at: new Date().toISOString() });
+    } catch (error) {
+      console.error('⚠️ Failed to update intake event:', error);
+    }
   }
 
-  formatPhone(phone) {
-    // Ensure phone is in E.164 format
-    const cleaned = phone.replace(/\D/g, '');
-    
-    if (cleaned.length === 10) {
-      return `+1${cleaned}`;
+  // ================================
+  // RECONTACT WINDOW
+  // ================================
+
+  // Returns null when a call may be queued, otherwise the reason it should be skipped
+  async getRecentContactReason(lead) {
+    const cutoff = moment().subtract(RECONTACT_WINDOW_HOURS, 'hours');
+
+    const queuedAt = lead.custom_fields?.last_call_queued_at;
+    if (queuedAt && moment(queuedAt).isAfter(cutoff)) {
+      return `AI call already queued at ${queuedAt}`;
     }
-    
-    if (cleaned.length === 11 && cleaned.startsWith('1')) {
-      return `+${cleaned}`;
+
+    const [recentCall] = await storage.callHistory.listByLead(lead.id, { since: cutoff.toISOString(), limit: 1 });
+    if (recentCall) {
+      return `Lead already contacted at ${recentCall.call_time}`;
     }
-    
-    return phone;
+
+    return null;
+  }
+
+  async markCallQueued(lead) {
+    await storage.leads.updateCustomFields(lead, {
+      last_call_queued_at: new Date().toISOString()
+    });
+  }
+
+  // ================================
+  // NORMALIZATION
+  // ================================
+
+  formatPhone(phone) {
+    // Ensure phone is in E.164 format, null when it can't be interpreted
+    return formatPhone(phone);
+  }
+
+  normalizeEmail(email) {
+    if (!email) return null;
+    const normalized = String(email).trim().toLowerCase();
+    return normalized || null;
   }
 }
 
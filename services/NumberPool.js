@@ -0,0 +1,176 @@
+const moment = require('moment-timezone');
+const poolConfig = require('../config/numberPool');
+const { areaCodeForPhone, stateForPhone } = require('../utils/timezone');
+const { formatPhone } = require('../utils/phone');
+const storage = require('../storage');
+
+// Each client's caller IDs (`phone_numbers`). The dialer asks for the pool ranked
+// for a lead: numbers in the lead's area code first, then in the lead's state,
+// then the rest, each group least used today first so calls rotate across numbers.
+// Health is the answer rate over a number's latest ended calls; numbers that fall
+// below the retire threshold are most likely spam-flagged and leave the rotation.
+class NumberPool {
+  // Global defaults from config/numberPool.js with the client's `number_pool` overrides
+  settingsFor(client) {
+    const overrides = client?.number_pool || {};
+
+    return {
+      dailyCap: overrides.daily_cap ?? poolConfig.dailyCap,
+      healthWindow: overrides.health_window ?? poolConfig.health.window,
+      minCalls: overrides.health_min_calls ?? poolConfig.health.minCalls,
+      warnBelow: overrides.warn_below_answer_rate ?? poolConfig.health.warnBelow,
+      retireBelow: overrides.retire_below_answer_rate ?? poolConfig.health.retireBelow
+    };
+  }
+
+  dailyCapFor(client, number) {
+    return number.daily_cap ?? this.settingsFor(client).dailyCap;
+  }
+
+  // Start of the client's local day, for daily caps
+  dayStart(client) {
+    return moment.tz(client.business_hours.timezone).startOf('day').toISOString();
+  }
+
+  // Active numbers; a client without a pool dials from its from_number alone
+  async numbersFor(client) {
+    const numbers = await storage.phoneNumbers.listByClient(client.id);
+    if (numbers.length) return numbers.filter(number => number.status === 'active');
+
+    return client.from_number ? [{ number: client.from_number, status: 'active', fallback: true }] : [];
+  }
+
+  // Best caller IDs for the lead first. usedToday(number) -> calls placed today.
+  rank(lead, numbers, usedToday) {
+    const areaCode = areaCodeForPhone(lead.phone);
+    const state = stateForPhone(lead.phone);
+
+    const locality = number => {
+      if (areaCode && number.area_code === areaCode) return 0;
+      if (state && number.state === state) return 1;
+      return 2;
+    };
+
+    return numbers
+      .map(number => ({ number, locality: locality(number), used: usedToday(number) || 0 }))
+      .sort((a, b) => a.locality - b.locality
+        || a.used - b.used
+        || String(a.number.last_used_at || '').localeCompare(String(b.number.last_used_at || '')))
+      .map(({ number }) => number);
+  }
+
+  async markUsed(client, fromNumber) {
+    try {
+      await storage.phoneNumbers.updateWhere(
+        { client_id: client.id, number: fromNumber },
+        { last_used_at: new Date().toISOString() }
+      );
+    } catch (error) {
+      console.error(`❌ Failed to update last use of ${fromNumber}:`, error);
+    }
+  }
+
+  // ================================
+  // MANAGEMENT
+  // ================================
+
+  // { number, label, daily_cap }. Returns { error } or { number }.
+  async add(client, { number, label = null, daily_cap = null }) {
+    const formatted = formatPhone(number);
+    if (!formatted) return { error: 'number must be a valid phone number' };
+
+    const existing = await storage.phoneNumbers.findByNumber(client.id, formatted);
+    if (existing) return { error: `${formatted} is already in the pool`, existing };
+
+    const created = await storage.phoneNumbers.create({
+      client_id: client.id,
+      number: formatted,
+      area_code: areaCodeForPhone(formatted),
+      state: stateForPhone(formatted),
+      label,
+      daily_cap,
+      status: 'active',
+      health: 'unknown',
+      answer_rate: null,
+      health_calls: 0,
+      created_at: new Date().toISOString()
+    });
+
+    console.log(`📱 ${formatted} added to the ${client.slug} number pool`);
+    return { number: created };
+  }
+
+  // Putting a retired number back starts its health measurement over
+  async setStatus(number, status, reason = null) {
+    const now = new Date().toISOString();
+    const fields = { status, updated_at: now };
+
+    if (status === 'retired') {
+      Object.assign(fields, { retired_at: now, retired_reason: reason || 'Retired by hand' });
+    } else if (number.status === 'retired') {
+      Object.assign(fields, {
+        retired_at: null,
+        retired_reason: null,
+        health: 'unknown',
+        answer_rate: null,
+        health_calls: 0,
+        health_reset_at: now
+      });
+    }
+
+    return await storage.phoneNumbers.update(number.id, fields);
+  }
+
+  // ================================
+  // HEALTH
+  // ================================
+
+  // Retell's disconnection_reason on call_ended; null when it didn't say
+  isAnswered(call) {
+    if (!call?.disconnection_reason) return null;
+    return !poolConfig.unansweredReasons.includes(call.disconnection_reason);
+  }
+
+  // Recomputes the answer rate of the number after one of its calls ended. Never throws.
+  async recordOutcome(client, fromNumber) {
+    try {
+      const number = await storage.phoneNumbers.findByNumber(client.id, fromNumber);
+      if (!number) return null;
+
+      const settings = this.settingsFor(client);
+      const calls = await storage.dialQueue.listAnsweredKnown(client.id, fromNumber, {
+        since: number.health_reset_at,
+        limit: settings.healthWindow
+      });
+
+      const answered = calls.filter(call => call.answered).length;
+      const answerRate = calls.length ? answered / calls.length : null;
+      const fields = {
+        answer_rate: answerRate === null ? null : Math.round(answerRate * 1000) / 1000,
+        health_calls: calls.length,
+        health_checked_at: new Date().toISOString(),
+        health: this.healthFor(answerRate, calls.length, settings)
+      };
+
+      if (fields.health === 'flagged' && number.status === 'active') {
+        const reason = `Answer rate ${Math.round(answerRate * 100)}% over the last ${calls.length} calls`;
+        Object.assign(fields, { status: 'retired', retired_at: fields.health_checked_at, retired_reason: reason });
+        console.warn(`🚫 Caller ID ${fromNumber} retired for ${client.slug}: ${reason}`);
+      }
+
+      return await storage.phoneNumbers.update(number.id, fields);
+    } catch (error) {
+      console.error(`❌ Failed to update health of ${fromNumber}:`, error);
+      return null;
+    }
+  }
+
+  healthFor(answerRate, calls, settings) {
+    if (answerRate === null || calls < settings.minCalls) return 'unknown';
+    if (answerRate < settings.retireBelow) return 'flagged';
+    if (answerRate < settings.warnBelow) return 'degraded';
+    return 'healthy';
+  }
+}
+
+module.exports = NumberPool;
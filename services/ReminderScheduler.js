@@ -0,0 +1,317 @@
+const moment = require('moment-timezone');
+const Dialer = require('./Dialer');
+const reminderConfig = require('../config/reminders');
+const storage = require('../storage');
+
+// What the homeowner said on a reminder call
+const RESPONSES = {
+  CONFIRMED: 'confirmed',
+  RESCHEDULE: 'reschedule',
+  CANCEL: 'cancel'
+};
+
+// Confirmation calls before each booked appointment. Reminders are rows in
+// `appointment_reminders`, created when the appointment is booked and handed
+// to the dialer by this scheduler with the client's reminder agent.
+class ReminderScheduler {
+  constructor(clientRegistry, options = {}) {
+    this.clientRegistry = clientRegistry;
+    this.dialer = options.dialer || new Dialer(clientRegistry, { callOrchestrator: options.callOrchestrator });
+    this.dialer.registerSource('reminder', (entry, callResult) => this.handleDialResult(entry, callResult));
+    this.intervalMs = options.intervalMs || parseInt(process.env.REMINDER_DISPATCH_INTERVAL_MS) || 60 * 1000;
+    this.batchSize = options.batchSize || 10;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Global defaults from config/reminders.js with the client's `reminders` overrides
+  settingsFor(client) {
+    const overrides = client?.reminders || {};
+
+    return {
+      enabled: overrides.enabled ?? reminderConfig.enabled,
+      offsetsHours: overrides.offsets_hours || reminderConfig.offsetsHours,
+      agentId: overrides.agent_id || reminderConfig.agentId,
+      minLeadTimeMinutes: overrides.min_lead_time_minutes ?? reminderConfig.minLeadTimeMinutes
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    console.log(`🔔 Reminder scheduler started (every ${Math.round(this.intervalMs / 1000)}s)`);
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.running) return { dispatched: 0 };
+    this.running = true;
+
+    try {
+      const reminders = await this.claimDueReminders();
+      let dispatched = 0;
+
+      for (const reminder of reminders) {
+        const result = await this.dispatchReminder(reminder);
+        if (result.success) dispatched++;
+      }
+
+      if (reminders.length > 0) {
+        console.log(`🔔 Reminder scheduler: ${dispatched}/${reminders.length} calls handed to the dialer`);
+      }
+
+      return { claimed: reminders.length, dispatched };
+    } catch (error) {
+      console.error('❌ Reminder scheduler tick failed:', error);
+      return { dispatched: 0, error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // ================================
+  // SCHEDULING
+  // ================================
+
+  // One reminder per configured offset that is still in the future
+  async scheduleForAppointment(client, appointment) {
+    const settings = this.settingsFor(client);
+    if (!settings.enabled || !appointment) return [];
+
+    try {
+      const start = moment(appointment.start_time);
+      const now = moment();
+      const created = [];
+
+      for (const offsetHours of settings.offsetsHours) {
+        const scheduledTime = start.clone().subtract(offsetHours, 'hours');
+        if (!scheduledTime.isAfter(now)) continue;
+
+        created.push(await storage.appointmentReminders.create({
+          client_id: client.id,
+          lead_id: appointment.lead_id,
+          appointment_id: appointment.id,
+          offset_hours: offsetHours,
+          scheduled_time: scheduledTime.toISOString(),
+          status: 'scheduled',
+          created_at: new Date().toISOString()
+        }));
+      }
+
+      if (created.length) {
+        console.log(`🔔 ${created.length} reminder call(s) scheduled for appointment ${appointment.id}`);
+      }
+      return created;
+    } catch (error) {
+      console.error(`❌ Failed to schedule reminders for appointment ${appointment.id}:`, error);
+      return [];
+    }
+  }
+
+  async rescheduleForAppointment(client, appointment) {
+    await this.cancelForAppointment(appointment.id, 'Appointment rescheduled');
+    return await this.scheduleForAppointment(client, appointment);
+  }
+
+  async cancelForAppointment(appointmentId, reason) {
+    try {
+      await storage.appointmentReminders.cancelPendingForAppointment(appointmentId, reason);
+      // Reminders already waiting in the dial queue are closed by handleDialResult
+      await this.dialer.cancelWhere({ source: 'reminder', 'metadata.appointment_id': appointmentId }, reason);
+    } catch (error) {
+      console.error(`❌ Failed to cancel reminders for appointment ${appointmentId}:`, error);
+    }
+  }
+
+  // ================================
+  // DISPATCHING
+  // ================================
+
+  async claimDueReminders() {
+    const due = await storage.appointmentReminders.listDue(new Date().toISOString(), this.batchSize);
+
+    const claimed = [];
+    for (const reminder of due) {
+      const claimedReminder = await storage.appointmentReminders.claim(reminder.id);
+      if (claimedReminder) {
+        claimed.push(claimedReminder);
+      }
+    }
+
+    return claimed;
+  }
+
+  async dispatchReminder(reminder) {
+    try {
+      const appointment = await storage.appointments.findById(reminder.appointment_id);
+      if (!appointment || appointment.status !== 'booked') {
+        await this.closeReminder(reminder.id, 'cancelled', 'Appointment is no longer booked');
+        return { success: false };
+      }
+
+      const start = moment(appointment.start_time);
+      if (!start.isAfter(moment())) {
+        await this.closeReminder(reminder.id, 'skipped', 'Appointment already started');
+        return { success: false };
+      }
+
+      const lead = await storage.leads.findById(reminder.lead_id);
+      const client = await this.clientRegistry.getClientById(reminder.client_id);
+      if (!lead || !client) {
+        await this.closeReminder(reminder.id, 'failed', lead ? `Unknown client ${reminder.client_id}` : 'Lead not found');
+        return { success: false };
+      }
+
+      const settings = this.settingsFor(client);
+      if (!settings.agentId) {
+        await this.closeReminder(reminder.id, 'failed', 'No reminder agent configured (RETELL_REMINDER_AGENT_ID)');
+        return { success: false };
+      }
+
+      console.log(`🔔 Queueing reminder call ${reminder.id} for appointment ${appointment.id} (${lead.name})`);
+
+      const localStart = start.clone().tz(client.business_hours.timezone);
+      const entry = await this.dialer.enqueue(client, lead, {
+        source: 'reminder',
+        referenceId: reminder.id,
+        agentId: settings.agentId,
+        metadata: {
+          call_type: 'appointment_reminder',
+          attempt_type: 'appointment_reminder',
+          reminder_id: reminder.id,
+          appointment_id: appointment.id,
+          appointment_start: appointment.start_time,
+          appointment_time: localStart.format('dddd, MMMM D [at] h:mm A'),
+          appointment_address: appointment.address || lead.custom_fields?.full_address || ''
+        }
+      });
+
+      if (!entry) {
+        await this.closeReminder(reminder.id, 'failed', 'Failed to queue the call with the dialer');
+        return { success: false };
+      }
+
+      return { success: true, dial_queue_id: entry.id };
+    } catch (error) {
+      console.error(`❌ Failed to dispatch reminder ${reminder.id}:`, error);
+      await this.closeReminder(reminder.id, 'failed', error.message);
+      return { success: false };
+    }
+  }
+
+  // Result of the dialer's attempt for one of our entries
+  async handleDialResult(entry, callResult) {
+    const reminderId = entry.reference_id;
+
+    if (callResult.success) {
+      await storage.appointmentReminders.update(reminderId, { retell_call_id: callResult.call_id });
+      return;
+    }
+
+    if (callResult.cancelled) {
+      await this.closeReminder(reminderId, 'cancelled', callResult.error);
+      return;
+    }
+
+    if (callResult.blocked) {
+      const [reminder, appointment, client] = await Promise.all([
+        storage.appointmentReminders.findById(reminderId),
+        storage.appointments.findById(entry.metadata?.appointment_id),
+        this.clientRegistry.getClientById(entry.client_id)
+      ]);
+      if (reminder && appointment && client) {
+        await this.handleBlockedReminder(reminder, callResult, moment(appointment.start_time), this.settingsFor(client));
+        return;
+      }
+    }
+
+    const message = typeof callResult.error === 'string' ? callResult.error : JSON.stringify(callResult.error);
+    await this.closeReminder(reminderId, callResult.blocked ? 'skipped' : 'failed', callResult.reason || message);
+  }
+
+  // Calling hours often push a 2-hour reminder past the appointment itself; only
+  // retry when the next permitted time still leaves enough notice
+  async handleBlockedReminder(reminder, callResult, start, settings) {
+    const latest = start.clone().subtract(settings.minLeadTimeMinutes, 'minutes');
+
+    if (callResult.retryAt && moment(callResult.retryAt).isSameOrBefore(latest)) {
+      await storage.appointmentReminders.update(reminder.id, {
+        status: 'scheduled',
+        scheduled_time: callResult.retryAt,
+        started_at: null,
+        error: callResult.reason
+      });
+      console.log(`⏭️ Reminder ${reminder.id} moved to ${callResult.retryAt}: ${callResult.reason}`);
+      return;
+    }
+
+    await this.closeReminder(reminder.id, 'skipped', callResult.reason);
+  }
+
+  async closeReminder(reminderId, status, error = null) {
+    if (status === 'failed') console.error(`❌ Reminder ${reminderId} failed: ${error}`);
+
+    try {
+      await storage.appointmentReminders.update(reminderId, {
+        status,
+        error,
+        completed_at: new Date().toISOString()
+      });
+    } catch (updateError) {
+      console.error(`❌ Failed to update reminder ${reminderId}:`, updateError);
+    }
+  }
+
+  // ================================
+  // RESULT HANDLING
+  // ================================
+
+  // Called from the Retell webhook once a reminder call has been analyzed
+  async completeReminder(reminderId, outcome) {
+    if (!reminderId) return;
+
+    await storage.appointmentReminders.update(reminderId, {
+      status: 'completed',
+      call_outcome: outcome,
+      completed_at: new Date().toISOString()
+    });
+  }
+
+  // The homeowner's answer, recorded on the reminder that prompted it (if any)
+  async recordResponse(call, response) {
+    const reminderId = call?.metadata?.reminder_id;
+    if (!reminderId) return;
+
+    try {
+      await storage.appointmentReminders.update(reminderId, {
+        response,
+        responded_at: new Date().toISOString()
+      });
+      console.log(`🔔 Reminder ${reminderId} response: ${response}`);
+    } catch (error) {
+      console.error(`❌ Failed to record reminder response for ${reminderId}:`, error);
+    }
+  }
+
+  async confirmAppointment(lead, appointment, call) {
+    const confirmedAt = new Date().toISOString();
+
+    await storage.appointments.update(appointment.id, {
+      confirmation_status: RESPONSES.CONFIRMED,
+      confirmed_at: confirmedAt
+    });
+    await storage.leads.updateCustomFields(lead, { appointment_confirmed_at: confirmedAt });
+    await this.recordResponse(call, RESPONSES.CONFIRMED);
+  }
+}
+
+ReminderScheduler.RESPONSES = RESPONSES;
+
+module.exports = ReminderScheduler;
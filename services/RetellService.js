@@ -1,10 +1,13 @@
 const axios = require('axios');
+const CallOutcomeClassifier = require('./CallOutcomeClassifier');
+const { formatPhone } = require('../utils/phone');
 
 class RetellService {
   constructor() {
     this.apiKey = process.env.RETELL_API_KEY;
     this.agentId = process.env.RETELL_AGENT_ID;
     this.baseURL = 'https://api.retellai.com/v2';
+    this.outcomeClassifier = new CallOutcomeClassifier();
   }
 
   async initiateCall(callData) {
@@ -14,7 +17,7 @@ class RetellService {
       const response = await axios.post(`${this.baseURL}/create-phone-call`, {
         from_number: callData.from_number,
         to_number: callData.customer_number,
-        agent_id: this.agentId,
+        agent_id: callData.agent_id || this.agentId,
         metadata: callData.metadata || {}
       }, {
         headers: {
@@ -32,22 +35,36 @@ class RetellService {
     }
   }
 
-  extractOutcome(callAnalysis) {
-    if (!callAnalysis?.summary) return 'no_answer';
-    
-    const summary = callAnalysis.summary.toLowerCase();
-    
-    if (summary.includes('appointment') || summary.includes('scheduled') || summary.includes('booked')) {
-      return 'booked';
-    }
-    if (summary.includes('not interested') || summary.includes('no thank you')) {
-      return 'dead';
-    }
-    if (summary.includes('call back') || summary.includes('later')) {
-      return 'follow_up';
-    }
-    
-    return 'follow_up';
+  // Webhooks arrive as { event, call } (current API) or as a flat call with event_type (legacy)
+  parseWebhookEvent(body = {}) {
+    const call = body.call || body;
+
+    return {
+      event: body.event || body.event_type,
+      call,
+      callId: call.call_id,
+      metadata: call.metadata || {},
+      summary: call.call_analysis?.call_summary || call.call_analysis?.summary || '',
+      durationSeconds: call.duration_ms
+        ? Math.round(call.duration_ms / 1000)
+        : (call.call_duration || 0)
+    };
+  }
+
+  // Identifies the lead a call belongs to: outbound calls carry the lead uuid in
+  // metadata, inbound callers can only be matched by the number they call from
+  leadReference(call = {}) {
+    const number = call.direction === 'inbound' ? call.from_number : call.to_number;
+
+    return {
+      uuid: call.metadata?.uuid || null,
+      phone: formatPhone(number || call.metadata?.phone)
+    };
+  }
+
+  // Returns { outcome, reason } using the canonical outcome taxonomy
+  extractOutcome(call) {
+    return this.outcomeClassifier.classify(call);
   }
 }
 
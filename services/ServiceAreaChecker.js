@@ -0,0 +1,179 @@
+const { createGeocoder } = require('./geocoders');
+const { normalizeCity, parseAddress } = require('../utils/address');
+
+const STATUSES = {
+  IN_AREA: 'in_area',
+  OUT_OF_AREA: 'out_of_area',
+  NEEDS_REVIEW: 'needs_review'
+};
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Decides whether an address is inside a client's service area. The area is the
+// client's `service_area` record, any combination of:
+//
+//   states:       ['NV']                       anything outside these is out of area
+//   zips:         ['89101', '89102']           exact ZIP codes
+//   zip_patterns: ['891\\d{2}']                ZIP regexes
+//   cities:       ['las vegas', 'henderson']
+//   radius:       { center: { lat, lng }, miles: 30 }   (or an array of them)
+//   polygons:     GeoJSON Polygon / MultiPolygon / Feature / FeatureCollection (or an array)
+//
+// ZIP and city lists are checked first; radius and polygon rules geocode the address.
+// Every result is { status, reason, rule, address, location }.
+class ServiceAreaChecker {
+  constructor(options = {}) {
+    this.geocoder = options.geocoder || createGeocoder();
+  }
+
+  async check(client, rawAddress) {
+    const area = client?.service_area || {};
+    const address = parseAddress(rawAddress);
+    const result = (status, reason, rule = null, location = null) => ({ status, reason, rule, address, location });
+
+    const geoRules = this.geoRules(area);
+    const hasListRules = ['zips', 'zip_patterns', 'cities'].some(key => (area[key] || []).length > 0);
+    if (!hasListRules && !geoRules.length) {
+      return result(STATUSES.NEEDS_REVIEW, 'No service area is configured for this client');
+    }
+
+    if (!address.zip && !address.city && !address.street) {
+      return result(STATUSES.NEEDS_REVIEW, 'No address was given');
+    }
+
+    const states = (area.states || []).map(state => state.toUpperCase());
+    if (address.state && states.length && !states.includes(address.state)) {
+      return result(STATUSES.OUT_OF_AREA, `${address.state} is outside the states served (${states.join(', ')})`, 'state');
+    }
+
+    if (address.zip && this.matchesZip(area, address.zip)) {
+      return result(STATUSES.IN_AREA, `ZIP ${address.zip} is in the service area`, 'zip');
+    }
+
+    const city = this.matchCity(area, address);
+    if (city) {
+      return result(STATUSES.IN_AREA, `${city} is in the service area`, 'city');
+    }
+
+    if (geoRules.length) {
+      return await this.checkLocation(address, geoRules, result);
+    }
+
+    if (address.zip || address.city) {
+      const place = [address.city, address.zip && `ZIP ${address.zip}`].filter(Boolean).join(', ');
+      return result(STATUSES.OUT_OF_AREA, `${place} is not in the service area`, hasZipRules(area) ? 'zip' : 'city');
+    }
+
+    return result(STATUSES.NEEDS_REVIEW, 'Could not find a city or ZIP code in the address');
+  }
+
+  async checkLocation(address, geoRules, result) {
+    let location;
+    try {
+      location = await this.geocoder.geocode(address);
+    } catch (error) {
+      console.error('⚠️ Geocoding failed:', error.message);
+      return result(STATUSES.NEEDS_REVIEW, 'The address could not be geocoded right now');
+    }
+
+    if (!location) {
+      return result(STATUSES.NEEDS_REVIEW, 'Could not locate the address on the map');
+    }
+
+    const distances = [];
+    for (const rule of geoRules) {
+      if (rule.type === 'polygon') {
+        if (pointInGeometry([location.lng, location.lat], rule.geometry)) {
+          return result(STATUSES.IN_AREA, `Located inside ${rule.name || 'a service polygon'}`, 'polygon', location);
+        }
+        continue;
+      }
+
+      const distance = distanceMiles(location, rule.center);
+      if (distance <= rule.miles) {
+        return result(STATUSES.IN_AREA, `${distance.toFixed(1)} miles from the service center (limit ${rule.miles})`, 'radius', location);
+      }
+      distances.push(`${distance.toFixed(1)} miles from the service center (limit ${rule.miles})`);
+    }
+
+    const reason = distances.length ? distances[0] : 'Located outside every service polygon';
+    return result(STATUSES.OUT_OF_AREA, reason, distances.length ? 'radius' : 'polygon', location);
+  }
+
+  matchesZip(area, zip) {
+    if ((area.zips || []).map(String).includes(zip)) return true;
+    return (area.zip_patterns || []).some(pattern => new RegExp(`^(?:${pattern})$`).test(zip));
+  }
+
+  // Match the parsed city exactly; without one, look for a configured city as whole words
+  matchCity(area, address) {
+    const cities = (area.cities || []).map(normalizeCity);
+
+    if (address.city) {
+      const city = normalizeCity(address.city);
+      return cities.includes(city) ? address.city : null;
+    }
+
+    const text = ` ${normalizeCity(address.text)} `;
+    return cities.find(city => text.includes(` ${city} `)) || null;
+  }
+
+  // Radius and polygon rules normalized to { type, ... }
+  geoRules(area) {
+    const radii = [].concat(area.radius || [])
+      .filter(rule => rule.center && rule.miles > 0)
+      .map(rule => ({ type: 'radius', center: rule.center, miles: Number(rule.miles) }));
+
+    const polygons = [].concat(area.polygons || [])
+      .flatMap(shape => (shape.type === 'FeatureCollection' ? shape.features : [shape]))
+      .map(shape => (shape.type === 'Feature'
+        ? { type: 'polygon', name: shape.properties?.name, geometry: shape.geometry }
+        : { type: 'polygon', name: null, geometry: shape }))
+      .filter(rule => ['Polygon', 'MultiPolygon'].includes(rule.geometry?.type));
+
+    return [...radii, ...polygons];
+  }
+}
+
+function hasZipRules(area) {
+  return (area.zips || []).length > 0 || (area.zip_patterns || []).length > 0;
+}
+
+// Haversine distance between two { lat, lng } points
+function distanceMiles(from, to) {
+  const radians = degrees => degrees * Math.PI / 180;
+  const dLat = radians(to.lat - from.lat);
+  const dLng = radians(to.lng - from.lng);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+// GeoJSON coordinates are [lng, lat]; the first ring is the outline, the rest are holes
+function pointInGeometry(point, geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+  return polygons.some(([outline, ...holes]) =>
+    pointInRing(point, outline) && !holes.some(hole => pointInRing(point, hole))
+  );
+}
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+ServiceAreaChecker.STATUSES = STATUSES;
+
+module.exports = ServiceAreaChecker;
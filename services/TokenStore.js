@@ -0,0 +1,98 @@
+const storage = require('../storage');
+
+// Durable OAuth token storage, one row per client and provider.
+// Tokens are cached in memory and written through to the `oauth_tokens`
+// table so they survive restarts and redeploys.
+class TokenStore {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  cacheKey(clientId, provider) {
+    return `${clientId}:${provider}`;
+  }
+
+  async getRecord(clientId, provider = 'google') {
+    const key = this.cacheKey(clientId, provider);
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    try {
+      const record = await storage.oauthTokens.findFor(clientId, provider);
+      if (record) this.cache.set(key, record);
+      return record;
+    } catch (error) {
+      console.error('❌ Failed to load OAuth tokens:', error.message);
+      return null;
+    }
+  }
+
+  // Returns usable tokens, or null when missing or re-authorization is required
+  async getTokens(clientId, provider = 'google') {
+    const record = await this.getRecord(clientId, provider);
+    if (!record || record.status !== 'active') return null;
+    return record.tokens;
+  }
+
+  async getStatus(clientId, provider = 'google') {
+    const record = await this.getRecord(clientId, provider);
+    if (!record) return { authorized: false, status: 'not_authorized' };
+
+    return {
+      authorized: record.status === 'active',
+      status: record.status,
+      error: record.error || null,
+      updated_at: record.updated_at
+    };
+  }
+
+  async saveTokens(clientId, tokens, provider = 'google') {
+    const existing = await this.getRecord(clientId, provider);
+
+    // Google only returns a refresh_token on first consent, so keep the old one
+    const merged = {
+      ...(existing?.tokens || {}),
+      ...tokens,
+      refresh_token: tokens.refresh_token || existing?.tokens?.refresh_token
+    };
+
+    return await this.writeRecord(clientId, provider, {
+      tokens: merged,
+      status: 'active',
+      error: null
+    });
+  }
+
+  async markReauthRequired(clientId, reason, provider = 'google') {
+    const existing = await this.getRecord(clientId, provider);
+    if (existing?.status === 'reauth_required') return existing;
+
+    console.error(`🔐 ${provider} authorization for client ${clientId} needs to be renewed: ${reason}`);
+
+    return await this.writeRecord(clientId, provider, {
+      tokens: existing?.tokens || {},
+      status: 'reauth_required',
+      error: reason
+    });
+  }
+
+  async writeRecord(clientId, provider, fields) {
+    const record = {
+      client_id: clientId,
+      provider,
+      ...fields,
+      updated_at: new Date().toISOString()
+    };
+
+    this.cache.set(this.cacheKey(clientId, provider), record);
+
+    try {
+      await storage.oauthTokens.save(record);
+    } catch (error) {
+      console.error('❌ Failed to persist OAuth tokens:', error.message);
+    }
+
+    return record;
+  }
+}
+
+module.exports = TokenStore;
@@ -0,0 +1,35 @@
+const axios = require('axios');
+
+// Google Maps Geocoding API (GOOGLE_MAPS_API_KEY), restricted to US results
+class GoogleGeocoder {
+  constructor(options = {}) {
+    this.name = 'google';
+    this.apiKey = options.apiKey || process.env.GOOGLE_MAPS_API_KEY;
+    this.baseURL = 'https://maps.googleapis.com/maps/api/geocode/json';
+  }
+
+  async geocode(address) {
+    const response = await axios.get(this.baseURL, {
+      params: {
+        address: address.text,
+        components: 'country:US',
+        key: this.apiKey
+      },
+      timeout: 5000
+    });
+
+    const { status, results, error_message } = response.data;
+    if (status === 'ZERO_RESULTS') return null;
+    if (status !== 'OK') {
+      throw new Error(`Google geocoding failed: ${status}${error_message ? ` (${error_message})` : ''}`);
+    }
+
+    const result = results[0];
+    const { lat, lng } = result.geometry.location;
+    const precision = result.geometry.location_type === 'APPROXIMATE' ? 'approximate' : 'address';
+
+    return { lat, lng, precision, source: this.name, formatted_address: result.formatted_address };
+  }
+}
+
+module.exports = GoogleGeocoder;
@@ -0,0 +1,35 @@
+const { ZIP_CENTROIDS, CITY_CENTROIDS } = require('../../config/geocoding');
+const { normalizeCity } = require('../../utils/address');
+
+// Resolves a parsed address to its ZIP centroid, or its city centroid when the ZIP
+// is missing or unknown, from the tables in config/geocoding.js. No network access,
+// so it is the default when no geocoding API key is configured.
+class OfflineGeocoder {
+  constructor(options = {}) {
+    this.name = 'offline';
+    this.zipCentroids = options.zipCentroids || ZIP_CENTROIDS;
+    this.cityCentroids = options.cityCentroids || CITY_CENTROIDS;
+  }
+
+  async geocode(address) {
+    const zipPoint = address.zip && this.zipCentroids[address.zip];
+    if (zipPoint) {
+      return { lat: zipPoint[0], lng: zipPoint[1], precision: 'zip', source: this.name };
+    }
+
+    const city = normalizeCity(address.city);
+    if (!city) return null;
+
+    const key = address.state
+      ? `${city}, ${address.state.toLowerCase()}`
+      : Object.keys(this.cityCentroids).find(name => name.startsWith(`${city}, `));
+    const cityPoint = key && this.cityCentroids[key];
+    if (cityPoint) {
+      return { lat: cityPoint[0], lng: cityPoint[1], precision: 'city', source: this.name };
+    }
+
+    return null;
+  }
+}
+
+module.exports = OfflineGeocoder;
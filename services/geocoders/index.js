@@ -0,0 +1,28 @@
+// Geocoders turn a parsed address ({ street, city, state, zip, text }) into
+// { lat, lng, precision, source }, or null when the address can't be located.
+//
+//   GEOCODER=google   Google Maps Geocoding API (default when GOOGLE_MAPS_API_KEY is set)
+//   GEOCODER=offline  ZIP/city centroids from config/geocoding.js (default otherwise)
+
+const OfflineGeocoder = require('./OfflineGeocoder');
+const GoogleGeocoder = require('./GoogleGeocoder');
+
+function createGeocoder({ provider = process.env.GEOCODER, apiKey = process.env.GOOGLE_MAPS_API_KEY } = {}) {
+  const name = provider || (apiKey ? 'google' : 'offline');
+
+  switch (name) {
+    case 'google':
+      if (!apiKey) throw new Error('GEOCODER=google requires GOOGLE_MAPS_API_KEY');
+      return new GoogleGeocoder({ apiKey });
+    case 'offline':
+      return new OfflineGeocoder();
+    default:
+      throw new Error(`Unknown GEOCODER: ${name}`);
+  }
+}
+
+module.exports = {
+  createGeocoder,
+  OfflineGeocoder,
+  GoogleGeocoder
+};
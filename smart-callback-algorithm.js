@@ -1,25 +1,31 @@
 // smart-callback-algorithm.js - AI-Powered Callback Prediction System
-const { createClient } = require('@supabase/supabase-js');
+const moment = require('moment-timezone');
+const storage = require('./storage');
+const { OUTCOMES, isCallbackOutcome } = require('./services/CallOutcomeClassifier');
+const { resolveLeadTimezone } = require('./utils/timezone');
 
 class SmartCallbackPredictor {
-  constructor() {
-    this.supabase = global.supabase;
+  constructor(client = null) {
+    this.clientId = client?.id || null;
     this.businessHours = {
       start: 9,
       end: 17,
-      timezone: 'America/Los_Angeles'
+      timezone: 'America/Los_Angeles',
+      ...(client?.business_hours || {})
     };
     
     // Call outcome weights for learning
     this.outcomeWeights = {
-      'answered': 100,
-      'appointment_booked': 150,
-      'callback_requested': 80,
-      'not_interested': -50,
-      'no_answer': -10,
-      'voicemail': 20,
-      'busy': 0,
-      'wrong_number': -100
+      [OUTCOMES.ANSWERED]: 100,
+      [OUTCOMES.APPOINTMENT_BOOKED]: 150,
+      [OUTCOMES.CALLBACK_REQUESTED]: 80,
+      [OUTCOMES.NOT_INTERESTED]: -50,
+      [OUTCOMES.NO_ANSWER]: -10,
+      [OUTCOMES.VOICEMAIL]: 20,
+      [OUTCOMES.BUSY]: 0,
+      [OUTCOMES.WRONG_NUMBER]: -100,
+      [OUTCOMES.DISQUALIFIED]: -50,
+      [OUTCOMES.TRANSFERRED]: 100
     };
 
     // Industry-specific calling preferences
@@ -53,25 +59,27 @@ class SmartCallbackPredictor {
 
   async recordCallOutcome(leadId, callData) {
     try {
+      const callTime = callData.callTime || new Date().toISOString();
+
+      // Bucket by the lead's local hour so patterns mean "10 AM for the lead"
+      const timezone = callData.timezone || await this.getLeadTimezone(leadId);
+      const localCallTime = moment(callTime).tz(timezone);
+
       const callRecord = {
         lead_id: leadId,
-        call_time: callData.callTime || new Date().toISOString(),
+        client_id: callData.clientId || this.clientId,
+        call_time: callTime,
         outcome: callData.outcome,
         duration: callData.duration || 0,
-        day_of_week: new Date(callData.callTime).getDay(),
-        hour_of_day: new Date(callData.callTime).getHours(),
+        day_of_week: localCallTime.day(),
+        hour_of_day: localCallTime.hour(),
+        lead_timezone: timezone,
         attempt_number: callData.attemptNumber || 1,
         notes: callData.notes || '',
         created_at: new Date().toISOString()
       };
 
-      const { data, error } = await this.supabase
-        .from('call_history')
-        .insert(callRecord)
-        .select()
-        .single();
-
-      if (error) throw error;
+      const data = await storage.callHistory.create(callRecord);
 
       console.log('📊 Call outcome recorded:', callRecord);
       return { success: true, data };
@@ -83,30 +91,27 @@ class SmartCallbackPredictor {
 
   async getLeadCallHistory(leadId) {
     try {
-      const { data, error } = await this.supabase
-        .from('call_history')
-        .select('*')
-        .eq('lead_id', leadId)
-        .order('call_time', { ascending: false });
-
-      if (error) throw error;
-      return data || [];
+      return await storage.callHistory.listByLead(leadId);
     } catch (error) {
       console.error('❌ Failed to get call history:', error);
       return [];
     }
   }
 
+  async getLeadTimezone(leadId) {
+    if (!this.leadTimezones) this.leadTimezones = new Map();
+    if (this.leadTimezones.has(leadId)) return this.leadTimezones.get(leadId);
+
+    const lead = await this.getLeadProfile(leadId);
+    const { timezone } = resolveLeadTimezone(lead, this.businessHours.timezone);
+
+    this.leadTimezones.set(leadId, timezone);
+    return timezone;
+  }
+
   async getLeadProfile(leadId) {
     try {
-      const { data, error } = await this.supabase
-        .from('leads')
-        .select('*')
-        .eq('id', leadId)
-        .single();
-
-      if (error) throw error;
-      return data;
+      return await storage.leads.findById(leadId);
     } catch (error) {
       console.error('❌ Failed to get lead profile:', error);
       return null;
@@ -119,13 +124,12 @@ class SmartCallbackPredictor {
 
   async analyzeGlobalPatterns() {
     try {
-      // Get successful call patterns across all leads
-      const { data, error } = await this.supabase
-        .from('call_history')
-        .select('*')
-        .in('outcome', ['answered', 'appointment_booked', 'callback_requested']);
-
-      if (error) throw error;
+      // Get successful call patterns across all of the client's leads
+      const data = await storage.callHistory.listByOutcomes(this.clientId, [
+        OUTCOMES.ANSWERED,
+        OUTCOMES.APPOINTMENT_BOOKED,
+        OUTCOMES.CALLBACK_REQUESTED
+      ]);
 
       const patterns = {
         hourlySuccess: {},
@@ -199,13 +203,15 @@ class SmartCallbackPredictor {
   // 3. PREDICTIVE SCORING ENGINE
   // ================================
 
-  async calculateTimeSlotScore(leadId, targetDateTime) {
+  async calculateTimeSlotScore(leadId, targetDateTime, timezone = null) {
     const lead = await this.getLeadProfile(leadId);
     const personalPatterns = await this.analyzeLeadSpecificPatterns(leadId);
     const globalPatterns = await this.analyzeGlobalPatterns();
     
-    const hour = targetDateTime.getHours();
-    const dayOfWeek = targetDateTime.getDay();
+    // Hours and days are scored in the lead's local time
+    const localTime = moment(targetDateTime).tz(timezone || await this.getLeadTimezone(leadId));
+    const hour = localTime.hour();
+    const dayOfWeek = localTime.day();
     const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
 
     let score = 50; // Base score
@@ -265,14 +271,7 @@ class SmartCallbackPredictor {
       const cutoffTime = new Date();
       cutoffTime.setHours(cutoffTime.getHours() - hoursBack);
 
-      const { data, error } = await this.supabase
-        .from('call_history')
-        .select('*')
-        .eq('lead_id', leadId)
-        .gte('call_time', cutoffTime.toISOString());
-
-      if (error) throw error;
-      return data || [];
+      return await storage.callHistory.listByLead(leadId, { since: cutoffTime.toISOString() });
     } catch (error) {
       console.error('❌ Failed to get recent attempts:', error);
       return [];
@@ -301,15 +300,15 @@ class SmartCallbackPredictor {
 
   async predictOptimalCallTimes(leadId, daysAhead = 3) {
     const predictions = [];
-    const now = new Date();
+    const timezone = await this.getLeadTimezone(leadId);
+    const now = moment.tz(timezone);
 
-    // Generate time slots for the next few days
+    // Generate time slots for the next few days, in the lead's local time
     for (let day = 0; day < daysAhead; day++) {
-      const targetDate = new Date(now);
-      targetDate.setDate(now.getDate() + day);
+      const targetDate = now.clone().add(day, 'days').startOf('day');
       
       // Skip if it's today and past business hours
-      if (day === 0 && targetDate.getHours() >= this.businessHours.end) {
+      if (day === 0 && now.hour() >= this.businessHours.end) {
         continue;
       }
 
@@ -317,27 +316,22 @@ class SmartCallbackPredictor {
 
       // Test each business hour
       for (let hour = this.businessHours.start; hour <= this.businessHours.end; hour++) {
-        const timeSlot = new Date(targetDate);
-        timeSlot.setHours(hour, 0, 0, 0);
+        const timeSlot = targetDate.clone().hour(hour);
 
         // Skip past times for today
-        if (day === 0 && timeSlot <= now) {
+        if (day === 0 && !timeSlot.isAfter(now)) {
           continue;
         }
 
-        const score = await this.calculateTimeSlotScore(leadId, timeSlot);
+        const score = await this.calculateTimeSlotScore(leadId, timeSlot.toDate(), timezone);
         
         daySlots.push({
           time: timeSlot.toISOString(),
           hour: hour,
           score: score,
-          displayTime: timeSlot.toLocaleTimeString('en-US', {
-            hour: 'numeric',
-            minute: '2-digit',
-            hour12: true,
-            timeZone: this.businessHours.timezone
-          }),
-          dayOfWeek: timeSlot.getDay(),
+          displayTime: timeSlot.format('h:mm A'),
+          timezone: timezone,
+          dayOfWeek: timeSlot.day(),
           confidence: this.getConfidenceLevel(score)
         });
       }
@@ -347,7 +341,7 @@ class SmartCallbackPredictor {
       
       if (daySlots.length > 0) {
         predictions.push({
-          date: targetDate.toDateString(),
+          date: targetDate.format('ddd MMM DD YYYY'),
           topSlots: daySlots.slice(0, 3), // Top 3 times per day
           allSlots: daySlots
         });
@@ -384,6 +378,7 @@ class SmartCallbackPredictor {
           if (slot.score >= 30) {
             const callback = {
               lead_id: leadId,
+              client_id: this.clientId,
               scheduled_time: slot.time,
               predicted_score: slot.score,
               confidence: slot.confidence,
@@ -392,16 +387,9 @@ class SmartCallbackPredictor {
               created_at: new Date().toISOString()
             };
 
-            const { data, error } = await this.supabase
-              .from('callback_queue')
-              .insert(callback)
-              .select()
-              .single();
-
-            if (!error) {
-              scheduledCallbacks.push(data);
-              console.log(`📅 Scheduled callback: ${slot.displayTime} (score: ${slot.score})`);
-            }
+            const data = await storage.callbackQueue.create(callback);
+            scheduledCallbacks.push(data);
+            console.log(`📅 Scheduled callback: ${slot.displayTime} (score: ${slot.score})`);
           }
         }
       }
@@ -425,11 +413,7 @@ class SmartCallbackPredictor {
   async updatePredictionAccuracy(callbackId, actualOutcome) {
     try {
       // Get the original prediction
-      const { data: callback } = await this.supabase
-        .from('callback_queue')
-        .select('*')
-        .eq('id', callbackId)
-        .single();
+      const callback = await storage.callbackQueue.findById(callbackId);
 
       if (callback) {
         // Calculate accuracy score
@@ -440,15 +424,12 @@ class SmartCallbackPredictor {
         const accuracy = 100 - Math.abs(predictedScore - actualScore);
 
         // Update the callback record
-        await this.supabase
-          .from('callback_queue')
-          .update({
-            actual_outcome: actualOutcome,
-            actual_score: actualScore,
-            prediction_accuracy: accuracy,
-            completed_at: new Date().toISOString()
-          })
-          .eq('id', callbackId);
+        await storage.callbackQueue.update(callbackId, {
+          actual_outcome: actualOutcome,
+          actual_score: actualScore,
+          prediction_accuracy: accuracy,
+          completed_at: new Date().toISOString()
+        });
 
         console.log(`🎯 Prediction accuracy: ${accuracy}% (predicted: ${predictedScore}, actual: ${actualScore})`);
         
@@ -463,21 +444,19 @@ class SmartCallbackPredictor {
   // 7. MAIN INTEGRATION FUNCTIONS
   // ================================
 
+  // The call itself is recorded by the caller (the Retell webhook); this only schedules
   async processLeadForCallbacks(leadId, initialOutcome = 'no_answer') {
     try {
       console.log(`🚀 Processing lead ${leadId} for smart callbacks`);
 
-      // Record the initial call outcome
-      await this.recordCallOutcome(leadId, {
-        callTime: new Date().toISOString(),
-        outcome: initialOutcome,
-        attemptNumber: 1
-      });
-
       // Only schedule callbacks for specific outcomes
-      const callbackTriggers = ['no_answer', 'voicemail', 'busy', 'callback_requested'];
-      
-      if (callbackTriggers.includes(initialOutcome)) {
+      if (isCallbackOutcome(initialOutcome)) {
+        // A lead keeps one schedule: another batch would dial it twice at the same slots
+        const scheduled = await storage.callbackQueue.countScheduledForLead(leadId);
+        if (scheduled > 0) {
+          return { success: true, message: `Lead already has ${scheduled} scheduled callbacks`, scheduledCallbacks: [], totalScheduled: 0 };
+        }
+
         const result = await this.scheduleOptimalCallbacks(leadId, 2); // 2 calls per day
         return result;
       }
@@ -498,18 +477,18 @@ module.exports = {
   SmartCallbackPredictor,
   
   // Helper functions for easy integration
-  async initializeCallback(leadId, outcome) {
-    const predictor = new SmartCallbackPredictor();
+  async initializeCallback(leadId, outcome, client = null) {
+    const predictor = new SmartCallbackPredictor(client);
     return await predictor.processLeadForCallbacks(leadId, outcome);
   },
 
-  async getOptimalCallTimes(leadId) {
-    const predictor = new SmartCallbackPredictor();
+  async getOptimalCallTimes(leadId, client = null) {
+    const predictor = new SmartCallbackPredictor(client);
     return await predictor.predictOptimalCallTimes(leadId);
   },
 
-  async recordCall(leadId, callData) {
-    const predictor = new SmartCallbackPredictor();
+  async recordCall(leadId, callData, client = null) {
+    const predictor = new SmartCallbackPredictor(client);
     return await predictor.recordCallOutcome(leadId, callData);
   }
 };
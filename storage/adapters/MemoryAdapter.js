@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+// In-process storage for running the pipeline without Supabase (local development,
+// demos, tests). Same query interface as SupabaseAdapter. When `filePath` is given
+// the tables are loaded from and periodically written back to that JSON file.
+class MemoryAdapter {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.tables = {};
+    this.sequences = {};
+    this.filePath = options.filePath || null;
+    this.saveTimer = null;
+
+    if (this.filePath) {
+      this.load();
+      process.once('exit', () => this.save());
+    }
+  }
+
+  table(name) {
+    if (!this.tables[name]) this.tables[name] = [];
+    return this.tables[name];
+  }
+
+  nextId(name) {
+    if (!this.sequences[name]) {
+      this.sequences[name] = this.table(name).reduce((max, row) => Math.max(max, Number(row.id) || 0), 0);
+    }
+    this.sequences[name]++;
+    return this.sequences[name];
+  }
+
+  // ================================
+  // QUERY INTERFACE
+  // ================================
+
+  async select(table, { where, orderBy = [], limit, offset = 0 } = {}) {
+    let rows = this.table(table).filter(row => this.matches(row, where));
+
+    if (orderBy.length) {
+      rows = rows.slice().sort((a, b) => {
+        for (const { column, ascending = true } of orderBy) {
+          const diff = this.compare(this.valueAt(a, column), this.valueAt(b, column));
+          if (diff !== 0) return ascending ? diff : -diff;
+        }
+        return 0;
+      });
+    }
+
+    rows = rows.slice(offset, limit ? offset + limit : undefined);
+    return rows.map(row => this.copy(row));
+  }
+
+  async insert(table, rows) {
+    const now = new Date().toISOString();
+    const inserted = [].concat(rows).map(row => ({
+      id: this.nextId(table),
+      created_at: now,
+      ...this.copy(row)
+    }));
+
+    this.table(table).push(...inserted);
+    this.scheduleSave();
+    return inserted.map(row => this.copy(row));
+  }
+
+  async update(table, where, patch) {
+    const updated = this.table(table).filter(row => this.matches(row, where));
+    updated.forEach(row => Object.assign(row, this.copy(patch)));
+
+    if (updated.length) this.scheduleSave();
+    return updated.map(row => this.copy(row));
+  }
+
+  async delete(table, where) {
+    const rows = this.table(table);
+    const deleted = rows.filter(row => this.matches(row, where));
+    this.tables[table] = rows.filter(row => !deleted.includes(row));
+
+    if (deleted.length) this.scheduleSave();
+    return deleted.map(row => this.copy(row));
+  }
+
+  async count(table, where) {
+    return this.table(table).filter(row => this.matches(row, where)).length;
+  }
+
+  // ================================
+  // FILTERING
+  // ================================
+
+  matches(row, where = {}) {
+    return Object.entries(where).every(([column, condition]) => {
+      if (condition === undefined) return true;
+      if (column === 'or') {
+        return !condition || condition.length === 0 || condition.some(option => this.matches(row, option));
+      }
+      if (column === 'and') {
+        return (condition || []).every(option => this.matches(row, option));
+      }
+
+      const value = this.valueAt(row, column);
+      const isOperator = condition !== null && typeof condition === 'object' && !Array.isArray(condition);
+      if (!isOperator) return this.equals(value, condition);
+
+      return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+          case 'in': return operand.some(option => this.equals(value, option));
+          case 'neq': return !this.equals(value, operand);
+          case 'gt': return value != null && this.compare(value, operand) > 0;
+          case 'gte': return value != null && this.compare(value, operand) >= 0;
+          case 'lt': return value != null && this.compare(value, operand) < 0;
+          case 'lte': return value != null && this.compare(value, operand) <= 0;
+          case 'ilike': return this.likePattern(operand).test(value == null ? '' : String(value));
+          case 'is': return operand === null ? value == null : value === operand;
+          default: throw new Error(`Unsupported operator: ${operator}`);
+        }
+      });
+    });
+  }
+
+  valueAt(row, column) {
+    return column.split('.').reduce((value, key) => (value == null ? undefined : value[key]), row);
+  }
+
+  // Loose equality so '12' matches 12, like Postgres casting a filter value
+  equals(value, expected) {
+    if (value == null || expected == null) return value == expected;
+    return String(value) === String(expected);
+  }
+
+  compare(a, b) {
+    if (a == null && b == null) return 0;
+    if (a == null) return -1;
+    if (b == null) return 1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (!isNaN(a) && !isNaN(b) && a !== '' && b !== '') return Number(a) - Number(b);
+    return String(a).localeCompare(String(b));
+  }
+
+  // SQL ILIKE: % is any run of characters, _ is one character, backslash escapes
+  likePattern(pattern) {
+    let source = '';
+    const text = String(pattern);
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '\\' && i + 1 < text.length) {
+        source += text[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      } else if (char === '%') {
+        source += '.*';
+      } else if (char === '_') {
+        source += '.';
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${source}$`, 'is');
+  }
+
+  copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  // ================================
+  // FILE PERSISTENCE
+  // ================================
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      this.tables = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      console.log(`💾 Loaded local storage from ${this.filePath}`);
+    } catch (error) {
+      console.error(`❌ Failed to load local storage from ${this.filePath}:`, error.message);
+    }
+  }
+
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, 500);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.tables));
+    } catch (error) {
+      console.error(`❌ Failed to write local storage to ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,140 @@
+// Storage adapter backed by a supabase-js client.
+//
+// Every adapter implements the same small query interface used by the repositories:
+//   select(table, { where, orderBy, limit, offset })  -> rows
+//   insert(table, rowOrRows)                          -> inserted rows
+//   update(table, where, patch)                       -> updated rows
+//   delete(table, where)                              -> deleted rows
+//   count(table, where)                               -> number
+//
+// `where` maps columns to a value (equality) or an operator object:
+//   { in: [...] }, { neq }, { gt }, { gte }, { lt }, { lte }, { ilike }, { is: null }
+// Columns inside a JSON field are written with a dot: 'custom_fields.uuid'.
+// `where.or` takes a list of such objects, any of which may match;
+// `where.and` takes a list that must all match (e.g. two separate `or` groups).
+
+const OPERATORS = ['in', 'neq', 'gt', 'gte', 'lt', 'lte', 'ilike', 'is'];
+
+function columnPath(column) {
+  const [field, ...path] = column.split('.');
+  return path.length ? `${field}->>${path.join('.')}` : field;
+}
+
+function isOperator(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).some(key => OPERATORS.includes(key));
+}
+
+// Values containing PostgREST delimiters must be double-quoted inside or()
+function filterValue(value) {
+  const text = String(value);
+  return /[,()"\\\s]/.test(text) ? `"${text.replace(/["\\]/g, '\\$&')}"` : text;
+}
+
+// PostgREST filter syntax for or(): "name.ilike.%x%,and(status.eq.new,id.gt.5)"
+function orFilter(conditions) {
+  return conditions.map(condition => {
+    const parts = [];
+
+    Object.entries(condition).forEach(([column, value]) => {
+      if (value === undefined) return;
+
+      const path = columnPath(column);
+      if (!isOperator(value)) {
+        parts.push(`${path}.eq.${filterValue(value)}`);
+        return;
+      }
+      Object.entries(value).forEach(([operator, operand]) => {
+        const formatted = operator === 'in'
+          ? `(${operand.map(filterValue).join(',')})`
+          : operand === null ? 'null' : filterValue(operand);
+        parts.push(`${path}.${operator}.${formatted}`);
+      });
+    });
+
+    // Several columns in one option must all match
+    return parts.length > 1 ? `and(${parts.join(',')})` : parts[0];
+  }).filter(Boolean).join(',');
+}
+
+class SupabaseAdapter {
+  constructor(client) {
+    this.client = client;
+    this.name = 'supabase';
+  }
+
+  applyWhere(query, where = {}) {
+    Object.entries(where).forEach(([column, value]) => {
+      if (value === undefined) return;
+
+      if (column === 'or') {
+        if (value && value.length) query = query.or(orFilter(value));
+        return;
+      }
+
+      if (column === 'and') {
+        (value || []).forEach(condition => {
+          query = this.applyWhere(query, condition);
+        });
+        return;
+      }
+
+      const path = columnPath(column);
+      if (!isOperator(value)) {
+        query = query.eq(path, value);
+        return;
+      }
+
+      Object.entries(value).forEach(([operator, operand]) => {
+        query = query[operator](path, operand);
+      });
+    });
+
+    return query;
+  }
+
+  async select(table, { where, orderBy = [], limit, offset = 0, columns = '*' } = {}) {
+    let query = this.applyWhere(this.client.from(table).select(columns), where);
+
+    orderBy.forEach(({ column, ascending = true }) => {
+      query = query.order(columnPath(column), { ascending });
+    });
+
+    if (limit) {
+      query = query.range(offset, offset + limit - 1);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async insert(table, rows) {
+    const { data, error } = await this.client.from(table).insert(rows).select();
+    if (error) throw error;
+    return data || [];
+  }
+
+  async update(table, where, patch) {
+    const { data, error } = await this.applyWhere(this.client.from(table).update(patch), where).select();
+    if (error) throw error;
+    return data || [];
+  }
+
+  async delete(table, where) {
+    const { data, error } = await this.applyWhere(this.client.from(table).delete(), where).select();
+    if (error) throw error;
+    return data || [];
+  }
+
+  async count(table, where) {
+    const { count, error } = await this.applyWhere(
+      this.client.from(table).select('*', { count: 'exact', head: true }),
+      where
+    );
+    if (error) throw error;
+    return count || 0;
+  }
+}
+
+module.exports = SupabaseAdapter;
@@ -0,0 +1,80 @@
+// Storage layer: repositories for leads, call_history, callback_queue, appointments,
+// appointment_reminders, lead_events, call_transcripts, dial_queue, phone_numbers,
+// dnc_list, call_compliance_log, intake_events, oauth_tokens, the outbound webhook
+// tables and the GHL sync queue on top of a swappable backend.
+//
+//   STORAGE_BACKEND=supabase  Supabase (default when SUPABASE_URL/SUPABASE_ANON_KEY are set)
+//   STORAGE_BACKEND=memory    in-process tables (default otherwise)
+//   STORAGE_FILE=./data/local.json  keeps the memory backend across restarts
+
+const SupabaseAdapter = require('./adapters/SupabaseAdapter');
+const MemoryAdapter = require('./adapters/MemoryAdapter');
+const LeadRepository = require('./repositories/LeadRepository');
+const CallHistoryRepository = require('./repositories/CallHistoryRepository');
+const CallbackQueueRepository = require('./repositories/CallbackQueueRepository');
+const AppointmentRepository = require('./repositories/AppointmentRepository');
+const AppointmentReminderRepository = require('./repositories/AppointmentReminderRepository');
+const LeadEventRepository = require('./repositories/LeadEventRepository');
+const CallTranscriptRepository = require('./repositories/CallTranscriptRepository');
+const DialQueueRepository = require('./repositories/DialQueueRepository');
+const PhoneNumberRepository = require('./repositories/PhoneNumberRepository');
+const WebhookSubscriptionRepository = require('./repositories/WebhookSubscriptionRepository');
+const WebhookDeliveryRepository = require('./repositories/WebhookDeliveryRepository');
+const GhlSyncJobRepository = require('./repositories/GhlSyncJobRepository');
+const DncRepository = require('./repositories/DncRepository');
+const ComplianceLogRepository = require('./repositories/ComplianceLogRepository');
+const IntakeEventRepository = require('./repositories/IntakeEventRepository');
+const OAuthTokenRepository = require('./repositories/OAuthTokenRepository');
+
+let adapter = null;
+
+function createAdapter({ supabase = global.supabase, backend = process.env.STORAGE_BACKEND } = {}) {
+  const name = backend || (supabase ? 'supabase' : 'memory');
+
+  switch (name) {
+    case 'supabase':
+      if (!supabase) throw new Error('STORAGE_BACKEND=supabase requires SUPABASE_URL and SUPABASE_ANON_KEY');
+      return new SupabaseAdapter(supabase);
+    case 'memory':
+      return new MemoryAdapter({ filePath: process.env.STORAGE_FILE });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${name}`);
+  }
+}
+
+// Select the backend explicitly; otherwise it is chosen on first use.
+// Pass an adapter instance to swap it out entirely (e.g. a fresh MemoryAdapter per test).
+function configure(options = {}) {
+  adapter = options.adapter || createAdapter(options);
+  return adapter;
+}
+
+function getAdapter() {
+  if (!adapter) configure();
+  return adapter;
+}
+
+const leads = new LeadRepository(getAdapter);
+
+module.exports = {
+  configure,
+  getAdapter,
+  backendName: () => getAdapter().name,
+
+  leads,
+  callHistory: new CallHistoryRepository(getAdapter),
+  callbackQueue: new CallbackQueueRepository(getAdapter, leads),
+  appointments: new AppointmentRepository(getAdapter),
+  appointmentReminders: new AppointmentReminderRepository(getAdapter),
+  leadEvents: new LeadEventRepository(getAdapter),
+  callTranscripts: new CallTranscriptRepository(getAdapter),
+  dialQueue: new DialQueueRepository(getAdapter),
+  phoneNumbers: new PhoneNumberRepository(getAdapter),
+  webhookSubscriptions: new WebhookSubscriptionRepository(getAdapter),
+  webhookDeliveries: new WebhookDeliveryRepository(getAdapter),
+  ghlSyncJobs: new GhlSyncJobRepository(getAdapter),
+  dncList: new DncRepository(getAdapter),
+  complianceLog: new ComplianceLogRepository(getAdapter),
+  intakeEvents: new IntakeEventRepository(getAdapter),
+  oauthTokens: new OAuthTokenRepository(getAdapter)
+};
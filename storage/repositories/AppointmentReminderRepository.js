@@ -0,0 +1,47 @@
+const BaseRepository = require('./BaseRepository');
+
+class AppointmentReminderRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'appointment_reminders');
+  }
+
+  async listDue(now, limit) {
+    return await this.list({
+      where: { status: 'scheduled', scheduled_time: { lte: now } },
+      orderBy: [{ column: 'scheduled_time', ascending: true }],
+      limit
+    });
+  }
+
+  // Conditional update: only one scheduler can move a row out of `scheduled`
+  async claim(reminderId) {
+    const [claimed] = await this.updateWhere(
+      { id: reminderId, status: 'scheduled' },
+      { status: 'in_progress', started_at: new Date().toISOString() }
+    );
+    return claimed || null;
+  }
+
+  async listByAppointment(appointmentId) {
+    return await this.list({
+      where: { appointment_id: appointmentId },
+      orderBy: [{ column: 'scheduled_time', ascending: true }]
+    });
+  }
+
+  async listByLead(leadId) {
+    return await this.list({
+      where: { lead_id: leadId },
+      orderBy: [{ column: 'scheduled_time', ascending: true }]
+    });
+  }
+
+  async cancelPendingForAppointment(appointmentId, reason) {
+    return await this.updateWhere(
+      { appointment_id: appointmentId, status: 'scheduled' },
+      { status: 'cancelled', error: reason, completed_at: new Date().toISOString() }
+    );
+  }
+}
+
+module.exports = AppointmentReminderRepository;
@@ -0,0 +1,36 @@
+const BaseRepository = require('./BaseRepository');
+
+class AppointmentRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'appointments');
+  }
+
+  async listByLead(leadId) {
+    return await this.list({
+      where: { lead_id: leadId },
+      orderBy: [{ column: 'start_time', ascending: false }]
+    });
+  }
+
+  async listByLeads(leadIds) {
+    if (!leadIds.length) return [];
+    return await this.list({
+      where: { lead_id: { in: leadIds } },
+      orderBy: [{ column: 'start_time', ascending: false }]
+    });
+  }
+
+  async listUpcoming(clientId, from, limit) {
+    return await this.list({
+      where: { client_id: clientId, status: 'booked', start_time: { gte: from } },
+      orderBy: [{ column: 'start_time', ascending: true }],
+      limit
+    });
+  }
+
+  async findByExternalId(clientId, externalEventId) {
+    return await this.findOne({ client_id: clientId, external_event_id: externalEventId });
+  }
+}
+
+module.exports = AppointmentRepository;
@@ -0,0 +1,54 @@
+// Common CRUD over one table. `getAdapter` is resolved on every call so
+// repositories can be created before the storage backend is configured.
+class BaseRepository {
+  constructor(getAdapter, table) {
+    this.getAdapter = getAdapter;
+    this.table = table;
+  }
+
+  get adapter() {
+    return this.getAdapter();
+  }
+
+  async findById(id, clientId = null) {
+    const rows = await this.adapter.select(this.table, {
+      where: { id, client_id: clientId ?? undefined },
+      limit: 1
+    });
+    return rows[0] || null;
+  }
+
+  async findOne(where, orderBy = []) {
+    const rows = await this.adapter.select(this.table, { where, orderBy, limit: 1 });
+    return rows[0] || null;
+  }
+
+  async list({ where, orderBy, limit, offset } = {}) {
+    return await this.adapter.select(this.table, { where, orderBy, limit, offset });
+  }
+
+  async count(where) {
+    return await this.adapter.count(this.table, where);
+  }
+
+  async create(row) {
+    const [created] = await this.adapter.insert(this.table, row);
+    return created;
+  }
+
+  async update(id, fields) {
+    const [updated] = await this.adapter.update(this.table, { id }, fields);
+    return updated || null;
+  }
+
+  async updateWhere(where, fields) {
+    return await this.adapter.update(this.table, where, fields);
+  }
+
+  async delete(id) {
+    const [deleted] = await this.adapter.delete(this.table, { id });
+    return deleted || null;
+  }
+}
+
+module.exports = BaseRepository;
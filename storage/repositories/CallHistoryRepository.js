@@ -0,0 +1,42 @@
+const BaseRepository = require('./BaseRepository');
+
+class CallHistoryRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'call_history');
+  }
+
+  // Newest first; `since` limits to calls at or after that time
+  async listByLead(leadId, { since, limit } = {}) {
+    return await this.list({
+      where: { lead_id: leadId, call_time: since ? { gte: since } : undefined },
+      orderBy: [{ column: 'call_time', ascending: false }],
+      limit
+    });
+  }
+
+  // Oldest first, e.g. every call placed today
+  async listByClientSince(clientId, since, limit) {
+    return await this.list({
+      where: { client_id: clientId, call_time: { gte: since } },
+      orderBy: [{ column: 'call_time', ascending: true }],
+      limit
+    });
+  }
+
+  // Every call of a batch of leads, newest first
+  async listByLeads(leadIds) {
+    if (!leadIds.length) return [];
+    return await this.list({
+      where: { lead_id: { in: leadIds } },
+      orderBy: [{ column: 'call_time', ascending: false }]
+    });
+  }
+
+  async listByOutcomes(clientId, outcomes) {
+    return await this.list({
+      where: { client_id: clientId ?? undefined, outcome: { in: outcomes } }
+    });
+  }
+}
+
+module.exports = CallHistoryRepository;
@@ -0,0 +1,83 @@
+const BaseRepository = require('./BaseRepository');
+
+// "50% off" -> "50\% off": LIKE wildcards in user input match literally
+function escapeLike(text) {
+  return String(text).replace(/[%_\\]/g, '\\$&');
+}
+
+// One row per Retell call: transcript, summary, post-call analysis and the custom
+// functions the agent invoked. Filled in by call_ended and completed by call_analyzed.
+class CallTranscriptRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'call_transcripts');
+  }
+
+  async findByCallId(clientId, callId) {
+    return await this.findOne({ client_id: clientId, call_id: callId });
+  }
+
+  // Creates the call's row or merges `fields` into it
+  async save(clientId, callId, fields) {
+    const now = new Date().toISOString();
+    const existing = await this.findByCallId(clientId, callId);
+
+    if (existing) {
+      return await this.update(existing.id, { ...fields, updated_at: now });
+    }
+    return await this.create({
+      client_id: clientId,
+      call_id: callId,
+      ...fields,
+      started_at: fields.started_at || now,
+      created_at: now,
+      updated_at: now
+    });
+  }
+
+  // Conditional update: only one webhook event gets to process the call's outcome
+  async claimOutcome(clientId, callId) {
+    const [claimed] = await this.updateWhere(
+      { client_id: clientId, call_id: callId, outcome_processed_at: { is: null } },
+      { outcome_processed_at: new Date().toISOString() }
+    );
+    return claimed || null;
+  }
+
+  // `phrase` is matched case-insensitively against the transcript and the summary;
+  // `from`/`to` bound the call start time. Newest first.
+  searchWhere(clientId, { phrase, leadId, outcome, direction, from, to } = {}) {
+    const startedAt = {};
+    if (from) startedAt.gte = from;
+    if (to) startedAt.lte = to;
+
+    const where = {
+      client_id: clientId,
+      lead_id: leadId || undefined,
+      outcome: outcome || undefined,
+      direction: direction || undefined,
+      started_at: Object.keys(startedAt).length ? startedAt : undefined
+    };
+
+    if (phrase) {
+      const pattern = `%${escapeLike(phrase)}%`;
+      where.or = [{ transcript: { ilike: pattern } }, { summary: { ilike: pattern } }];
+    }
+    return where;
+  }
+
+  async search(clientId, filters = {}, { limit = 25, offset = 0 } = {}) {
+    const where = this.searchWhere(clientId, filters);
+    const [rows, total] = await Promise.all([
+      this.list({
+        where,
+        orderBy: [{ column: 'started_at', ascending: false }, { column: 'id', ascending: false }],
+        limit,
+        offset
+      }),
+      this.count(where)
+    ]);
+    return { rows, total };
+  }
+}
+
+module.exports = CallTranscriptRepository;
@@ -0,0 +1,77 @@
+const BaseRepository = require('./BaseRepository');
+
+class CallbackQueueRepository extends BaseRepository {
+  constructor(getAdapter, leads) {
+    super(getAdapter, 'callback_queue');
+    this.leads = leads;
+  }
+
+  async listDue(now, limit) {
+    return await this.list({
+      where: { status: 'scheduled', scheduled_time: { lte: now } },
+      orderBy: [{ column: 'scheduled_time', ascending: true }],
+      limit
+    });
+  }
+
+  // Conditional update: only one dispatcher can move a row out of `scheduled`
+  async claim(callbackId) {
+    const [claimed] = await this.updateWhere(
+      { id: callbackId, status: 'scheduled' },
+      { status: 'in_progress', started_at: new Date().toISOString() }
+    );
+    return claimed || null;
+  }
+
+  async expireOverdue(cutoff) {
+    return await this.updateWhere(
+      { status: 'scheduled', scheduled_time: { lt: cutoff } },
+      { status: 'missed', completed_at: new Date().toISOString() }
+    );
+  }
+
+  async listByLead(leadId) {
+    return await this.list({
+      where: { lead_id: leadId },
+      orderBy: [{ column: 'scheduled_time', ascending: true }]
+    });
+  }
+
+  async countScheduledForLead(leadId) {
+    return await this.count({ lead_id: leadId, status: 'scheduled' });
+  }
+
+  async cancelPendingForLead(leadId, reason) {
+    return await this.updateWhere(
+      { lead_id: leadId, status: 'scheduled' },
+      { status: 'cancelled', error: reason, completed_at: new Date().toISOString() }
+    );
+  }
+
+  // Scheduled callbacks in a time range, each with its lead attached as `leads`
+  async listScheduledWithLeads({ clientId, from, to }) {
+    const callbacks = await this.list({
+      where: {
+        status: 'scheduled',
+        client_id: clientId ?? undefined,
+        scheduled_time: { gte: from, lte: to }
+      },
+      orderBy: [{ column: 'predicted_score', ascending: false }]
+    });
+
+    const leads = await this.leads.findByIds([...new Set(callbacks.map(callback => callback.lead_id))]);
+    const leadsById = new Map(leads.map(lead => [String(lead.id), lead]));
+
+    return callbacks.map(callback => {
+      const lead = leadsById.get(String(callback.lead_id));
+      return {
+        ...callback,
+        leads: lead
+          ? { id: lead.id, name: lead.name, phone: lead.phone, email: lead.email, custom_fields: lead.custom_fields }
+          : null
+      };
+    });
+  }
+}
+
+module.exports = CallbackQueueRepository;
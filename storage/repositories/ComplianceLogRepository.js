@@ -0,0 +1,34 @@
+const BaseRepository = require('./BaseRepository');
+
+// Every compliance decision, allowed and blocked. Allowed checks double as the
+// attempt history the per-lead attempt cap is enforced on.
+class ComplianceLogRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'call_compliance_log');
+  }
+
+  // Allowed attempts for the lead since `since`, with the oldest one's time
+  async recentAttempts(leadId, since) {
+    const where = { lead_id: leadId, allowed: true, created_at: { gte: since } };
+
+    const count = await this.count(where);
+    const oldest = count ? await this.findOne(where, [{ column: 'created_at', ascending: true }]) : null;
+    return { count, oldest: oldest?.created_at };
+  }
+
+  // Newest first; filters are { lead_id, allowed, rule }
+  async listByClient(clientId, { leadId, allowed, rule, limit = 100 } = {}) {
+    return await this.list({
+      where: {
+        client_id: clientId,
+        lead_id: leadId || undefined,
+        allowed,
+        rule: rule || undefined
+      },
+      orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }],
+      limit
+    });
+  }
+}
+
+module.exports = ComplianceLogRepository;
@@ -0,0 +1,95 @@
+const BaseRepository = require('./BaseRepository');
+
+// Statuses that hold a line: being dialed, placed with Retell, or connected
+const ACTIVE_STATUSES = ['dialing', 'placed', 'live'];
+
+// Outbound calls waiting for dialer capacity, and the calls it placed until Retell
+// reports them ended
+class DialQueueRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'dial_queue');
+  }
+
+  // The client's ready calls, highest priority first, then oldest first
+  async listReady(now, limit, clientId) {
+    return await this.list({
+      where: { client_id: clientId, status: 'queued', not_before: { lte: now } },
+      orderBy: [
+        { column: 'priority', ascending: false },
+        { column: 'created_at', ascending: true },
+        { column: 'id', ascending: true }
+      ],
+      limit
+    });
+  }
+
+  // Conditional update: only one dialer can move a row out of `queued`
+  async claim(entryId, fields = {}) {
+    const [claimed] = await this.updateWhere(
+      { id: entryId, status: 'queued' },
+      { ...fields, status: 'dialing', dialed_at: new Date().toISOString() }
+    );
+    return claimed || null;
+  }
+
+  async countActive(clientId) {
+    return await this.count({ client_id: clientId, status: { in: ACTIVE_STATUSES } });
+  }
+
+  // One caller ID's load, counted in the database so no row limit applies:
+  // lines in use, calls placed since `dayStart` and in the last minute, last call
+  async usageForNumber(clientId, fromNumber, dayStart) {
+    const minuteAgo = new Date(Date.now() - 60 * 1000).toISOString();
+    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const where = { client_id: clientId, from_number: fromNumber };
+
+    const [active, placedToday, placedLastMinute, last] = await Promise.all([
+      this.count({ ...where, status: { in: ACTIVE_STATUSES } }),
+      this.count({ ...where, placed_at: { gte: dayStart } }),
+      this.count({ ...where, placed_at: { gte: minuteAgo } }),
+      this.findOne({ ...where, placed_at: { gte: dayAgo } }, [{ column: 'placed_at', ascending: false }])
+    ]);
+
+    return { active, placedToday, placedLastMinute, lastPlacedAt: last?.placed_at || null };
+  }
+
+  async findByCallId(callId) {
+    return await this.findOne({ call_id: callId });
+  }
+
+  // The caller ID's latest ended calls whose answer is known, newest first
+  async listAnsweredKnown(clientId, fromNumber, { since, limit }) {
+    return await this.list({
+      where: {
+        client_id: clientId,
+        from_number: fromNumber,
+        answered: { in: [true, false] },
+        ended_at: since ? { gte: since } : undefined
+      },
+      orderBy: [{ column: 'ended_at', ascending: false }],
+      limit
+    });
+  }
+
+  // Calls whose call_ended never arrived (or a dial cut short by a restart) stop
+  // counting against the limits
+  async expireStale(cutoff) {
+    return await this.updateWhere(
+      { status: { in: ACTIVE_STATUSES }, dialed_at: { lt: cutoff } },
+      { status: 'ended', error: 'No call_ended event received', ended_at: new Date().toISOString() }
+    );
+  }
+
+  // Newest first
+  async listByClient(clientId, { status, limit = 100 } = {}) {
+    return await this.list({
+      where: { client_id: clientId, status: status || undefined },
+      orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }],
+      limit
+    });
+  }
+}
+
+DialQueueRepository.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = DialQueueRepository;
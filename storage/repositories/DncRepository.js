@@ -0,0 +1,65 @@
+const BaseRepository = require('./BaseRepository');
+
+// Postgres unique violation, raised when another request listed the number first
+const UNIQUE_VIOLATION = '23505';
+
+// Each client's do-not-call numbers, unique on (client_id, phone), E.164
+class DncRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'dnc_list');
+  }
+
+  async findByPhone(clientId, phone) {
+    return await this.findOne({ client_id: clientId, phone });
+  }
+
+  async listByClient(clientId, { limit = 100, offset = 0 } = {}) {
+    return await this.list({
+      where: { client_id: clientId },
+      orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }],
+      limit,
+      offset
+    });
+  }
+
+  // Keeps the existing entry (and its reason) when the number is already listed
+  async addIfMissing(entry) {
+    const existing = await this.findByPhone(entry.client_id, entry.phone);
+    if (existing) return { entry: existing, created: false };
+
+    try {
+      return { entry: await this.create(entry), created: true };
+    } catch (error) {
+      if (error.code !== UNIQUE_VIOLATION) throw error;
+      return { entry: await this.findByPhone(entry.client_id, entry.phone), created: false };
+    }
+  }
+
+  // entries: one client's rows. Returns how many were not listed yet.
+  async addManyIfMissing(clientId, entries) {
+    if (entries.length === 0) return 0;
+
+    const existing = await this.list({
+      where: { client_id: clientId, phone: { in: entries.map(entry => entry.phone) } }
+    });
+    const listed = new Set(existing.map(entry => entry.phone));
+    const missing = entries.filter(entry => !listed.has(entry.phone));
+
+    if (missing.length === 0) return 0;
+
+    try {
+      await this.adapter.insert(this.table, missing);
+    } catch (error) {
+      if (error.code !== UNIQUE_VIOLATION) throw error;
+      // Some were listed in the meantime: fall back to one at a time
+      for (const entry of missing) await this.addIfMissing(entry);
+    }
+    return missing.length;
+  }
+
+  async removeByPhone(clientId, phone) {
+    return await this.adapter.delete(this.table, { client_id: clientId, phone });
+  }
+}
+
+module.exports = DncRepository;
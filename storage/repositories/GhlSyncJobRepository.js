@@ -0,0 +1,50 @@
+const BaseRepository = require('./BaseRepository');
+
+// GoHighLevel sync retry queue: one row per contact upsert, note, tag or
+// appointment write, with every attempt's result and when the next retry is due
+class GhlSyncJobRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'ghl_sync_jobs');
+  }
+
+  async listDue(now, limit) {
+    return await this.list({
+      where: { status: 'pending', next_attempt_at: { lte: now } },
+      orderBy: [{ column: 'next_attempt_at', ascending: true }],
+      limit
+    });
+  }
+
+  // Jobs left `running` by an attempt that never finished go back to the queue
+  async reclaimStale(cutoff) {
+    return await this.updateWhere(
+      { status: 'running', last_attempt_at: { lt: cutoff } },
+      { status: 'pending', next_attempt_at: new Date().toISOString(), last_error: 'Attempt interrupted before it finished' }
+    );
+  }
+
+  // Conditional update: only one worker can move a row out of `pending`
+  async claim(jobId) {
+    const [claimed] = await this.updateWhere(
+      { id: jobId, status: 'pending' },
+      { status: 'running', last_attempt_at: new Date().toISOString() }
+    );
+    return claimed || null;
+  }
+
+  // Newest first; filters are { status, action, lead_id }
+  async listByClient(clientId, { status, action, leadId, limit = 100 } = {}) {
+    return await this.list({
+      where: {
+        client_id: clientId,
+        status: status || undefined,
+        action: action || undefined,
+        lead_id: leadId || undefined
+      },
+      orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }],
+      limit
+    });
+  }
+}
+
+module.exports = GhlSyncJobRepository;
@@ -0,0 +1,42 @@
+const BaseRepository = require('./BaseRepository');
+
+// Postgres unique violation on (client_id, idempotency_key)
+const UNIQUE_VIOLATION = '23505';
+
+// One row per lead intake delivery, keyed by the sender's idempotency key so
+// redelivered webhooks are recognized
+class IntakeEventRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'intake_events');
+  }
+
+  async findByKey(clientId, idempotencyKey) {
+    return await this.findOne({ client_id: clientId, idempotency_key: idempotencyKey });
+  }
+
+  // Returns { event } for a new delivery or { existing } when the key was already seen
+  async createUnlessSeen(event) {
+    if (event.idempotency_key) {
+      const existing = await this.findByKey(event.client_id, event.idempotency_key);
+      if (existing) return { existing };
+    }
+
+    try {
+      return { event: await this.create(event) };
+    } catch (error) {
+      if (error.code !== UNIQUE_VIOLATION || !event.idempotency_key) throw error;
+      return { existing: await this.findByKey(event.client_id, event.idempotency_key) };
+    }
+  }
+
+  // Conditional update: only one redelivery can take over a failed event
+  async reclaimFailed(eventId) {
+    const [claimed] = await this.updateWhere(
+      { id: eventId, status: 'failed' },
+      { status: 'processing', error: null }
+    );
+    return claimed || null;
+  }
+}
+
+module.exports = IntakeEventRepository;
@@ -0,0 +1,38 @@
+const BaseRepository = require('./BaseRepository');
+
+// Activity that has no table of its own: intake deliveries, Retell custom
+// function invocations. Read back by the lead timeline.
+class LeadEventRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'lead_events');
+  }
+
+  async record(lead, type, { name = null, summary = null, data = {} } = {}) {
+    return await this.create({
+      client_id: lead.client_id,
+      lead_id: lead.id,
+      type,
+      name,
+      summary,
+      data,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  // Custom functions invoked during one call (recorded by LeadActivity)
+  async listFunctionCalls(clientId, callId) {
+    return await this.list({
+      where: { client_id: clientId, type: 'function_call', 'data.call_id': callId },
+      orderBy: [{ column: 'created_at', ascending: true }]
+    });
+  }
+
+  async listByLead(leadId) {
+    return await this.list({
+      where: { lead_id: leadId },
+      orderBy: [{ column: 'created_at', ascending: true }]
+    });
+  }
+}
+
+module.exports = LeadEventRepository;
@@ -0,0 +1,73 @@
+const BaseRepository = require('./BaseRepository');
+
+class LeadRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'leads');
+  }
+
+  // The uuid Retell carries in call metadata
+  async findByUuid(clientId, uuid) {
+    if (!uuid) return null;
+    return await this.findOne({ client_id: clientId, 'custom_fields.uuid': uuid });
+  }
+
+  // The lead behind a Retell call: by metadata uuid, else by phone number (see RetellService.leadReference)
+  async findByCallReference(clientId, { uuid, phone }) {
+    const lead = await this.findByUuid(clientId, uuid);
+    if (lead || !phone) return lead;
+    return await this.findFirst(clientId, { phone });
+  }
+
+  // Oldest lead of the client matching `where`, used for deduplication
+  async findFirst(clientId, where) {
+    return await this.findOne(
+      { ...where, client_id: clientId },
+      [{ column: 'created_at', ascending: true }]
+    );
+  }
+
+  // Keyset pagination in `sort` order with id as the tie-breaker. `cursor` is the
+  // { value, id } of the last row already returned; nextCursor is null on the last page.
+  async listPage(clientId, { where = {}, sort = 'created_at', ascending = false, cursor = null, limit = 50 } = {}) {
+    const operator = ascending ? 'gt' : 'lt';
+    const conditions = [where];
+
+    if (cursor) {
+      conditions.push({
+        or: [
+          { [sort]: { [operator]: cursor.value } },
+          { [sort]: cursor.value, id: { [operator]: cursor.id } }
+        ]
+      });
+    }
+
+    const rows = await this.list({
+      where: { client_id: clientId, and: conditions },
+      orderBy: [{ column: sort, ascending }, { column: 'id', ascending }],
+      limit: limit + 1
+    });
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      rows: page,
+      nextCursor: rows.length > limit ? { value: last[sort], id: last.id } : null
+    };
+  }
+
+  async findByIds(ids) {
+    if (!ids.length) return [];
+    return await this.list({ where: { id: { in: ids } } });
+  }
+
+  // Merges into custom_fields instead of replacing the whole JSON object
+  async updateCustomFields(lead, fields, columns = {}) {
+    return await this.update(lead.id, {
+      ...columns,
+      custom_fields: { ...(lead.custom_fields || {}), ...fields }
+    });
+  }
+}
+
+module.exports = LeadRepository;
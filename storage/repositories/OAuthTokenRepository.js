@@ -0,0 +1,19 @@
+const BaseRepository = require('./BaseRepository');
+
+// OAuth tokens and authorization status, one row per client and provider
+class OAuthTokenRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'oauth_tokens');
+  }
+
+  async findFor(clientId, provider) {
+    return await this.findOne({ client_id: clientId, provider });
+  }
+
+  async save(record) {
+    const [updated] = await this.updateWhere({ client_id: record.client_id, provider: record.provider }, record);
+    return updated || await this.create(record);
+  }
+}
+
+module.exports = OAuthTokenRepository;
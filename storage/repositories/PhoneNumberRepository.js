@@ -0,0 +1,34 @@
+const BaseRepository = require('./BaseRepository');
+
+// Statuses: active (dialing), paused (kept out of rotation by hand), retired
+// (answer rate too low, or retired by hand)
+const STATUSES = ['active', 'paused', 'retired'];
+
+// Each client's pool of Retell caller IDs with their rotation and health state
+class PhoneNumberRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'phone_numbers');
+  }
+
+  async listActive(clientId) {
+    return await this.list({
+      where: { client_id: clientId, status: 'active' },
+      orderBy: [{ column: 'id', ascending: true }]
+    });
+  }
+
+  async listByClient(clientId, { status } = {}) {
+    return await this.list({
+      where: { client_id: clientId, status: status || undefined },
+      orderBy: [{ column: 'id', ascending: true }]
+    });
+  }
+
+  async findByNumber(clientId, number) {
+    return await this.findOne({ client_id: clientId, number });
+  }
+}
+
+PhoneNumberRepository.STATUSES = STATUSES;
+
+module.exports = PhoneNumberRepository;
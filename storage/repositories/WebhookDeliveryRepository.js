@@ -0,0 +1,50 @@
+const BaseRepository = require('./BaseRepository');
+
+// One row per event per subscription: the payload, every attempt's result and
+// when the next retry is due
+class WebhookDeliveryRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'webhook_deliveries');
+  }
+
+  async listDue(now, limit) {
+    return await this.list({
+      where: { status: 'pending', next_attempt_at: { lte: now } },
+      orderBy: [{ column: 'next_attempt_at', ascending: true }],
+      limit
+    });
+  }
+
+  // Deliveries left `sending` by an attempt that never finished go back to the queue
+  async reclaimStale(cutoff) {
+    return await this.updateWhere(
+      { status: 'sending', last_attempt_at: { lt: cutoff } },
+      { status: 'pending', next_attempt_at: new Date().toISOString(), last_error: 'Attempt interrupted before it finished' }
+    );
+  }
+
+  // Conditional update: only one sender can move a row out of `pending`
+  async claim(deliveryId) {
+    const [claimed] = await this.updateWhere(
+      { id: deliveryId, status: 'pending' },
+      { status: 'sending', last_attempt_at: new Date().toISOString() }
+    );
+    return claimed || null;
+  }
+
+  // Newest first; filters are { status, event_type, subscription_id }
+  async listByClient(clientId, { status, eventType, subscriptionId, limit = 100 } = {}) {
+    return await this.list({
+      where: {
+        client_id: clientId,
+        status: status || undefined,
+        event_type: eventType || undefined,
+        subscription_id: subscriptionId || undefined
+      },
+      orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }],
+      limit
+    });
+  }
+}
+
+module.exports = WebhookDeliveryRepository;
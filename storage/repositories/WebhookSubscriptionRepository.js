@@ -0,0 +1,27 @@
+const BaseRepository = require('./BaseRepository');
+
+// Outbound webhook endpoints registered per client. `events` is an array of
+// event types, or ['*'] for every event.
+class WebhookSubscriptionRepository extends BaseRepository {
+  constructor(getAdapter) {
+    super(getAdapter, 'webhook_subscriptions');
+  }
+
+  async listByClient(clientId) {
+    return await this.list({
+      where: { client_id: clientId },
+      orderBy: [{ column: 'created_at', ascending: true }]
+    });
+  }
+
+  // Active subscriptions of the client that want this event type
+  async listForEvent(clientId, eventType) {
+    const subscriptions = await this.list({ where: { client_id: clientId, active: true } });
+    return subscriptions.filter(subscription => {
+      const events = subscription.events || [];
+      return events.includes('*') || events.includes(eventType);
+    });
+  }
+}
+
+module.exports = WebhookSubscriptionRepository;
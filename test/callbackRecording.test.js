@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const path = require('path');
+
+// One call where the agent invoked call_back_later: the function call arrives mid-call,
+// call_ended and call_analyzed after it, both with the analysis. The call must be recorded
+// once and schedule one set of callbacks.
+
+const PORT = 3900 + Math.floor(Math.random() * 90);
+const BASE = `http://localhost:${PORT}`;
+const API_KEY = 'test-key';
+const CLIENT = 'bestbuyremodel';
+
+let server;
+
+async function request(method, url, body) {
+  const response = await fetch(`${BASE}${url}`, {
+    method,
+    headers: { 'content-type': 'application/json', 'x-api-key': API_KEY },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return await response.json();
+}
+
+before(async () => {
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      STORAGE_BACKEND: 'memory',
+      STORAGE_FILE: '',
+      SUPABASE_URL: '',
+      SUPABASE_ANON_KEY: '',
+      RETELL_API_KEY: '',
+      RETELL_SKIP_SIGNATURE_VERIFICATION: 'true',
+      ADMIN_API_KEY: API_KEY
+    },
+    stdio: 'ignore'
+  });
+
+  for (let i = 0; i < 50; i++) {
+    try {
+      await fetch(`${BASE}/health`);
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+  throw new Error('Server did not start');
+});
+
+after(() => {
+  server?.kill();
+});
+
+test('a callback request is recorded once across the function call and the webhooks', async () => {
+  const created = await request('POST', `/api/leads?client=${CLIENT}`, { name: 'Test Lead', phone: '7025550188' });
+  assert.ok(created.success, JSON.stringify(created));
+  const lead = created.lead;
+
+  const call = {
+    call_id: 'call_test_1',
+    direction: 'outbound',
+    to_number: lead.phone,
+    metadata: { uuid: lead.custom_fields.uuid },
+    duration_ms: 45000,
+    disconnection_reason: 'user_hangup',
+    transcript_with_tool_calls: [
+      { role: 'agent', content: 'Is now a good time?' },
+      { role: 'user', content: 'Call me back tomorrow.' },
+      { role: 'tool_call_invocation', name: 'call_back_later', arguments: '{}' }
+    ]
+  };
+
+  await request('POST', `/webhook/call-back-later/${CLIENT}`, {
+    call,
+    args: { proposed_callback_time: 'tomorrow afternoon' }
+  });
+
+  const analyzed = { ...call, call_analysis: { call_summary: 'Asked for a callback', call_successful: true } };
+  await request('POST', `/webhook/retell/${CLIENT}`, { event: 'call_ended', call: analyzed });
+  await request('POST', `/webhook/retell/${CLIENT}`, { event: 'call_analyzed', call: analyzed });
+
+  const { timeline } = await request('GET', `/api/leads/${lead.id}/timeline?client=${CLIENT}`);
+
+  const calls = timeline.filter(entry => entry.type === 'call');
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].details.outcome, 'callback_requested');
+
+  const callbacks = timeline.filter(entry => entry.type === 'callback_scheduled');
+  const slots = callbacks.map(entry => entry.details.scheduled_time);
+  assert.ok(callbacks.length > 0);
+  assert.strictEqual(new Set(slots).size, slots.length);
+});
@@ -0,0 +1,52 @@
+// US street address parsing shared by service-area checks and geocoding
+const { extractZip } = require('./timezone');
+const { STATE_TIMEZONES } = require('../config/timezones');
+
+// "North Las Vegas " -> "north las vegas"
+function normalizeCity(city) {
+  return String(city || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "123 Main St, Las Vegas, NV 89101" -> { street: '123 Main St', city: 'Las Vegas', state: 'NV', zip: '89101' }
+// Any part that can't be found is null; the city is only taken from a comma-separated segment.
+function parseAddress(address) {
+  const text = String(address || '').replace(/\s+/g, ' ').trim();
+  const zip = extractZip(text);
+
+  let rest = zip ? text.replace(new RegExp(`\\b${zip}(?:-\\d{4})?\\b(?!.*\\b\\d{5}\\b)`), '') : text;
+  const parts = rest.split(',').map(part => part.trim()).filter(Boolean);
+
+  let state = null;
+  if (parts.length) {
+    const last = parts[parts.length - 1];
+    const match = /(?:^|\s)([A-Za-z]{2})\.?$/.exec(last);
+
+    if (match && STATE_TIMEZONES[match[1].toUpperCase()]) {
+      state = match[1].toUpperCase();
+      const remainder = last.slice(0, match.index).trim();
+      if (remainder) parts[parts.length - 1] = remainder;
+      else parts.pop();
+    }
+  }
+
+  let street = null;
+  let city = null;
+  if (parts.length >= 2) {
+    city = /\d/.test(parts[parts.length - 1]) ? null : parts.pop();
+    street = parts.join(', ');
+  } else if (parts.length === 1) {
+    if (/\d/.test(parts[0])) street = parts[0];
+    else city = parts[0];
+  }
+
+  return { street, city, state, zip, text };
+}
+
+module.exports = {
+  normalizeCity,
+  parseAddress
+};
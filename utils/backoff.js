@@ -0,0 +1,13 @@
+// Retry schedule helpers shared by the webhook delivery and GHL sync queues
+
+// "60,300,1800" -> [60, 300, 1800]; blanks and non-positive entries are dropped
+function parseBackoff(value) {
+  return String(value)
+    .split(',')
+    .map(seconds => parseInt(seconds))
+    .filter(seconds => seconds > 0);
+}
+
+module.exports = {
+  parseBackoff
+};
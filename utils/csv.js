@@ -0,0 +1,90 @@
+// Minimal RFC 4180 CSV parsing (quoted fields, escaped quotes, CRLF or LF)
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// First row is the header; returns [{ header: value }]
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Phone numbers and signed numbers start with + or - but can't hold a formula
+const PLAIN_NUMBER = /^[+-]?[\d\s().-]+$/;
+
+// Lead fields come from web forms and GHL, so formula-like text gets a leading '
+function escapeFormula(text) {
+  return FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text) ? `'${text}` : text;
+}
+
+// One CSV line (with trailing CRLF); fields with commas, quotes or line breaks are quoted
+function formatCsvRow(values) {
+  return values.map(value => {
+    if (value === null || value === undefined) return '';
+
+    const text = escapeFormula(String(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  formatCsvRow
+};
@@ -0,0 +1,27 @@
+// Phone number helpers shared by intake, compliance and dialing
+
+// Normalize to E.164, null when the number can't be interpreted
+function formatPhone(phone) {
+  if (!phone) return null;
+
+  const raw = String(phone).trim();
+  const cleaned = raw.replace(/\D/g, '');
+
+  if (cleaned.length === 10) {
+    return `+1${cleaned}`;
+  }
+
+  if (cleaned.length === 11 && cleaned.startsWith('1')) {
+    return `+${cleaned}`;
+  }
+
+  if (raw.startsWith('+') && cleaned.length >= 8 && cleaned.length <= 15) {
+    return `+${cleaned}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  formatPhone
+};
@@ -0,0 +1,130 @@
+// Lead timezone resolution: explicit field, then address ZIP, then phone area code
+const moment = require('moment-timezone');
+const {
+  STATE_TIMEZONES,
+  ZIP3_RANGES,
+  ZIP3_TIMEZONES,
+  STATE_AREA_CODES,
+  AREA_CODE_TIMEZONES
+} = require('../config/timezones');
+
+const AREA_CODE_STATES = {};
+Object.entries(STATE_AREA_CODES).forEach(([state, codes]) => {
+  codes.forEach(code => { AREA_CODE_STATES[code] = state; });
+});
+
+function isValidTimezone(name) {
+  return Boolean(name && moment.tz.zone(String(name)));
+}
+
+// "123 Main St, Las Vegas, NV 89101" -> "89101"
+function extractZip(address) {
+  const match = /\b(\d{5})(?:-\d{4})?\b(?!.*\b\d{5}\b)/.exec(String(address || ''));
+  return match ? match[1] : null;
+}
+
+// "123 Main St, Las Vegas, NV 89101" -> "NV"
+function extractState(address) {
+  const match = /\b([A-Za-z]{2})\s+\d{5}(?:-\d{4})?\s*$/.exec(String(address || '').trim());
+  if (!match) return null;
+
+  const state = match[1].toUpperCase();
+  return STATE_TIMEZONES[state] ? state : null;
+}
+
+function stateForZip(zip) {
+  const zip3 = parseInt(String(zip || '').substring(0, 3), 10);
+  if (isNaN(zip3)) return null;
+
+  const range = ZIP3_RANGES.find(([first, last]) => zip3 >= first && zip3 <= last);
+  return range ? range[2] : null;
+}
+
+function timezoneForZip(zip) {
+  const zip3 = parseInt(String(zip || '').substring(0, 3), 10);
+  if (ZIP3_TIMEZONES[zip3]) return ZIP3_TIMEZONES[zip3];
+
+  const state = stateForZip(zip);
+  return state ? STATE_TIMEZONES[state] : null;
+}
+
+// NANP numbers only: +1 followed by the area code
+function areaCodeForPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) return parseInt(digits.substring(1, 4), 10);
+  if (digits.length === 10) return parseInt(digits.substring(0, 3), 10);
+  return null;
+}
+
+function stateForPhone(phone) {
+  return AREA_CODE_STATES[areaCodeForPhone(phone)] || null;
+}
+
+function timezoneForPhone(phone) {
+  const areaCode = areaCodeForPhone(phone);
+  if (AREA_CODE_TIMEZONES[areaCode]) return AREA_CODE_TIMEZONES[areaCode];
+
+  const state = AREA_CODE_STATES[areaCode];
+  return state ? STATE_TIMEZONES[state] : null;
+}
+
+// Accepts a lead row ({ phone, custom_fields }) or raw intake data ({ phone, timezone, full_address, postal_code }).
+// Returns { timezone, source } where source is explicit | zip | area_code | stored | default.
+function resolveLeadTimezone(lead, fallback = 'America/Los_Angeles') {
+  const fields = lead?.custom_fields || {};
+
+  const explicit = lead?.timezone || (fields.timezone_source === 'explicit' ? fields.timezone : null);
+  if (isValidTimezone(explicit)) {
+    return { timezone: explicit, source: 'explicit' };
+  }
+
+  const zip = lead?.postal_code || fields.postal_code || extractZip(lead?.full_address || fields.full_address);
+  const zipTimezone = zip ? timezoneForZip(zip) : null;
+  if (zipTimezone) {
+    return { timezone: zipTimezone, source: 'zip' };
+  }
+
+  // Resolved from a ZIP at intake: a cell number's area code often belongs elsewhere
+  if (fields.timezone_source === 'zip' && isValidTimezone(fields.timezone)) {
+    return { timezone: fields.timezone, source: 'zip' };
+  }
+
+  const phoneTimezone = timezoneForPhone(lead?.phone);
+  if (phoneTimezone) {
+    return { timezone: phoneTimezone, source: 'area_code' };
+  }
+
+  if (isValidTimezone(fields.timezone)) {
+    return { timezone: fields.timezone, source: 'stored' };
+  }
+
+  return { timezone: fallback, source: 'default' };
+}
+
+// Query-string date filter bound as an ISO timestamp. Plain dates are whole days in
+// `timezone`; returns undefined when empty and null when invalid.
+function parseDateBound(value, timezone, bound) {
+  if (!value) return undefined;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const day = moment.tz(value, 'YYYY-MM-DD', true, timezone);
+    if (!day.isValid()) return null;
+    return (bound === 'end' ? day.endOf('day') : day.startOf('day')).toISOString();
+  }
+
+  const time = moment(value, moment.ISO_8601, true);
+  return time.isValid() ? time.toISOString() : null;
+}
+
+module.exports = {
+  isValidTimezone,
+  extractZip,
+  extractState,
+  stateForZip,
+  timezoneForZip,
+  areaCodeForPhone,
+  stateForPhone,
+  timezoneForPhone,
+  resolveLeadTimezone,
+  parseDateBound
+};